@@ -1,3 +1,118 @@
 module.exports = {
-    port: 3037
+    port: Number(process.env.PORT) || 3037,
+
+    // How long (ms) a disconnected player's seat is held for them to reconnect
+    reconnectGracePeriod: 30 * 1000,
+
+    // Where finished games are saved for replay, relative to the project root
+    replayDir: 'data/replays',
+
+    // Running several game servers side by side: `store` is the address ('host:port')
+    // of the shared store they all use (started with `node server/cluster/storeServer.js`),
+    // or 'memory' for a single server. Each room is run by one server at a time, which
+    // holds a lease on it for `leaseTime` (ms); the rooms of a server that stops are
+    // taken over once their leases run out. Replays stay per server.
+    cluster: {
+        store: process.env.CLUSTER_STORE || 'memory',
+        storePort: 6390,
+        leaseTime: 10 * 1000
+    },
+
+    // Where rooms in progress are kept so a restart doesn't end them: 'file' keeps
+    // one JSON file per room in `dir` (relative to the project root), 'shared' keeps
+    // them in the cluster's shared store where any server can pick them up, and
+    // 'memory' keeps them in the server process only, for tests
+    roomStore: {
+        type: process.env.CLUSTER_STORE ? 'shared' : 'file',
+        dir: 'data/rooms'
+    },
+
+    // Where player accounts and their stats are kept: 'file' keeps them all in `file`
+    // (relative to the project root) for a single server, 'shared' keeps them in the
+    // cluster's shared store so players sign in to the same account on every server
+    accountStore: {
+        type: process.env.CLUSTER_STORE ? 'shared' : 'file',
+        file: 'data/accounts.json'
+    },
+
+    // Default turn deadlines (ms); a player who misses `maxTimeouts` in a row forfeits
+    turnTimers: {
+        rollTimeout: 20 * 1000,
+        moveTimeout: 30 * 1000,
+        maxTimeouts: 3
+    },
+
+    // Room chat: the longest message, how many messages late joiners see, and how
+    // many messages or emotes one socket may send per interval (ms)
+    chat: {
+        maxLength: 200,
+        historySize: 50,
+        rateLimit: {
+            limit: 5,
+            interval: 10 * 1000
+        }
+    },
+
+    // Dice: every game rolls from its own secret seed, revealed when it ends so the
+    // players can check each roll. Setting `seed` makes those seeds (and the bots'
+    // choices) follow from it, so a game can be played again exactly, for tests and
+    // bug reports; anyone who knows it can predict every roll, so never set it in production
+    dice: {
+        seed: process.env.DICE_SEED || null
+    },
+
+    // Guarding against tampered clients: how many game actions (rolls, moves, passes),
+    // room requests (joining, watching, signing in) and requests for the whole game
+    // state one socket may send per interval (ms), and after how many suspicious
+    // requests a socket is flagged in the log
+    antiCheat: {
+        actionRateLimit: {
+            limit: 20,
+            interval: 5 * 1000
+        },
+        requestRateLimit: {
+            limit: 10,
+            interval: 10 * 1000
+        },
+        syncRateLimit: {
+            limit: 10,
+            interval: 10 * 1000
+        },
+        suspicionThreshold: 5
+    },
+
+    // Rematches: how long (ms) the players of a finished game have to agree on another
+    // in the same room, and the series they can play (best of n games; 1 just keeps a
+    // running score). Ranked games have no rematches, so ratings can't be farmed
+    rematch: {
+        offerTime: 60 * 1000,
+        seriesLengths: [1, 3, 5]
+    },
+
+    // The lobby page's list of public rooms: how long (ms) changes are gathered
+    // before the lobby pages are sent the new list
+    lobby: {
+        updateDelay: 1000
+    },
+
+    // Computer players: the pause (ms) before each bot action, and how long a public
+    // room waits for people before its empty seats go to bots (0 to never fill)
+    bots: {
+        thinkTime: 800,
+        fillDelay: 30 * 1000,
+        fillStrategy: 'greedy'
+    },
+
+    // Ranked games: the rating new accounts start on and the K-factor of the Elo
+    // updates. Matchmaking first accepts opponents within `baseWindow` rating
+    // points, widening by `windowGrowth` per second of waiting up to `maxWindow`,
+    // and looks for matches every `matchInterval` (ms)
+    ranked: {
+        initialRating: 1500,
+        kFactor: 32,
+        baseWindow: 100,
+        windowGrowth: 10,
+        maxWindow: 600,
+        matchInterval: 2 * 1000
+    }
 };
\ No newline at end of file
@@ -0,0 +1,259 @@
+// Animations.js
+
+import { UI } from './UI.js';
+import { HOME_POSITIONS, START_POSITIONS } from './constants.js';
+
+// localStorage key holding the chosen animation speed
+const SPEED_KEY = 'ludo-animation-speed';
+
+// How many times faster than normal each setting plays; 'off' skips straight to the end
+const SPEEDS = { normal: 1, fast: 3, off: 0 };
+
+// Durations (ms) at normal speed: the dice tumbling and how often its face changes
+const DICE_TUMBLE_TIME = 600;
+const DICE_FACE_INTERVAL = 75;
+
+// Durations (ms) at normal speed: each square a moving piece steps through, each
+// square a captured piece is knocked back along, and the flourish on reaching home
+const STEP_TIME = 300;
+const KNOCK_BACK_STEP_TIME = 40;
+const HOME_ARRIVAL_TIME = 700;
+
+// Squares around the shared track
+const TRACK_LENGTH = 52;
+
+const diceValueElement = document.querySelector('.dice-value');
+const speedElement = document.querySelector('.animation-speed');
+const playerPiecesElements = {};
+
+// Animations waiting for the ones before them to finish: functions that play
+// one and return a promise (or nothing, if they are over straight away)
+const queue = [];
+let playing = false;
+
+// Counts calls to `clear`, so an animation cut short stops touching the board
+let generation = 0;
+
+let speed = loadSpeed();
+
+/**
+ * Reads the speed chosen on this device.
+ * @returns {string} - A key of `SPEEDS`.
+ */
+function loadSpeed() {
+  const saved = localStorage.getItem(SPEED_KEY);
+  return Object.prototype.hasOwnProperty.call(SPEEDS, saved) ? saved : 'normal';
+}
+
+/**
+ * Waits for part of an animation, at the chosen speed.
+ * @param {number} duration - How long (ms) it takes at normal speed.
+ * @returns {Promise} - Resolves once it has passed (straight away with animations off).
+ */
+function wait(duration) {
+  const factor = SPEEDS[speed];
+  return new Promise((resolve) => (factor ? setTimeout(resolve, duration / factor) : resolve()));
+}
+
+/**
+ * Gets a piece's element.
+ * @param {string} playerId - The piece's owner.
+ * @param {number} pieceIndex - The piece's index (0-3).
+ * @returns {HTMLElement|undefined} - The element.
+ */
+function getPieceElement(playerId, pieceIndex) {
+  if (!playerPiecesElements[playerId]) {
+    playerPiecesElements[playerId] = document.querySelectorAll(`[player-id="${playerId}"].player-piece`);
+  }
+  return playerPiecesElements[playerId][pieceIndex];
+}
+
+/**
+ * Steps a piece through a list of squares.
+ * @param {string} playerId - The piece's owner.
+ * @param {number} pieceIndex - The piece's index (0-3).
+ * @param {number[]} squares - The squares, in order.
+ * @param {number} stepTime - How long (ms) each square takes at normal speed.
+ * @param {Function} isCancelled - Tells whether the queue was cleared since the animation started.
+ * @returns {Promise} - Resolves once the piece is on the last square.
+ */
+async function walk(playerId, pieceIndex, squares, stepTime, isCancelled) {
+  for (const square of squares) {
+    await wait(stepTime);
+    if (isCancelled()) return;
+    UI.setPiecePosition(playerId, pieceIndex, square);
+  }
+}
+
+/**
+ * Lists the squares a captured piece is knocked back along: backwards round
+ * the track to its owner's start square, then into its base.
+ * @param {string} playerId - The piece's owner.
+ * @param {number} from - The square it was captured on.
+ * @param {number} basePosition - Its place in the base.
+ * @returns {number[]} - The squares.
+ */
+function getKnockBackPath(playerId, from, basePosition) {
+  const start = START_POSITIONS[playerId];
+  const steps = (from - start + TRACK_LENGTH) % TRACK_LENGTH;
+  const path = [];
+  for (let i = 1; i <= steps; i++) {
+    path.push((from - i + TRACK_LENGTH) % TRACK_LENGTH);
+  }
+  path.push(basePosition);
+  return path;
+}
+
+/**
+ * Plays the animations in the queue one after another, marking the page busy while it does.
+ */
+function playNext() {
+  const play = queue.shift();
+  playing = Boolean(play);
+  document.body.classList.toggle('animating', playing);
+  if (!play) return;
+
+  const current = generation;
+  const isCancelled = () => current !== generation;
+  Promise.resolve()
+    .then(() => play(isCancelled))
+    .catch((error) => console.error('Animation failed:', error))
+    .then(() => {
+      if (!isCancelled()) {
+        playNext();
+      }
+    });
+}
+
+/**
+ * Plays what happens in a game in the order it happened: the dice tumbling, pieces
+ * stepping along their paths, captured pieces knocked back to base and pieces
+ * arriving home. Each animation waits for the ones before it, and callbacks
+ * queued with `afterwards` run once those before them have played, so the
+ * board, turn and controls never get ahead of what the player has seen.
+ * Players choose the speed, or turn animations off.
+ */
+export class Animations {
+  /**
+   * Wires up the animation speed setting, showing the speed chosen on this device.
+   */
+  static setupSpeedControl() {
+    if (!speedElement) return;
+    speedElement.value = speed;
+    speedElement.addEventListener('change', () => this.setSpeed(speedElement.value));
+  }
+
+  /**
+   * Changes the animation speed, including for the animations already queued,
+   * and remembers it on this device.
+   * @param {string} name - 'normal', 'fast' or 'off'.
+   */
+  static setSpeed(name) {
+    if (!Object.prototype.hasOwnProperty.call(SPEEDS, name)) return;
+    speed = name;
+    localStorage.setItem(SPEED_KEY, name);
+  }
+
+  /**
+   * Tells whether animations are playing or waiting to; input waits until they are done.
+   * @returns {boolean} - True while the queue has not drained.
+   */
+  static isBusy() {
+    return playing || queue.length > 0;
+  }
+
+  /**
+   * Adds an animation to the queue.
+   * @param {Function} play - Plays it, given a function telling whether the queue
+   * has been cleared since; returns a promise if it takes time.
+   */
+  static enqueue(play) {
+    queue.push(play);
+    if (!playing) {
+      playNext();
+    }
+  }
+
+  /**
+   * Queues a callback to run once the animations queued before it have played.
+   * @param {Function} callback - The callback.
+   */
+  static afterwards(callback) {
+    this.enqueue(() => callback());
+  }
+
+  /**
+   * Drops the queued animations and stops the one playing where it is, for
+   * when the whole board is about to be redrawn.
+   */
+  static clear() {
+    queue.length = 0;
+    generation++;
+    playing = false;
+    document.body.classList.remove('animating');
+  }
+
+  /**
+   * Queues the dice tumbling and landing on a value.
+   * @param {number} value - The value rolled.
+   * @param {string|number} [label] - What to show once it lands (defaults to the value).
+   */
+  static rollDice(value, label = value) {
+    this.enqueue(async (isCancelled) => {
+      diceValueElement.classList.add('rolling');
+      for (let elapsed = 0; elapsed < DICE_TUMBLE_TIME && SPEEDS[speed]; elapsed += DICE_FACE_INTERVAL) {
+        UI.setDiceValue(1 + Math.floor(Math.random() * 6));
+        await wait(DICE_FACE_INTERVAL);
+        if (isCancelled()) break;
+      }
+      diceValueElement.classList.remove('rolling');
+      if (!isCancelled()) {
+        UI.setDiceValue(label);
+      }
+    });
+  }
+
+  /**
+   * Queues a piece stepping along its path, with a flourish if it ends at home.
+   * @param {string} playerId - The piece's owner.
+   * @param {number} pieceIndex - The piece's index (0-3).
+   * @param {number[]} path - The squares it steps through, ending on its destination.
+   */
+  static movePiece(playerId, pieceIndex, path) {
+    this.enqueue((isCancelled) => walk(playerId, pieceIndex, path, STEP_TIME, isCancelled));
+    if (path[path.length - 1] === HOME_POSITIONS[playerId]) {
+      this.arriveHome(playerId, pieceIndex);
+    }
+  }
+
+  /**
+   * Queues a captured piece being knocked back along the track to its base.
+   * @param {string} playerId - The piece's owner.
+   * @param {number} pieceIndex - The piece's index (0-3).
+   * @param {number} from - The square it was captured on.
+   * @param {number} basePosition - Its place in the base.
+   */
+  static knockBack(playerId, pieceIndex, from, basePosition) {
+    this.enqueue(async (isCancelled) => {
+      const element = getPieceElement(playerId, pieceIndex);
+      element.classList.add('knocked-back');
+      const path = getKnockBackPath(playerId, from, basePosition);
+      await walk(playerId, pieceIndex, path, KNOCK_BACK_STEP_TIME, isCancelled);
+      element.classList.remove('knocked-back');
+    });
+  }
+
+  /**
+   * Queues the flourish for a piece arriving home.
+   * @param {string} playerId - The piece's owner.
+   * @param {number} pieceIndex - The piece's index (0-3).
+   */
+  static arriveHome(playerId, pieceIndex) {
+    this.enqueue(async () => {
+      const element = getPieceElement(playerId, pieceIndex);
+      element.classList.add('arrived-home');
+      await wait(HOME_ARRIVAL_TIME);
+      element.classList.remove('arrived-home');
+    });
+  }
+}
@@ -0,0 +1,111 @@
+// Lobby.js
+
+import { UI } from './UI.js';
+import { Messages } from './messages.js';
+
+const elements = {
+  rooms: document.querySelector('.lobby-rooms tbody'),
+  empty: document.querySelector('.lobby-empty'),
+  createForm: document.querySelector('.lobby-create'),
+  joinForm: document.querySelector('.lobby-join'),
+};
+
+/**
+ * Makes a link styled as a button.
+ */
+function createButton(text, href, className) {
+  const link = document.createElement('a');
+  link.className = className;
+  link.href = href;
+  link.innerText = text;
+  return link;
+}
+
+/**
+ * The lobby page: keeps the list of public rooms up to date as rooms open, fill
+ * up and close, and sends players to the game page to start a room or join one.
+ * The server renders the first list (see front/views/partials/lobbyRoom.html);
+ * the rows drawn here match it.
+ */
+export class Lobby {
+  constructor() {
+    this.socket = io();
+    this.socket.on('connect', () => this.socket.emit('watchLobby'));
+    this.socket.on('lobbyRooms', this.onLobbyRooms.bind(this));
+    elements.createForm.addEventListener('submit', this.onCreateSubmit.bind(this));
+    elements.joinForm.addEventListener('submit', this.onJoinSubmit.bind(this));
+
+    // A link that sent us back here with `?error=CODE` (and maybe `&code=`) says why
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('error')) {
+      UI.showBanner(Messages.formatMessage(params.get('error'), { code: params.get('code') }));
+    }
+  }
+
+  /**
+   * Handler for the server's list of public rooms: redraws the table.
+   */
+  onLobbyRooms({ rooms }) {
+    elements.rooms.innerHTML = '';
+    rooms.forEach((room) => elements.rooms.appendChild(this.createRow(room)));
+    elements.empty.hidden = rooms.length > 0;
+  }
+
+  /**
+   * Draws one room of the list.
+   */
+  createRow({ room, players, maxPlayers, rules, status, statusLabel, canJoin, canWatch }) {
+    const row = document.createElement('tr');
+    row.className = 'lobby-room';
+    const cells = [`${players}/${maxPlayers}`, rules.length > 0 ? rules.join('; ') : 'Classic rules', statusLabel, ''];
+    cells.forEach((text) => {
+      const cell = document.createElement('td');
+      cell.innerText = text;
+      row.appendChild(cell);
+    });
+    row.children[2].className = `lobby-status lobby-status-${status}`;
+
+    const href = `/room/${encodeURIComponent(room)}`;
+    if (canJoin) {
+      row.children[3].appendChild(createButton('Join', href, 'btn btn-dice'));
+    }
+    if (canWatch) {
+      row.children[3].appendChild(createButton('Watch', `${href}?watch`, 'btn'));
+    }
+    return row;
+  }
+
+  /**
+   * Handler for the new room form: opens the game page, which creates the room.
+   * Only rules changed from their defaults go in the address (see options.js).
+   */
+  onCreateSubmit(event) {
+    event.preventDefault();
+    const form = elements.createForm;
+    const params = new URLSearchParams({ players: form.elements.players.value });
+
+    const rules = [...form.querySelectorAll('[name="rules"]')]
+      .filter((input) => input.checked !== input.defaultChecked)
+      .map((input) => (input.checked ? input.value : `!${input.value}`));
+    if (rules.length > 0) {
+      params.set('rules', rules.join(','));
+    }
+    if (form.elements.spectators.checked) {
+      params.set('spectators', 'off');
+    }
+    params.set(form.elements.visibility.value === 'private' ? 'private' : 'create', '');
+
+    window.location.assign(`/play?${params}`);
+  }
+
+  /**
+   * Handler for the join by code form.
+   */
+  onJoinSubmit(event) {
+    event.preventDefault();
+    const code = elements.joinForm.elements.code.value.trim();
+    if (code) {
+      window.location.assign(`/join/${encodeURIComponent(code)}`);
+    }
+  }
+}
@@ -0,0 +1,244 @@
+// LocalLudo.js
+
+import { UI } from './UI.js';
+import { Animations } from './Animations.js';
+import { PLAYER_SEATS } from './constants.js';
+import { Rules } from './rules.js';
+import { Bots } from './bots.js';
+import { Dice } from './dice.js';
+import { Messages } from './messages.js';
+import { readRoomOptions } from './options.js';
+
+// Pause (ms) before each action of a computer player
+const BOT_THINK_TIME = 700;
+
+/**
+ * A game played entirely in the browser: 2–4 people take turns on one device,
+ * optionally against computer players. Uses the same rules engine and bots as
+ * the server, so it needs no connection. `?seed=...` makes the dice and the
+ * bots' choices repeat exactly, for tests and bug reports.
+ */
+export class LocalLudo {
+  constructor() {
+    const params = new URLSearchParams(window.location.search);
+    const { maxPlayers, rules, bots } = readRoomOptions(params);
+    this.seed = params.get('seed'); // Null for real randomness
+    this.players = PLAYER_SEATS[maxPlayers];
+    this.rules = Rules.normalizeOptions(rules);
+
+    // Computer players take the seats after the first, like in a private room
+    this.bots = {};
+    bots.slice(0, this.players.length - 1).forEach((strategy, index) => {
+      this.bots[this.players[index + 1]] = Bots.normalizeStrategy(strategy);
+    });
+
+    this.gameState = null;
+    this.random = Math.random; // Seeded afresh for each game when there is a seed
+    this.busy = false; // True while a bot is thinking
+    this.timer = null;
+
+    this.setupUIListeners();
+    this.newGame();
+  }
+
+  /**
+   * Set up UI event listeners for user interactions.
+   */
+  setupUIListeners() {
+    UI.listenDiceClick(this.onDiceClick.bind(this));
+    UI.listenPieceClick(this.onPieceClick.bind(this));
+    UI.listenResetClick(this.onResetClick.bind(this));
+    Animations.setupSpeedControl();
+  }
+
+  /**
+   * Sets up the board for a fresh game.
+   */
+  newGame() {
+    clearTimeout(this.timer);
+    Animations.clear();
+    this.busy = false;
+    this.random = this.seed ? Dice.createSeededRandom(this.seed) : Math.random;
+    this.gameState = Rules.createInitialState(this.players, this.rules);
+
+    UI.setRules(this.rules);
+    UI.showPlayers(this.players);
+    UI.updateBoard(this.gameState.currentPositions);
+    UI.unhighlightPieces();
+    UI.setDiceValue('-');
+    this.startTurn();
+  }
+
+  /**
+   * Applies an action through the rules engine and shows what happened.
+   * @param {Object} action - The rules action.
+   */
+  apply(action) {
+    const result = Rules.applyAction(this.gameState, action);
+    if (result.error) {
+      UI.showToast(Messages.formatMessage(result.error), 'error');
+      return;
+    }
+    this.gameState = result.state;
+
+    const rolled = result.events.find((event) => event.type === 'diceRolled');
+    const moved = result.events.find((event) => event.type === 'pieceMoved');
+
+    const { currentPositions } = this.gameState;
+
+    if (rolled) {
+      const forfeited = result.events.some((event) => event.type === 'turnForfeited');
+      const passed = result.events.some((event) => event.type === 'turnPassed');
+      let label = rolled.diceValue;
+      if (forfeited) {
+        label = `${rolled.diceValue} (third six, turn lost)`;
+      } else if (passed) {
+        label = `${rolled.diceValue} (no moves)`;
+      }
+      Animations.rollDice(rolled.diceValue, label);
+    }
+
+    if (moved) {
+      // The mover walks its path, then knocks any pieces it captured back to base
+      const destination = moved.path[moved.path.length - 1];
+      Animations.movePiece(moved.playerId, moved.pieceIndex, moved.path);
+      moved.killedPieces.forEach(({ opponentId, pieceIndex }) => {
+        Animations.knockBack(opponentId, pieceIndex, destination, currentPositions[opponentId][pieceIndex]);
+      });
+    }
+
+    // The next turn starts once everything has been shown
+    Animations.afterwards(() => {
+      UI.updateBoard(currentPositions);
+      this.startTurn();
+    });
+  }
+
+  /**
+   * Shows whose turn it is and what they can do, and lets bots take their turn.
+   */
+  startTurn() {
+    UI.unhighlightPieces();
+    const teams = this.gameState.options.teams ? Rules.getTeams(this.gameState) : [];
+    UI.setTeams(teams, this.gameState.currentPositions, {});
+
+    const { winner, winners, diceValue } = this.gameState;
+    if (winner) {
+      UI.disableDice();
+      UI.setStatus(`${winners.map((id) => this.getLabel(id)).join(' & ')} won! Press Reset to play again.`);
+      return;
+    }
+
+    const playerId = Rules.getCurrentPlayerId(this.gameState);
+    UI.setTurn(playerId, this.getLabel(playerId));
+
+    if (this.bots[playerId]) {
+      UI.disableDice();
+      UI.setStatus('');
+      this.busy = true;
+      this.timer = setTimeout(() => {
+        this.busy = false;
+        this.playBotStep(playerId);
+      }, BOT_THINK_TIME);
+    } else if (diceValue === null) {
+      UI.enableDice();
+      UI.setStatus(`${playerId}, it's your turn to roll.`);
+    } else {
+      UI.disableDice();
+      UI.setStatus(`${playerId}, pick a piece to move.`);
+      // Under the partnerMoves rule these can be the partner's pieces
+      this.getLegalMoves().forEach(({ ownerId, pieceIndex }) => UI.highlightPieces(ownerId, [pieceIndex]));
+    }
+  }
+
+  /**
+   * Takes the next step of a bot's turn: rolls the dice, or moves the piece its strategy picks.
+   */
+  playBotStep(playerId) {
+    if (this.gameState.diceValue === null) {
+      this.apply({ type: 'roll', playerId, diceValue: this.rollDice() });
+      return;
+    }
+
+    const move = Bots.chooseMove(this.bots[playerId], this.gameState, playerId, this.getLegalMoves(), this.random);
+    this.apply({ type: 'move', playerId, pieceIndex: move.pieceIndex });
+  }
+
+  /**
+   * Handler for when the dice is clicked.
+   */
+  onDiceClick() {
+    const playerId = Rules.getCurrentPlayerId(this.gameState);
+    if (this.busy || Animations.isBusy() || this.bots[playerId] || this.gameState.diceValue !== null) {
+      return;
+    }
+    UI.disableDice();
+    this.apply({ type: 'roll', playerId, diceValue: this.rollDice() });
+  }
+
+  /**
+   * Handler for when a piece is clicked. A click on a square where several of
+   * the pieces can move asks which one.
+   */
+  onPieceClick(event) {
+    const target = event.target;
+    if (!target.classList.contains('player-piece')) {
+      return;
+    }
+    const movable = UI.getMovableStack(target);
+    if (movable.length === 0 || this.busy || Animations.isBusy()) {
+      return;
+    }
+
+    if (movable.length > 1) {
+      const choices = movable.map(({ playerId, pieceIndex }) => ({
+        playerId,
+        pieceIndex,
+        label: `${this.getLabel(playerId)}'s piece ${pieceIndex + 1}`,
+      }));
+      UI.showStackPicker(choices, ({ pieceIndex }) => this.pickPiece(pieceIndex));
+      return;
+    }
+    this.pickPiece(movable[0].pieceIndex);
+  }
+
+  /**
+   * Moves the piece picked. It may be the partner's; the move is still the current player's.
+   */
+  pickPiece(pieceIndex) {
+    if (this.busy || Animations.isBusy() || this.gameState.diceValue === null) {
+      return;
+    }
+    const playerId = Rules.getCurrentPlayerId(this.gameState);
+    UI.unhighlightPieces();
+    this.apply({ type: 'move', playerId, pieceIndex });
+  }
+
+  /**
+   * Handler for when the reset button is clicked: starts over with the same players.
+   */
+  onResetClick() {
+    this.newGame();
+  }
+
+  /**
+   * Lists the moves open to the current player with the rolled dice.
+   */
+  getLegalMoves() {
+    return Rules.getLegalMoves(this.gameState, Rules.getCurrentPlayerId(this.gameState));
+  }
+
+  /**
+   * Names a player for the turn indicator, marking computer players.
+   */
+  getLabel(playerId) {
+    return this.bots[playerId] ? `${playerId} (bot)` : playerId;
+  }
+
+  /**
+   * Rolls a six-sided dice.
+   */
+  rollDice() {
+    return Math.floor(this.random() * 6) + 1;
+  }
+}
@@ -1,16 +1,75 @@
 // Ludo.js
 
 import { UI } from './UI.js';
-import {
-  STATE,
-  PLAYERS,
-  BASE_POSITIONS,
-  HOME_ENTRANCE,
-  HOME_POSITIONS,
-  SAFE_POSITIONS,
-  START_POSITIONS,
-  TURNING_POINTS,
-} from './constants.js';
+import { Animations } from './Animations.js';
+import { EMOTES, STATE } from './constants.js';
+import { Messages } from './messages.js';
+import { readRoomOptions } from './options.js';
+import { Rules } from './rules.js';
+import { Sync } from './sync.js';
+
+// sessionStorage key holding the room and session token used to resume after a reconnect
+const SESSION_KEY = 'ludo-session';
+
+// localStorage key holding the nickname and secret of the signed-in account
+const ACCOUNT_KEY = 'ludo-account';
+
+// Random bytes in the seed this browser contributes to each game's dice
+const CLIENT_SEED_BYTES = 16;
+
+// How long (ms) to wait for the whole game state before asking for it again
+const SYNC_TIMEOUT = 5000;
+
+// Errors that leave us without a game, shown in the banner rather than a toast
+const BANNER_ERRORS = ['ROOM_NOT_FOUND', 'ROOM_FULL', 'ROOM_NOT_OPENED', 'JOIN_FAILED', 'SPECTATORS_OFF', 'NOT_SEATED'];
+
+/**
+ * Gives the English suffix for a place, e.g. 'nd' for 2.
+ * @param {number} place - The place, from 1.
+ * @returns {string} - The suffix.
+ */
+function getOrdinalSuffix(place) {
+  return { 1: 'st', 2: 'nd', 3: 'rd' }[place] || 'th';
+}
+
+/**
+ * Makes a random seed for this browser's part in the dice.
+ * @returns {string} - The seed, in hex.
+ */
+function createClientSeed() {
+  const bytes = new Uint8Array(CLIENT_SEED_BYTES);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Takes the time since a turn clock was sent off its remaining time, for
+ * showing it once the animations queued before it have played.
+ * @param {Object|null} turnClock - The turn clock from the server.
+ * @param {number} since - When it arrived (ms since the epoch).
+ * @returns {Object|null} - The turn clock as it stands now.
+ */
+function elapseTurnClock(turnClock, since) {
+  return turnClock && { ...turnClock, remaining: Math.max(0, turnClock.remaining - (Date.now() - since)) };
+}
+
+/**
+ * Gets the room this page was opened for, at `/room/<id>`.
+ * @returns {string|null} - The room ID, or null on a page for a new game.
+ */
+function getPageRoom() {
+  return document.body.getAttribute('data-room') || null;
+}
+
+/**
+ * Points the address bar at the room we are in, so reloading the page or
+ * sharing the link comes back to it.
+ * @param {string} room - The room ID.
+ * @param {boolean} [watching] - Whether we are only watching.
+ */
+function showPageRoom(room, watching = false) {
+  window.history.replaceState(null, '', `/room/${encodeURIComponent(room)}${watching ? '?watch' : ''}`);
+}
 
 export class Ludo {
   constructor() {
@@ -18,31 +77,139 @@ export class Ludo {
     this.socket = io(); // Ensure 'io' is available globally or adjust as necessary
     this.playerId = null;
     this.room = null;
+    this.gameState = null; // The latest game state from the server
+    this.version = null; // Its version (see shared/sync.js)
+    this.syncing = false; // Waiting for the whole state after missing some changes
+    this.syncTimer = null; // Asks again if the whole state doesn't come
     this.currentPositions = {};
     this.turn = null;
     this.diceValue = null;
+    this.legalMoves = [];
     this.state = null;
     this.players = [];
+    this.bots = {}; // Strategy of each computer player, by player ID
+    this.names = {}; // Display names by player ID, for seats that have one
+    this.teams = []; // The teams in team play, each a list of player IDs; empty otherwise
+    this.rules = null;
+    this.awayPlayers = [];
+    this.hasJoined = false;
+    this.isSpectator = false; // Watching the room without a seat
+    this.account = null; // The signed-in nickname and stats
+    this.rankedSize = null; // Room size of the ranked game we want, if any
+    this.rankedQueued = false; // Waiting for the server to find a ranked game
+    this.muted = new Set(); // Players whose chat and emotes are hidden
+    this.clientSeed = createClientSeed(); // Our part in the dice, so the server can't choose the rolls alone
+    this.sessionToken = null; // Reclaims our seat, for this room's games to come
+    this.rematchOffer = null; // The rematch someone has offered since the last game, if any
 
     // Set up event listeners
     this.setupSocketListeners();
     this.setupUIListeners();
+  }
+
+  /**
+   * Handler for every (re)connection to the server.
+   * Resumes the saved seat if it is in this page's room, or goes back to
+   * watching, otherwise joins a room from the URL.
+   */
+  onConnect() {
+    UI.setStatus('');
+
+    // Sign in first so the seat we take carries our name
+    const account = this.loadAccount();
+    if (account) {
+      this.socket.emit('identify', account);
+    }
+
+    const session = this.loadSession();
+    if (session && session.room === (this.room || getPageRoom())) {
+      this.socket.emit('resumeGame', session);
+    } else if (this.isSpectator) {
+      this.socket.emit('spectateGame', { room: this.room });
+    } else if (!this.hasJoined) {
+      this.hasJoined = true;
+      this.joinFromUrl();
+    }
+  }
+
+  /**
+   * Handler for when the connection to the server drops.
+   */
+  onDisconnect() {
+    // The server forgets queued players who drop, so queue again after signing back in
+    this.rankedQueued = false;
+    UI.setStatus('Connection lost. Reconnecting…');
+    UI.disableDice();
+  }
+
+  /**
+   * Joins a room based on the page URL:
+   * - `/room/<id>` takes a seat in that room (a private room's ID is its code),
+   * - `/room/<id>?watch` watches it without playing,
+   * - `/play?private` creates a new private room (`&spectators=off` keeps it closed to spectators),
+   * - `/play?create` creates a new public room, listed in the lobby,
+   * - `/play?ranked` waits for a ranked game against players of a similar rating (once signed in),
+   * - otherwise `/play` joins public matchmaking.
+   * Room size, house rules and bots are read by `readRoomOptions`; bots only
+   * apply when creating a room.
+   */
+  joinFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const { maxPlayers, rules, bots, allowSpectators } = readRoomOptions(params);
 
-    // Join the game
-    this.socket.emit('joinGame');
+    const { clientSeed } = this;
+    const room = getPageRoom();
+    if (room && params.has('watch')) {
+      this.socket.emit('spectateGame', { room });
+    } else if (room) {
+      this.socket.emit('joinRoom', { room, clientSeed });
+    } else if (params.has('private')) {
+      this.socket.emit('createPrivateRoom', { maxPlayers, rules, bots, allowSpectators, clientSeed });
+    } else if (params.has('create')) {
+      this.socket.emit('createRoom', { maxPlayers, rules, bots, allowSpectators, isPrivate: false, clientSeed });
+    } else if (params.has('ranked')) {
+      // Queued from onIdentified, as ranked games need an account
+      this.rankedSize = maxPlayers;
+      if (!this.loadAccount()) {
+        UI.setStatus('Sign in to play ranked games.');
+      }
+    } else {
+      this.socket.emit('joinGame', { maxPlayers, rules, clientSeed });
+    }
   }
 
   /**
    * Set up event listeners for socket events from the server.
    */
   setupSocketListeners() {
+    this.socket.on('connect', this.onConnect.bind(this));
+    this.socket.on('disconnect', this.onDisconnect.bind(this));
     this.socket.on('playerAssigned', this.onPlayerAssigned.bind(this));
+    this.socket.on('gameResumed', this.onGameResumed.bind(this));
+    this.socket.on('spectating', this.onSpectating.bind(this));
+    this.socket.on('viewerCount', this.onViewerCount.bind(this));
+    this.socket.on('chatMessage', this.onChatMessage.bind(this));
+    this.socket.on('emote', this.onEmote.bind(this));
+    this.socket.on('identified', this.onIdentified.bind(this));
+    this.socket.on('identifyFailed', this.onIdentifyFailed.bind(this));
+    this.socket.on('statsUpdated', this.onStatsUpdated.bind(this));
+    this.socket.on('rankedQueued', this.onRankedQueued.bind(this));
+    this.socket.on('ratingsUpdated', this.onRatingsUpdated.bind(this));
+    this.socket.on('playerNames', this.onPlayerNames.bind(this));
+    this.socket.on('resumeFailed', this.onResumeFailed.bind(this));
+    this.socket.on('playerReconnecting', this.onPlayerReconnecting.bind(this));
+    this.socket.on('playerReconnected', this.onPlayerReconnected.bind(this));
     this.socket.on('startGame', this.onStartGame.bind(this));
     this.socket.on('diceRolled', this.onDiceRolled.bind(this));
     this.socket.on('updateGameState', this.onUpdateGameState.bind(this));
+    this.socket.on('stateSynced', this.onStateSynced.bind(this));
     this.socket.on('gameOver', this.onGameOver.bind(this));
+    this.socket.on('rematchOffered', this.onRematchOffered.bind(this));
+    this.socket.on('rematchCancelled', this.onRematchCancelled.bind(this));
+    this.socket.on('playerForfeited', this.onPlayerForfeited.bind(this));
     this.socket.on('opponentLeft', this.onOpponentLeft.bind(this));
     this.socket.on('errorMessage', this.onErrorMessage.bind(this));
+    this.socket.on('actionRejected', this.onActionRejected.bind(this));
   }
 
   /**
@@ -52,28 +219,311 @@ export class Ludo {
     UI.listenDiceClick(this.onDiceClick.bind(this));
     UI.listenPieceClick(this.onPieceClick.bind(this));
     UI.listenResetClick(this.onResetClick.bind(this));
+    UI.listenChatSubmit(this.onChatSubmit.bind(this));
+    UI.listenEmoteClick(this.onEmoteClick.bind(this));
+    UI.listenAccountSubmit(this.onAccountSubmit.bind(this));
+    UI.listenSignOutClick(this.onSignOutClick.bind(this));
+    UI.listenGameOverClick(this.onRematchClick.bind(this), this.onLeaveClick.bind(this));
+    UI.showAccountPanel();
+    Animations.setupSpeedControl();
   }
 
   /**
    * Handler for when the server assigns a player ID and room.
    */
-  onPlayerAssigned({ playerId, room }) {
+  onPlayerAssigned({ playerId, room, code, rules, sessionToken, chat, diceCommitment }) {
     this.playerId = playerId;
     this.room = room;
+    this.rules = rules;
+    this.sessionToken = sessionToken;
+    this.saveSession(room, sessionToken);
+    showPageRoom(room);
+    UI.setRules(rules);
+    if (diceCommitment) {
+      UI.setDiceCommitment(diceCommitment);
+    }
+    UI.showChat(true);
+    if (chat) {
+      this.showChatHistory(chat);
+    }
+    if (code) {
+      UI.setRoomCode(code, `${window.location.origin}/join/${code}`);
+    }
     console.log(`Assigned ${playerId} in ${room}`);
   }
 
   /**
-   * Handler for when the game starts.
+   * Handler for when the server gives back our seat after a reconnect,
+   * along with a full snapshot of the game.
+   */
+  onGameResumed(snapshot) {
+    const { playerId, room, code, rules, sessionToken, legalMoves } = snapshot;
+    this.onPlayerAssigned({ playerId, room, code, rules, sessionToken });
+
+    if (!this.showSnapshot(snapshot)) {
+      return;
+    }
+
+    this.resumeTurn(legalMoves);
+    console.log(`Resumed as ${playerId} in ${room}`);
+  }
+
+  /**
+   * Picks up the current turn once the board has been drawn from a whole game
+   * state: our roll, our move with the moves we may make, or someone else's turn.
+   */
+  resumeTurn(legalMoves) {
+    if (this.isSpectator || this.getCurrentPlayerId() !== this.playerId) {
+      this.state = STATE.WAITING_FOR_OPPONENT;
+      UI.disableDice();
+    } else if (this.diceValue === null) {
+      this.state = STATE.DICE_NOT_ROLLED;
+      UI.enableDice();
+    } else {
+      this.state = STATE.DICE_ROLLED;
+      this.legalMoves = legalMoves;
+      UI.disableDice();
+      this.highlightLegalMoves();
+    }
+  }
+
+  /**
+   * Handler for when the server lets us watch a room, along with a full snapshot of the game.
+   */
+  onSpectating(snapshot) {
+    const { room, code, rules } = snapshot;
+    this.isSpectator = true;
+    this.room = room;
+    this.rules = rules;
+    this.state = STATE.WAITING_FOR_OPPONENT;
+    showPageRoom(room, true);
+    UI.setRules(rules);
+    UI.setSpectating();
+    UI.showChat(false);
+    if (code) {
+      UI.setRoomCode(code, `${window.location.origin}/watch/${code}`);
+    }
+
+    this.showSnapshot(snapshot);
+    console.log(`Watching ${room}`);
+  }
+
+  /**
+   * Draws the board from a room snapshot, and the result if the game is over.
+   * Returns false if the game hasn't started yet, leaving the board as it is, or has ended.
+   */
+  showSnapshot(snapshot) {
+    const { players, bots, names, awayPlayers, viewers, chat, gameState, version, turnClock, dice, series } = snapshot;
+    this.awayPlayers = awayPlayers;
+    UI.setDiceCommitment(dice.commitment);
+    this.updateAwayStatus();
+    UI.setViewerCount(viewers);
+    this.showChatHistory(chat);
+
+    if (!gameState) {
+      return false;
+    }
+
+    this.setGameState(gameState, version);
+    this.players = players;
+    this.bots = bots;
+    this.names = names;
+    UI.setPlayerNames(names);
+    Animations.clear();
+    UI.showPlayers(this.players);
+    UI.updateBoard(this.currentPositions);
+    this.showTeams(gameState);
+    UI.setSeriesScore(this.describeSeries(series));
+    this.updateMuteControls();
+    this.showTurn();
+    this.showTurnClock(turnClock);
+    UI.unhighlightPieces();
+    UI.setDiceValue(this.diceValue === null ? '-' : this.diceValue);
+
+    const { result } = snapshot;
+    if (result) {
+      this.state = STATE.WAITING_FOR_OPPONENT;
+      UI.disableDice();
+      this.showResult({ ...result, series });
+      if (result.rematch && result.rematch.offeredBy) {
+        this.onRematchOffered(result.rematch);
+      }
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Handler for when someone starts or stops watching the room.
+   */
+  onViewerCount({ viewers }) {
+    UI.setViewerCount(viewers);
+  }
+
+  /**
+   * Shows the messages sent before we joined.
+   */
+  showChatHistory(chat) {
+    UI.clearChat();
+    chat.forEach((message) => this.onChatMessage(message));
+  }
+
+  /**
+   * Handler for a chat message from a player in the room.
+   */
+  onChatMessage({ playerId, text }) {
+    if (this.muted.has(playerId)) {
+      return;
+    }
+    const label = this.getPlayerLabel(playerId);
+    UI.addChatMessage(playerId === this.playerId ? `${label} (you)` : label, text);
+  }
+
+  /**
+   * Handler for an emote from a player in the room.
+   */
+  onEmote({ playerId, emote }) {
+    if (this.muted.has(playerId) || !EMOTES[emote]) {
+      return;
+    }
+    UI.showEmote(playerId, EMOTES[emote]);
+  }
+
+  /**
+   * Handler for when we send a chat message.
+   */
+  onChatSubmit(text) {
+    this.socket.emit('chatMessage', { text });
+  }
+
+  /**
+   * Handler for when we click an emote.
+   */
+  onEmoteClick(emote) {
+    this.socket.emit('sendEmote', { emote });
+  }
+
+  /**
+   * Mutes or unmutes a player's chat and emotes, on this device only.
+   */
+  toggleMute(playerId) {
+    if (this.muted.has(playerId)) {
+      this.muted.delete(playerId);
+    } else {
+      this.muted.add(playerId);
+    }
+    this.updateMuteControls();
+  }
+
+  /**
+   * Shows a mute toggle for every other player (computer players don't chat).
+   */
+  updateMuteControls() {
+    const others = this.players
+      .filter((id) => id !== this.playerId && !this.bots[id])
+      .map((playerId) => ({ playerId, label: this.getPlayerLabel(playerId) }));
+    UI.setMuteControls(others, this.muted, this.toggleMute.bind(this));
+  }
+
+  /**
+   * Handler for when the saved seat can no longer be resumed.
+   */
+  onResumeFailed() {
+    this.clearSession();
+    this.stopSync();
+    if (!this.hasJoined) {
+      this.hasJoined = true;
+      this.joinFromUrl();
+    } else {
+      UI.setStatus('Your seat in the game has expired.');
+    }
+  }
+
+  /**
+   * Handler for when another player drops and the server is holding their seat.
+   */
+  onPlayerReconnecting({ playerId }) {
+    if (!this.awayPlayers.includes(playerId)) {
+      this.awayPlayers.push(playerId);
+    }
+    this.updateAwayStatus();
+  }
+
+  /**
+   * Handler for when an away player is back.
+   */
+  onPlayerReconnected({ playerId }) {
+    this.awayPlayers = this.awayPlayers.filter((id) => id !== playerId);
+    this.updateAwayStatus();
+  }
+
+  /**
+   * Shows which players the game is waiting on.
    */
-  onStartGame({ gameState, players }) {
+  updateAwayStatus() {
+    UI.setStatus(this.awayPlayers.map((id) => `${this.getPlayerLabel(id)} is reconnecting…`).join(' '));
+  }
+
+  /**
+   * Remembers our seat so a new socket can reclaim it.
+   */
+  saveSession(room, token) {
+    sessionStorage.setItem(SESSION_KEY, JSON.stringify({ room, token }));
+  }
+
+  /**
+   * Reads the remembered seat, if any.
+   */
+  loadSession() {
+    try {
+      return JSON.parse(sessionStorage.getItem(SESSION_KEY));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Forgets the remembered seat.
+   */
+  clearSession() {
+    sessionStorage.removeItem(SESSION_KEY);
+  }
+
+  /**
+   * Handler for when the game starts, including a rematch in the same room.
+   */
+  onStartGame({ gameState, version, players, bots, names, turnClock, dice, series }) {
+    this.setGameState(gameState, version);
     this.players = players; // Store the players array
-    this.currentPositions = gameState.currentPositions;
-    this.turn = gameState.turn;
-    this.diceValue = gameState.diceValue;
-    this.state = STATE.DICE_NOT_ROLLED;
+    this.bots = bots;
+    this.names = names;
+    UI.setPlayerNames(names);
+    Animations.clear();
+    this.rematchOffer = null;
+    this.showTeams(gameState);
+    UI.hideGameOver();
+    UI.hideReplayLink();
+    UI.setDiceCommitment(dice.commitment);
+    UI.setSeriesScore(this.describeSeries(series));
+
+    if (this.isSpectator) {
+      this.state = STATE.WAITING_FOR_OPPONENT;
+    } else {
+      // The seat's session ends with each game; a rematch brings it back
+      this.saveSession(this.room, this.sessionToken);
+      const myTurn = this.getCurrentPlayerId() === this.playerId;
+      this.state = myTurn ? STATE.DICE_NOT_ROLLED : STATE.WAITING_FOR_OPPONENT;
+      if (myTurn) {
+        UI.enableDice();
+      } else {
+        UI.disableDice();
+      }
+    }
+    UI.showPlayers(this.players);
     UI.updateBoard(this.currentPositions);
-    UI.setTurn(this.getCurrentPlayerId());
+    this.updateMuteControls();
+    this.showTurn();
+    this.showTurnClock(turnClock);
     UI.setDiceValue('-');
     console.log('Game started');
   }
@@ -81,159 +531,570 @@ export class Ludo {
   /**
    * Handler for when the dice is rolled.
    */
-  onDiceRolled({ playerId, diceValue }) {
-    this.diceValue = diceValue;
-    UI.setDiceValue(diceValue);
+  onDiceRolled({ version, delta, playerId, diceValue, legalMoves, forfeited, passed, turnClock }) {
+    if (!this.applyDelta(version, delta)) {
+      return;
+    }
+    this.legalMoves = legalMoves;
+    let label = diceValue;
+    if (forfeited) {
+      label = `${diceValue} (third six, turn lost)`;
+    } else if (passed) {
+      label = `${diceValue} (no moves)`;
+    }
     UI.unhighlightPieces();
+    Animations.rollDice(diceValue, label);
 
     console.log(`Dice rolled by ${playerId}, value: ${diceValue}`);
 
-    if (playerId === this.playerId) {
-      this.state = STATE.DICE_ROLLED;
-      console.log('It is my turn. Checking for eligible pieces.');
-      this.checkForEligiblePieces();
-    } else {
+    const { gameState } = this;
+    const receivedAt = Date.now();
+    if (forfeited || passed) {
+      // The server has already moved the turn on, in the state that came with the roll
       this.state = STATE.WAITING_FOR_OPPONENT;
-      console.log('Waiting for opponent to move.');
+      Animations.afterwards(() => this.showNextTurn(gameState, elapseTurnClock(turnClock, receivedAt)));
+      return;
     }
+
+    // Our move waits until the dice has landed
+    this.state = STATE.WAITING_FOR_OPPONENT;
+    Animations.afterwards(() => {
+      this.showTurnClock(elapseTurnClock(turnClock, receivedAt), playerId);
+      if (playerId === this.playerId) {
+        this.state = STATE.DICE_ROLLED;
+        console.log('It is my turn. Highlighting the legal moves.');
+        this.highlightLegalMoves();
+      } else {
+        console.log('Waiting for opponent to move.');
+      }
+    });
   }
 
   /**
    * Handler for when the game state is updated by the server.
    */
-  onUpdateGameState({ gameState, moveData }) {
-    console.log('Received updated game state:', gameState);
+  onUpdateGameState({ version, delta, moveData, turnClock }) {
+    if (!this.applyDelta(version, delta)) {
+      return;
+    }
+    console.log(`Received game state version ${version}:`, delta);
+
+    const { gameState } = this;
+    const receivedAt = Date.now();
+    this.queueMove(moveData);
+    Animations.afterwards(() => this.showNextTurn(gameState, elapseTurnClock(turnClock, receivedAt)));
+  }
+
+  /**
+   * Queues the animations for a move: the piece stepping along its path, then
+   * any pieces it captured knocked back to base. The board then settles on the
+   * state that came with the move, which also covers updates without one.
+   */
+  queueMove(moveData) {
+    const { gameState } = this;
+    if (moveData) {
+      const { playerId, pieceIndex, path, killedPieces = [] } = moveData;
+      const destination = path[path.length - 1];
+      Animations.movePiece(playerId, pieceIndex, path);
+      killedPieces.forEach(({ opponentId, pieceIndex: index }) => {
+        Animations.knockBack(opponentId, index, destination, gameState.currentPositions[opponentId][index]);
+      });
+    }
+    Animations.afterwards(() => {
+      UI.updateBoard(gameState.currentPositions);
+      this.showTeams(gameState);
+    });
+  }
 
-    // Update local game state
+  /**
+   * Shows whose turn it is in a game state, letting us roll if it is ours.
+   */
+  showNextTurn(gameState, turnClock) {
+    const playerId = gameState.players[gameState.turn];
+    UI.setTurn(playerId, this.getPlayerLabel(playerId));
+    this.showTurnClock(turnClock, playerId);
+    if (playerId === this.playerId) {
+      if (this.state !== STATE.DICE_ROLLED) {
+        this.state = STATE.DICE_NOT_ROLLED;
+        UI.enableDice();
+      }
+    } else {
+      this.state = STATE.WAITING_FOR_OPPONENT;
+      UI.disableDice();
+    }
+  }
+
+  /**
+   * Takes in the whole game state from the server at a version.
+   */
+  setGameState(gameState, version) {
+    this.gameState = gameState;
+    this.version = version;
+    this.stopSync();
+    this.players = gameState.players;
     this.currentPositions = gameState.currentPositions;
     this.turn = gameState.turn;
     this.diceValue = gameState.diceValue;
+  }
 
-    UI.setTurn(this.getCurrentPlayerId());
+  /**
+   * Applies the state changes that come with a server event if they are the
+   * next ones. Returns false for changes we've had already, and for those
+   * after a gap, for which we ask for the whole state instead.
+   */
+  applyDelta(version, delta) {
+    if (this.syncing) {
+      return false;
+    }
+    const order = Sync.compareVersion(this.version, version);
+    if (order === 'gap') {
+      console.warn(`Missed state changes: have version ${this.version}, got ${version}`);
+      this.requestSync();
+    }
+    if (order !== 'next') {
+      return false;
+    }
+    this.setGameState(Sync.applyDelta(this.gameState, delta), version);
+    return true;
+  }
 
-    // Update positions of killed pieces immediately
-    if (moveData && moveData.killedPieces && moveData.killedPieces.length > 0) {
-      moveData.killedPieces.forEach(({ opponentId, pieceIndex }) => {
-        const newPos = this.currentPositions[opponentId][pieceIndex];
-        this.setPiecePosition(opponentId, pieceIndex, newPos);
-      });
+  /**
+   * Asks the server for the whole game state, ignoring its updates until it
+   * comes. If it doesn't come in time (the request was refused or lost), asks again.
+   */
+  requestSync() {
+    if (!this.syncing) {
+      this.syncing = true;
+      this.socket.emit('syncState');
+      this.syncTimer = setTimeout(() => {
+        this.stopSync();
+        this.requestSync();
+      }, SYNC_TIMEOUT);
     }
+  }
 
-    if (moveData) {
-      const { playerId, pieceIndex, path } = moveData;
+  /**
+   * Stops waiting for the whole game state, taking in updates again.
+   */
+  stopSync() {
+    clearTimeout(this.syncTimer);
+    this.syncTimer = null;
+    this.syncing = false;
+  }
+
+  /**
+   * Handler for the whole game state we asked for: redraws the board and picks up the turn.
+   */
+  onStateSynced({ version, gameState, legalMoves, turnClock }) {
+    if (!gameState) {
+      // We're not in a game (any more), so there is nothing to catch up on
+      this.stopSync();
+      return;
+    }
+    this.setGameState(gameState, version);
+    Animations.clear();
+    UI.showPlayers(this.players);
+    UI.updateBoard(this.currentPositions);
+    this.showTeams(gameState);
+    this.showTurn();
+    this.showTurnClock(turnClock);
+    UI.unhighlightPieces();
+    UI.setDiceValue(this.diceValue === null ? '-' : this.diceValue);
+    this.resumeTurn(legalMoves);
+    console.log(`Synced to game state version ${version}`);
+  }
 
-      // Animate the move
-      this.animateMove(playerId, pieceIndex, path);
+  /**
+   * Handler for when the game is over.
+   */
+  onGameOver({ version, delta, moveData, winner, winners, placements, replayId, serverSeed, series, rematch }) {
+    if (this.applyDelta(version, delta)) {
+      this.queueMove(moveData);
+    }
+    // Our seat is held while a rematch is on offer, so a reload can still come back to it
+    if (!rematch) {
+      this.clearSession();
+    }
+    this.rematchOffer = null;
+    this.state = STATE.WAITING_FOR_OPPONENT;
+    console.log(`Dice server seed revealed: ${serverSeed}`);
+
+    // The window opens once the winning move has played out
+    Animations.afterwards(() => {
+      UI.stopTurnTimer();
+      UI.disableDice();
+      UI.unhighlightPieces();
+      this.showResult({ winner, winners, placements, replayId, series, rematch });
+    });
+  }
+
+  /**
+   * Opens the game over window: who won, everyone's placing and whether a rematch can be had.
+   */
+  showResult({ winner, winners, placements, replayId, series, rematch }) {
+    if (replayId) {
+      UI.setReplayLink(`/replay/${replayId}`, `/verify/${replayId}`);
+    }
+    const ranking = placements || [winner];
+    const winningSide = winners || [winner];
+    const place = ranking.indexOf(this.playerId) + 1;
+    let title;
+    if (this.isSpectator || place === 0) {
+      title = `${winningSide.map((id) => this.getPlayerLabel(id)).join(' & ')} won the game.`;
+    } else if (winningSide.includes(this.playerId)) {
+      title = winningSide.length > 1 ? 'Congratulations! Your team won!' : 'Congratulations! You won!';
+    } else if (winningSide.length > 1) {
+      title = 'The other team won. Better luck next time!';
     } else {
-      // If no move data, just update the board
-      UI.updateBoard(this.currentPositions);
+      title = `You finished ${place}${getOrdinalSuffix(place)}. Better luck next time!`;
     }
 
-    // Handle state changes
-    if (this.getCurrentPlayerId() === this.playerId) {
-      if (this.state !== STATE.DICE_ROLLED) {
-        this.state = STATE.DICE_NOT_ROLLED;
-        UI.enableDice();
-      }
+    UI.showGameOver(
+      title,
+      ranking.map((playerId) => ({ label: this.getPlayerLabel(playerId), isYou: playerId === this.playerId })),
+      !this.isSpectator && Boolean(rematch)
+    );
+    UI.setSeriesScore(this.describeSeries(series));
+  }
+
+  /**
+   * Handler for the Rematch button: offers a rematch on the chosen terms, or
+   * accepts the one on offer.
+   */
+  onRematchClick({ bestOf, rotateFirst }) {
+    if (this.rematchOffer) {
+      this.socket.emit('acceptRematch');
     } else {
-      this.state = STATE.WAITING_FOR_OPPONENT;
-      UI.disableDice();
+      this.socket.emit('offerRematch', { bestOf, rotateFirst });
     }
+    UI.setRematchState('accepted', 'Waiting for the other players…');
   }
 
   /**
-   * Animates the movement of a piece along a given path.
+   * Handler for a rematch offer, and for each player who agrees to it.
    */
-  animateMove(playerId, pieceIndex, path) {
-    if (path.length === 0) {
+  onRematchOffered(offer) {
+    if (this.isSpectator) {
       return;
     }
+    this.rematchOffer = offer;
+    const { offeredBy, accepted, bestOf, rotateFirst } = offer;
+    const terms = `${bestOf > 1 ? `best of ${bestOf}` : 'one more game'}${
+      rotateFirst ? ', taking turns to go first' : ''
+    }`;
 
-    let moveBy = path.length;
-    const interval = setInterval(() => {
-      const nextPosition = path.shift();
-      if (nextPosition !== undefined) {
-        this.setPiecePosition(playerId, pieceIndex, nextPosition);
-      }
-      moveBy--;
+    if (accepted.includes(this.playerId)) {
+      const waiting = this.players.filter((id) => !accepted.includes(id)).map((id) => this.getPlayerLabel(id));
+      UI.setRematchState('accepted', `Rematch (${terms}): waiting for ${waiting.join(', ')}.`);
+    } else {
+      UI.setRematchState('offered', `${this.getPlayerLabel(offeredBy)} offers a rematch (${terms}).`);
+    }
+  }
 
-      if (moveBy === 0 || path.length === 0) {
-        clearInterval(interval);
-        // After moving, check for any additional actions if needed
-      }
-    }, 300); // Adjust the interval time as needed
+  /**
+   * Handler for when the rematch is off and the room has closed.
+   */
+  onRematchCancelled({ code, params, message }) {
+    this.rematchOffer = null;
+    this.clearSession();
+    UI.setRematchState('closed', this.describe(code, params, message));
   }
 
   /**
-   * Sets the piece's position locally.
+   * Describes the score of the room's series, e.g. 'Best of 3: P1 2, P2 1. P1 wins the series!'.
+   * In team play partners share a score: 'Best of 3: P1 & P3 2, P2 & P4 1.'.
+   * Returns an empty string while there is no score to show yet.
    */
-  setPiecePosition(player, piece, newPosition) {
-    this.currentPositions[player][piece] = newPosition;
-    UI.setPiecePosition(player, piece, newPosition);
+  describeSeries(series) {
+    if (!series || (series.games === 0 && series.bestOf === 1)) {
+      return '';
+    }
+    const sides = this.teams.length > 0 ? this.teams : this.players.map((id) => [id]);
+    const describeSide = (side) => side.map((id) => this.getPlayerLabel(id)).join(' & ');
+    const scores = sides.map((side) => `${describeSide(side)} ${series.scores[side[0]] || 0}`).join(', ');
+    const title = series.bestOf > 1 ? `Best of ${series.bestOf}` : 'Score';
+    const winningSide = sides.find((side) => side.includes(series.winner));
+    const verb = winningSide && winningSide.length > 1 ? 'win' : 'wins';
+    const result = winningSide ? ` ${describeSide(winningSide)} ${verb} the series!` : '';
+    return `${title}: ${scores}.${result}`;
   }
 
   /**
-   * Handler for when the game is over.
+   * Colours the seats by team and shows each team's pieces home, in team play.
    */
-  onGameOver({ winner }) {
-    if (winner === this.playerId) {
-      alert('Congratulations! You won!');
+  showTeams(gameState) {
+    this.teams = gameState.options.teams ? Rules.getTeams(gameState) : [];
+    UI.setTeams(this.teams, gameState.currentPositions, this.names);
+  }
+
+  /**
+   * Handler for the Leave button: goes back to the start page.
+   */
+  onLeaveClick() {
+    window.location.assign('/');
+  }
+
+  /**
+   * Handler for when a player is removed for missing too many turns.
+   */
+  onPlayerForfeited({ playerId }) {
+    if (playerId === this.playerId) {
+      this.clearSession();
+      UI.setStatus('You missed too many turns and have been removed from the game.');
     } else {
-      alert('You lost. Better luck next time!');
+      UI.setStatus(`${this.getPlayerLabel(playerId)} missed too many turns and has been removed from the game.`);
+    }
+  }
+
+  /**
+   * Shows whose turn it is, marking computer players.
+   */
+  showTurn() {
+    const playerId = this.getCurrentPlayerId();
+    UI.setTurn(playerId, this.getPlayerLabel(playerId));
+  }
+
+  /**
+   * Names a player: their account or bot name if they have one, otherwise their seat.
+   */
+  getPlayerLabel(playerId) {
+    return this.names[playerId] || playerId;
+  }
+
+  /**
+   * Handler for when the names on the seats change, e.g. a player signed in.
+   */
+  onPlayerNames({ names }) {
+    this.names = names;
+    UI.setPlayerNames(names);
+    if (this.players.length > 0) {
+      UI.setTeams(this.teams, this.currentPositions, names);
+      this.showTurn();
+      this.updateMuteControls();
+    }
+    if (this.awayPlayers.length > 0) {
+      this.updateAwayStatus();
     }
-    // Optionally reset the game or redirect to a lobby
   }
 
   /**
-   * Handler for when the opponent leaves the game.
+   * Handler for the sign-in form. Without a password the browser makes up a
+   * secret and remembers it, so the nickname stays ours on this device.
    */
-  onOpponentLeft(message) {
-    alert(message);
-    // Optionally reset the game or wait for a new player
+  onAccountSubmit(nickname, password) {
+    const saved = this.loadAccount();
+    let secret = password;
+    if (!secret) {
+      secret = saved && saved.nickname === nickname ? saved.secret : this.generateSecret();
+    }
+    this.saveAccount({ nickname, secret });
+    this.socket.emit('identify', { nickname, secret });
   }
 
   /**
-   * Handler for error messages from the server.
+   * Handler for the sign-out button. Takes effect for the next game; the
+   * current seat keeps its name.
    */
-  onErrorMessage(message) {
-    alert(message);
+  onSignOutClick() {
+    this.clearAccount();
+    UI.showAccount(null);
+  }
+
+  /**
+   * Handler for when the server accepts our nickname and secret.
+   */
+  onIdentified({ nickname, stats }) {
+    this.account = { nickname, stats };
+    UI.showAccount(nickname, stats);
+
+    if (this.rankedSize && !this.room && !this.rankedQueued) {
+      this.rankedQueued = true;
+      this.socket.emit('joinGame', { maxPlayers: this.rankedSize, ranked: true, clientSeed: this.clientSeed });
+    }
+  }
+
+  /**
+   * Handler for when the server refuses our nickname and secret.
+   */
+  onIdentifyFailed({ message }) {
+    this.clearAccount();
+    UI.showAccount(null);
+    UI.setStatus(message);
+  }
+
+  /**
+   * Handler for new stats after a game we played in.
+   */
+  onStatsUpdated({ stats }) {
+    if (this.account) {
+      this.account.stats = stats;
+      UI.showAccount(this.account.nickname, stats);
+    }
+  }
+
+  /**
+   * Handler for when we start waiting for a ranked game.
+   */
+  onRankedQueued({ maxPlayers, rating }) {
+    UI.setStatus(`Looking for a ranked ${maxPlayers}-player game near your rating of ${rating}…`);
+  }
+
+  /**
+   * Handler for the rating changes at the end of a ranked game.
+   */
+  onRatingsUpdated({ ratings }) {
+    const mine = ratings[this.playerId];
+    if (mine) {
+      UI.setStatus(`Your rating is now ${mine.rating} (${mine.change >= 0 ? '+' : ''}${mine.change}).`);
+    }
+  }
+
+  /**
+   * Remembers the account to sign in with on this device.
+   */
+  saveAccount(account) {
+    localStorage.setItem(ACCOUNT_KEY, JSON.stringify(account));
+  }
+
+  /**
+   * Reads the remembered account, if any.
+   */
+  loadAccount() {
+    try {
+      return JSON.parse(localStorage.getItem(ACCOUNT_KEY));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Forgets the remembered account.
+   */
+  clearAccount() {
+    localStorage.removeItem(ACCOUNT_KEY);
+    this.account = null;
+  }
+
+  /**
+   * Makes up a random secret for an account without a password.
+   */
+  generateSecret() {
+    const bytes = new Uint8Array(16);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Shows the countdown for the current turn around the active player's base
+   * (the current player's unless another is given).
+   */
+  showTurnClock(turnClock, playerId = this.getCurrentPlayerId()) {
+    if (turnClock) {
+      UI.startTurnTimer(playerId, turnClock.remaining, turnClock.duration);
+    } else {
+      UI.stopTurnTimer();
+    }
+  }
+
+  /**
+   * Handler for when another player leaves the game for good.
+   */
+  onOpponentLeft({ code, params, message }) {
+    this.awayPlayers = this.awayPlayers.filter((id) => id !== params.playerId);
+    this.updateAwayStatus();
+    UI.showBanner(this.describe(code, params, message));
+  }
+
+  /**
+   * Handler for when the server turns down one of our requests, with a code
+   * saying why. A refused move leaves the roll with us, so we can pick again;
+   * one made on an out-of-date board brings the whole state over again.
+   */
+  onActionRejected({ action, code, params, message }) {
+    console.warn(`${action} rejected: ${code}`);
+    if (action === 'makeMove' && code === 'INVALID_MOVE' && this.legalMoves.length > 0) {
+      this.state = STATE.DICE_ROLLED;
+      this.highlightLegalMoves();
+    } else if (code === 'STALE_STATE') {
+      this.requestSync();
+    }
+    this.onErrorMessage({ code, params, message });
+  }
+
+  /**
+   * Handler for error messages from the server: a banner for those that leave
+   * us without a game, otherwise a toast.
+   */
+  onErrorMessage({ code, params, message }) {
+    const text = this.describe(code, params, message);
+    if (BANNER_ERRORS.includes(code)) {
+      UI.showBanner(text);
+    } else {
+      UI.showToast(text, 'error');
+    }
+  }
+
+  /**
+   * Words a code from the server, naming players by their labels.
+   */
+  describe(code, params = {}, message) {
+    const name = params.playerId ? this.getPlayerLabel(params.playerId) : undefined;
+    return Messages.formatMessage(code, { ...params, name }, message);
   }
 
   /**
    * Handler for when the dice is clicked.
    */
   onDiceClick() {
+    // Input waits until everything that happened has been shown
+    if (this.isSpectator || Animations.isBusy()) {
+      return;
+    }
     if (this.state !== STATE.DICE_NOT_ROLLED || this.playerId !== this.getCurrentPlayerId()) {
-      alert('It is not your turn to roll the dice.');
+      UI.showToast('It is not your turn to roll the dice.', 'error');
       return;
     }
     console.log('Rolling the dice.');
     // Emit the rollDice event to the server
-    this.socket.emit('rollDice');
+    this.socket.emit('rollDice', { version: this.version });
     UI.disableDice();
   }
 
   /**
-   * Handler for when a piece is clicked.
+   * Handler for when a piece is clicked. A click on a square where several of
+   * the pieces can move asks which one.
    */
   onPieceClick(event) {
     const target = event.target;
-
-    if (!target.classList.contains('player-piece') || !target.classList.contains('highlight')) {
+    if (!target.classList.contains('player-piece')) {
+      return;
+    }
+    const movable = UI.getMovableStack(target);
+    if (movable.length === 0 || Animations.isBusy()) {
       return;
     }
     console.log('Piece clicked');
 
-    const player = target.getAttribute('player-id');
-    const piece = parseInt(target.getAttribute('piece'));
+    if (movable.length > 1) {
+      const choices = movable.map((choice) => ({ ...choice, label: this.describePiece(choice) }));
+      UI.showStackPicker(choices, ({ playerId, pieceIndex }) => this.pickPiece(playerId, pieceIndex));
+      return;
+    }
+    this.pickPiece(movable[0].playerId, movable[0].pieceIndex);
+  }
 
-    if (player !== this.playerId) {
-      alert('You can only move your own pieces.');
+  /**
+   * Moves the piece picked, if it is still ours to move.
+   */
+  pickPiece(player, piece) {
+    // Under the partnerMoves rule our legal moves can be our partner's pieces
+    if (!this.legalMoves.some((move) => (move.ownerId || this.playerId) === player)) {
+      UI.showToast('You can only move your own pieces.', 'error');
       return;
     }
 
     if (this.state !== STATE.DICE_ROLLED || this.playerId !== this.getCurrentPlayerId()) {
-      alert('It is not your turn to move.');
+      UI.showToast('It is not your turn to move.', 'error');
       return;
     }
 
@@ -242,6 +1103,14 @@ export class Ludo {
     UI.unhighlightPieces();
   }
 
+  /**
+   * Names a piece for the stack picker: 'Piece 2', or 'Alice's piece 2' for a partner's.
+   */
+  describePiece({ playerId, pieceIndex }) {
+    const number = pieceIndex + 1;
+    return playerId === this.playerId ? `Piece ${number}` : `${this.getPlayerLabel(playerId)}'s piece ${number}`;
+  }
+
   /**
    * Handles the logic when a piece is clicked.
    */
@@ -250,59 +1119,18 @@ export class Ludo {
     // We don't move the piece here; we wait for the server to confirm and send the move data
 
     // Send the move to the server
-    this.socket.emit('makeMove', { pieceIndex: piece });
+    this.socket.emit('makeMove', { pieceIndex: piece, version: this.version });
     this.state = STATE.DICE_NOT_ROLLED;
   }
 
   /**
-   * Checks for eligible pieces to move after a dice roll.
-   */
-  checkForEligiblePieces() {
-    const eligiblePieces = this.getEligiblePieces(this.playerId);
-    if (eligiblePieces.length > 0) {
-      UI.highlightPieces(this.playerId, eligiblePieces);
-    } else {
-      // No eligible pieces, notify the server to end the turn
-      this.socket.emit('noMoves');
-    }
-  }
-
-  /**
-   * Determines which pieces are eligible to move.
+   * Highlights the pieces the server says can move with the current roll,
+   * which may be our partner's in team play.
    */
-  getEligiblePieces(player) {
-    const pieces = this.currentPositions[player];
-    const diceValue = this.diceValue;
-    const eligiblePieces = [];
-
-    pieces.forEach((currentPosition, pieceIndex) => {
-      if (currentPosition === HOME_POSITIONS[player]) {
-        // Piece already at home
-        return;
-      }
-
-      if (BASE_POSITIONS[player].includes(currentPosition)) {
-        // Piece is in base (home position)
-        if (diceValue === 6) {
-          eligiblePieces.push(pieceIndex);
-        }
-        return;
-      }
-
-      if (HOME_ENTRANCE[player].includes(currentPosition)) {
-        const index = HOME_ENTRANCE[player].indexOf(currentPosition);
-        const stepsToHome = HOME_ENTRANCE[player].length - index;
-        if (diceValue > stepsToHome) {
-          // Dice value is too high to reach home
-          return;
-        }
-      }
-
-      // All other pieces are eligible
-      eligiblePieces.push(pieceIndex);
+  highlightLegalMoves() {
+    this.legalMoves.forEach(({ ownerId, pieceIndex }) => {
+      UI.highlightPieces(ownerId || this.playerId, [pieceIndex]);
     });
-
-    return eligiblePieces;
   }
 
   /**
@@ -310,7 +1138,7 @@ export class Ludo {
    */
   onResetClick() {
     // Optionally implement a reset functionality
-    alert('Reset is not implemented in multiplayer mode.');
+    UI.showToast('Reset is not implemented in multiplayer mode.');
   }
 
   /**
@@ -326,4 +1154,4 @@ export class Ludo {
   getPlayerIdByIndex(index) {
     return this.players[index];
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,275 @@
+// Replay.js
+
+import { UI } from './UI.js';
+import { BASE_POSITIONS } from './constants.js';
+
+// Delay (ms) between the steps of a moving piece at normal speed
+const STEP_INTERVAL = 300;
+
+// Pause (ms) between events while playing at normal speed
+const EVENT_INTERVAL = 700;
+
+const controls = {
+  start: document.querySelector('#replay-start'),
+  back: document.querySelector('#replay-back'),
+  play: document.querySelector('#replay-play'),
+  forward: document.querySelector('#replay-forward'),
+  speed: document.querySelector('#replay-speed'),
+  step: document.querySelector('.replay-step'),
+};
+
+/**
+ * Plays back a finished game from its saved event log, one event at a time,
+ * forwards or backwards.
+ */
+export class Replay {
+  constructor(replayId) {
+    this.steps = []; // The log entries after the game started
+    this.frames = []; // The board before each step, and after the last one
+    this.names = {}; // Display names by player ID, for seats that had one
+    this.index = 0; // The next step to play
+    this.speed = 1;
+    this.busy = false; // True while a piece is moving
+    this.playing = false;
+    this.playTimer = null;
+
+    this.setupUIListeners();
+    this.setControlsEnabled(false);
+
+    fetch(`/api/replays/${replayId}`)
+      .then((response) => (response.ok ? response.json() : Promise.reject(response.status)))
+      .then((replay) => this.load(replay))
+      .catch(() => UI.setStatus('This replay could not be loaded.'));
+  }
+
+  /**
+   * Set up event listeners for the playback controls.
+   */
+  setupUIListeners() {
+    controls.start.addEventListener('click', () => this.rewind());
+    controls.back.addEventListener('click', () => this.stepBack());
+    controls.forward.addEventListener('click', () => this.stepForward());
+    controls.play.addEventListener('click', () => this.togglePlay());
+    controls.speed.addEventListener('change', () => {
+      this.speed = Number(controls.speed.value) || 1;
+    });
+  }
+
+  /**
+   * Works out the board after every event of a saved game and shows the start.
+   */
+  load(replay) {
+    const startIndex = replay.log.findIndex((entry) => entry.type === 'start');
+    const start = replay.log[startIndex];
+    this.steps = replay.log.slice(startIndex + 1);
+
+    // Name the seats the way the game did
+    replay.log.filter((entry) => entry.type === 'join' && entry.name).forEach((entry) => {
+      this.names[entry.playerId] = entry.name;
+    });
+
+    let frame = {
+      players: start.players,
+      positions: start.positions,
+      playerId: start.players[0],
+      diceValue: null,
+    };
+    this.frames = [frame];
+    this.steps.forEach((entry) => {
+      frame = this.applyEntry(frame, entry);
+      this.frames.push(frame);
+    });
+
+    UI.setRules(replay.rules);
+    UI.setPlayerNames(this.names);
+    this.setControlsEnabled(true);
+    this.showFrame();
+  }
+
+  /**
+   * Works out the board after one log entry.
+   */
+  applyEntry(frame, entry) {
+    const next = {
+      players: frame.players,
+      positions: JSON.parse(JSON.stringify(frame.positions)),
+      playerId: entry.playerId || entry.winner || frame.playerId,
+      diceValue: frame.diceValue,
+    };
+
+    switch (entry.type) {
+      case 'roll':
+        next.diceValue = entry.diceValue;
+        break;
+      case 'move':
+        next.positions[entry.playerId][entry.pieceIndex] = entry.path[entry.path.length - 1];
+        break;
+      case 'capture':
+        next.positions[entry.opponentId][entry.pieceIndex] = BASE_POSITIONS[entry.opponentId][entry.pieceIndex];
+        break;
+      case 'leave':
+        next.players = frame.players.filter((id) => id !== entry.playerId);
+        break;
+    }
+    return next;
+  }
+
+  /**
+   * Shows the next event, walking the piece along its path for a move.
+   */
+  stepForward(onDone = () => {}) {
+    if (this.busy || this.index >= this.steps.length) {
+      return;
+    }
+
+    const entry = this.steps[this.index];
+    this.index++;
+
+    if (entry.type === 'move') {
+      this.animate(entry.playerId, entry.pieceIndex, entry.path, onDone);
+    } else {
+      this.showFrame();
+      onDone();
+    }
+  }
+
+  /**
+   * Undoes the last event shown, walking a moved piece back the way it came.
+   */
+  stepBack() {
+    if (this.busy || this.index === 0) {
+      return;
+    }
+
+    this.pause();
+    this.index--;
+    const entry = this.steps[this.index];
+
+    if (entry.type === 'move') {
+      const origin = this.frames[this.index].positions[entry.playerId][entry.pieceIndex];
+      const path = entry.path.slice(0, -1).reverse().concat(origin);
+      this.animate(entry.playerId, entry.pieceIndex, path);
+    } else {
+      this.showFrame();
+    }
+  }
+
+  /**
+   * Goes back to the start of the game.
+   */
+  rewind() {
+    if (this.busy) {
+      return;
+    }
+    this.pause();
+    this.index = 0;
+    this.showFrame();
+  }
+
+  /**
+   * Starts or stops playing the events one after another.
+   */
+  togglePlay() {
+    if (this.playing) {
+      this.pause();
+    } else {
+      this.playing = true;
+      controls.play.innerText = 'Pause';
+      this.playNext();
+    }
+  }
+
+  /**
+   * Shows the next event and schedules the one after it.
+   */
+  playNext() {
+    if (this.index >= this.steps.length) {
+      this.pause();
+      return;
+    }
+    this.stepForward(() => {
+      if (!this.playing) return;
+      this.playTimer = setTimeout(() => this.playNext(), EVENT_INTERVAL / this.speed);
+    });
+  }
+
+  /**
+   * Stops playing after the current event.
+   */
+  pause() {
+    clearTimeout(this.playTimer);
+    this.playing = false;
+    controls.play.innerText = 'Play';
+  }
+
+  /**
+   * Walks a piece along a path at the chosen speed, then shows the board as it is after the step.
+   */
+  animate(playerId, pieceIndex, path, onDone = () => {}) {
+    this.busy = true;
+    this.showFrame(false);
+    UI.animateMove(playerId, pieceIndex, path, STEP_INTERVAL / this.speed, () => {
+      this.busy = false;
+      this.showFrame();
+      onDone();
+    });
+  }
+
+  /**
+   * Shows the board, turn, dice and description for the current step.
+   * @param {boolean} [withBoard] - Whether to place the pieces too (not while one is being animated).
+   */
+  showFrame(withBoard = true) {
+    const frame = this.frames[this.index];
+    UI.showPlayers(frame.players);
+    if (withBoard) {
+      UI.updateBoard(frame.positions);
+    }
+    UI.setTurn(frame.playerId, this.names[frame.playerId] || frame.playerId);
+    UI.setDiceValue(frame.diceValue === null ? '-' : frame.diceValue);
+
+    const entry = this.steps[this.index - 1];
+    controls.step.innerText = entry
+      ? `${this.index} / ${this.steps.length}: ${this.describe(entry)}`
+      : `0 / ${this.steps.length}: The game begins`;
+  }
+
+  /**
+   * Describes a log entry in words.
+   */
+  describe(entry) {
+    const name = (playerId) => this.names[playerId] || playerId;
+    switch (entry.type) {
+      case 'roll':
+        return `${name(entry.playerId)} rolled a ${entry.diceValue}`;
+      case 'move':
+        if (entry.movedBy) {
+          return `${name(entry.movedBy)} moved piece ${entry.pieceIndex + 1} of ${name(entry.playerId)}`;
+        }
+        return `${name(entry.playerId)} moved piece ${entry.pieceIndex + 1}`;
+      case 'capture':
+        return `${name(entry.playerId)} captured a piece of ${name(entry.opponentId)}`;
+      case 'pass':
+        return `${name(entry.playerId)} had no moves`;
+      case 'forfeit':
+        return `${name(entry.playerId)} rolled a third six and lost the turn`;
+      case 'skip':
+        return `${name(entry.playerId)}'s turn was skipped`;
+      case 'leave':
+        return `${name(entry.playerId)} left the game`;
+      case 'win':
+        return `${(entry.winners || [entry.winner]).map(name).join(' & ')} won the game`;
+      default:
+        return entry.type;
+    }
+  }
+
+  /**
+   * Turns the playback controls on or off.
+   */
+  setControlsEnabled(enabled) {
+    ['start', 'back', 'play', 'forward'].forEach((name) => {
+      controls[name].disabled = !enabled;
+    });
+  }
+}
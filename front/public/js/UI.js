@@ -1,15 +1,91 @@
 // UI.js
 
-import { COORDINATES_MAP, PLAYERS, STEP_LENGTH } from './constants.js';
+import { COORDINATES_MAP, EMOTES, HOME_POSITIONS, PLAYERS, STEP_LENGTH } from './constants.js';
+import { Messages } from './messages.js';
 
 const diceButtonElement = document.querySelector('#dice-btn');
+const turnTimerElement = document.createElement('div');
+turnTimerElement.className = 'turn-timer';
+let turnTimerInterval = null;
 const playerPiecesElements = {
   P1: document.querySelectorAll('[player-id="P1"].player-piece'),
-  // P2: document.querySelectorAll('[player-id="P2"].player-piece'),
+  P2: document.querySelectorAll('[player-id="P2"].player-piece'),
   P3: document.querySelectorAll('[player-id="P3"].player-piece'),
-  // P4: document.querySelectorAll('[player-id="P4"].player-piece'),
+  P4: document.querySelectorAll('[player-id="P4"].player-piece'),
 };
 
+// How long (ms) an emote bubble stays next to a player's base
+const EMOTE_DURATION = 3000;
+
+// Most chat messages kept on screen
+const MAX_CHAT_MESSAGES = 100;
+
+// How long (ms) a toast stays up, and how many are shown at once
+const TOAST_DURATION = 4000;
+const MAX_TOASTS = 3;
+
+// The square each piece is drawn on, by player ID, to find the pieces sharing a square
+const piecePositions = { P1: [], P2: [], P3: [], P4: [] };
+
+// Offsets (% of the board) fanning out the pieces that share a square, by how
+// many share it. Bigger stacks reuse the four-piece layout; the count badge on
+// the top piece says how many there are.
+const STACK_LAYOUTS = {
+  1: [[0, 0]],
+  2: [[-0.8, -0.8], [0.8, 0.8]],
+  3: [[-0.9, -0.8], [0.9, -0.8], [0, 0.9]],
+  4: [[-0.9, -0.9], [0.9, -0.9], [-0.9, 0.9], [0.9, 0.9]],
+};
+
+/**
+ * Lists the pieces drawn on a square, leaving out those of seats not in play.
+ * @param {number} position - The square.
+ * @returns {Array<{playerId: string, pieceIndex: number, element: HTMLElement}>} - The pieces.
+ */
+function getStack(position) {
+  const stack = [];
+  PLAYERS.forEach((playerId) => {
+    playerPiecesElements[playerId].forEach((element, pieceIndex) => {
+      if (piecePositions[playerId][pieceIndex] === position && element.style.display !== 'none') {
+        stack.push({ playerId, pieceIndex, element });
+      }
+    });
+  });
+  return stack;
+}
+
+/**
+ * Places the pieces on a square, fanned out if there are several, with a count
+ * badge on the top one.
+ * @param {number} position - The square.
+ */
+function layoutSquare(position) {
+  const [x, y] = COORDINATES_MAP[position];
+  const stack = getStack(position);
+  const layout = STACK_LAYOUTS[Math.min(stack.length, 4)];
+  stack.forEach(({ element }, index) => {
+    const [dx, dy] = layout[index % layout.length];
+    element.style.top = y * STEP_LENGTH + dy + '%';
+    element.style.left = x * STEP_LENGTH + dx + '%';
+    if (stack.length > 1 && index === stack.length - 1) {
+      element.setAttribute('data-stack-count', stack.length);
+    } else {
+      element.removeAttribute('data-stack-count');
+    }
+  });
+}
+
+/**
+ * Places the pieces on every square that has any, e.g. after seats are shown or hidden.
+ */
+function layoutAllSquares() {
+  const positions = new Set();
+  PLAYERS.forEach((playerId) => {
+    piecePositions[playerId].forEach((position) => positions.add(position));
+  });
+  positions.forEach(layoutSquare);
+}
+
 export class UI {
   /**
    * Sets up the event listener for the dice button click.
@@ -41,6 +117,10 @@ export class UI {
    */
   static updateBoard(currentPositions) {
     PLAYERS.forEach((player) => {
+      if (!currentPositions[player]) {
+        // Seat not in play in this room
+        return;
+      }
       currentPositions[player].forEach((position, pieceIndex) => {
         this.setPiecePosition(player, pieceIndex, position);
       });
@@ -48,7 +128,26 @@ export class UI {
   }
 
   /**
-   * Sets the position of a specific piece on the board.
+   * Shows the pieces and bases of the seated players and hides the rest.
+   * @param {string[]} players - The player IDs taking part in the game.
+   */
+  static showPlayers(players) {
+    PLAYERS.forEach((player) => {
+      const display = players.includes(player) ? '' : 'none';
+      playerPiecesElements[player].forEach((pieceElement) => {
+        pieceElement.style.display = display;
+      });
+      const baseElement = document.querySelector(`.player-base[player-id="${player}"]`);
+      if (baseElement) {
+        baseElement.style.display = display;
+      }
+    });
+    layoutAllSquares();
+  }
+
+  /**
+   * Sets the position of a specific piece on the board. Pieces sharing a square
+   * are fanned out around it, both where the piece arrives and where it left.
    * @param {string} player - The player ID (e.g., 'P1').
    * @param {number} piece - The index of the piece (0-3).
    * @param {number} newPosition - The new position index on the board.
@@ -66,24 +165,121 @@ export class UI {
       return;
     }
 
-    const [x, y] = coordinates;
-    const pieceElement = playerPiecesElements[player][piece];
-    pieceElement.style.top = y * STEP_LENGTH + '%';
-    pieceElement.style.left = x * STEP_LENGTH + '%';
+    const oldPosition = piecePositions[player][piece];
+    piecePositions[player][piece] = newPosition;
+    layoutSquare(newPosition);
+    if (oldPosition !== undefined && oldPosition !== newPosition) {
+      layoutSquare(oldPosition);
+    }
+  }
+
+  /**
+   * Lists the highlighted (movable) pieces on the square of a clicked piece,
+   * which need not be highlighted itself: it may sit on top of one that is.
+   * @param {HTMLElement} pieceElement - The clicked piece.
+   * @returns {Array<{playerId: string, pieceIndex: number}>} - The movable pieces there.
+   */
+  static getMovableStack(pieceElement) {
+    const playerId = pieceElement.getAttribute('player-id');
+    const position = piecePositions[playerId][parseInt(pieceElement.getAttribute('piece'))];
+    return getStack(position)
+      .filter(({ element }) => element.classList.contains('highlight'))
+      .map(({ playerId: owner, pieceIndex }) => ({ playerId: owner, pieceIndex }));
+  }
+
+  /**
+   * Asks which piece of a stack to move, next to the stack.
+   * @param {Array<{playerId: string, pieceIndex: number, label: string}>} choices - The movable pieces.
+   * @param {Function} onPick - Called with the chosen `{playerId, pieceIndex}`.
+   */
+  static showStackPicker(choices, onPick) {
+    this.hideStackPicker();
+    const { playerId, pieceIndex } = choices[0];
+    const [x, y] = COORDINATES_MAP[piecePositions[playerId][pieceIndex]];
+
+    const picker = document.createElement('div');
+    picker.className = 'stack-picker';
+    picker.style.top = y * STEP_LENGTH + '%';
+    picker.style.left = x * STEP_LENGTH + '%';
+    choices.forEach((choice) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'stack-picker-choice';
+      button.setAttribute('player-id', choice.playerId);
+      button.innerText = choice.label;
+      button.addEventListener('click', (event) => {
+        event.stopPropagation();
+        this.hideStackPicker();
+        onPick({ playerId: choice.playerId, pieceIndex: choice.pieceIndex });
+      });
+      picker.appendChild(button);
+    });
+    document.querySelector('.ludo').appendChild(picker);
+
+    // Clicking anywhere else or pressing Escape closes it without a move. The
+    // click that opened it has already passed the capture phase, so it doesn't count.
+    const close = (event) => {
+      if (event.type === 'keydown' ? event.key === 'Escape' : !picker.contains(event.target)) {
+        this.hideStackPicker();
+      }
+    };
+    picker.close = () => {
+      document.removeEventListener('click', close, true);
+      document.removeEventListener('keydown', close);
+    };
+    document.addEventListener('click', close, true);
+    document.addEventListener('keydown', close);
+  }
+
+  /**
+   * Closes the stack picker, if it is open.
+   */
+  static hideStackPicker() {
+    const picker = document.querySelector('.stack-picker');
+    if (picker) {
+      picker.close();
+      picker.remove();
+    }
+  }
+
+  /**
+   * Walks a piece along a path one square at a time.
+   * @param {string} player - The player ID (e.g., 'P1').
+   * @param {number} piece - The index of the piece (0-3).
+   * @param {number[]} path - The squares to step through, ending on the destination.
+   * @param {number} [stepInterval] - Milliseconds between steps.
+   * @param {Function} [onDone] - Called once the piece has arrived.
+   * @returns {number} - The interval ID, to stop the animation early with `clearInterval`.
+   */
+  static animateMove(player, piece, path, stepInterval = 300, onDone = () => {}) {
+    const steps = path.slice();
+    const interval = setInterval(() => {
+      const nextPosition = steps.shift();
+      if (nextPosition !== undefined) {
+        this.setPiecePosition(player, piece, nextPosition);
+      }
+
+      if (steps.length === 0) {
+        clearInterval(interval);
+        onDone();
+      }
+    }, stepInterval);
+    return interval;
   }
 
   /**
    * Displays the current player's turn in the UI.
    * @param {string} playerId - The player ID whose turn it is.
+   * @param {string} [label] - How to name the player (defaults to the player ID).
    */
-  static setTurn(playerId) {
+  static setTurn(playerId, label = playerId) {
     if (!PLAYERS.includes(playerId)) {
       console.error('Invalid player ID!');
       return;
     }
 
-    // Display player ID
-    document.querySelector('.active-player span').innerText = playerId;
+    // Display the player's name
+    document.querySelector('.active-player span').innerText = label;
 
     // Highlight the active player's base
     document.querySelectorAll('.player-base').forEach((base) => {
@@ -95,6 +291,448 @@ export class UI {
     }
   }
 
+  /**
+   * Shows the private room code and its shareable link.
+   * @param {string} code - The room code.
+   * @param {string} url - The link other players can open to join.
+   */
+  static setRoomCode(code, url) {
+    const roomCodeElement = document.querySelector('.room-code');
+    roomCodeElement.querySelector('span').innerText = code;
+    const linkElement = roomCodeElement.querySelector('a');
+    linkElement.href = url;
+    linkElement.innerText = url;
+    roomCodeElement.removeAttribute('hidden');
+  }
+
+  /**
+   * Shows a short message in the corner of the page for a few seconds, without
+   * getting in the way of the game.
+   * @param {string} message - The text to show.
+   * @param {string} [kind] - 'info' or 'error', for its colour.
+   */
+  static showToast(message, kind = 'info') {
+    const toastsElement = document.querySelector('.toasts');
+    const toast = document.createElement('div');
+    toast.className = `toast toast-${kind}`;
+    toast.innerText = message;
+    toastsElement.appendChild(toast);
+    setTimeout(() => toast.remove(), TOAST_DURATION);
+
+    while (toastsElement.children.length > MAX_TOASTS) {
+      toastsElement.removeChild(toastsElement.firstChild);
+    }
+  }
+
+  /**
+   * Shows a message across the top of the page until it is dismissed or replaced,
+   * for news that changes the game (e.g. a player left).
+   * @param {string} message - The text to show.
+   */
+  static showBanner(message) {
+    const bannerElement = document.querySelector('.banner');
+    bannerElement.querySelector('span').innerText = message;
+    bannerElement.querySelector('.banner-close').onclick = () => this.hideBanner();
+    bannerElement.hidden = false;
+  }
+
+  /**
+   * Hides the banner.
+   */
+  static hideBanner() {
+    document.querySelector('.banner').hidden = true;
+  }
+
+  /**
+   * Sets up the event listeners for the end-of-game buttons.
+   * @param {Function} onRematch - Called with the chosen `{bestOf, rotateFirst}` when Rematch is clicked.
+   * @param {Function} onLeave - The function to call when Leave is clicked.
+   */
+  static listenGameOverClick(onRematch, onLeave) {
+    document.querySelector('.btn-rematch').addEventListener('click', () => {
+      onRematch({
+        bestOf: Number(document.querySelector('.rematch-best-of').value),
+        rotateFirst: document.querySelector('.rematch-rotate').checked,
+      });
+    });
+    document.querySelector('.btn-leave').addEventListener('click', onLeave);
+  }
+
+  /**
+   * Opens the end-of-game window with everyone's placing.
+   * @param {string} title - The headline, e.g. who won.
+   * @param {Object[]} placements - `{label, isYou}` for each player, from first to last place.
+   * @param {boolean} canRematch - Whether to offer a rematch (spectators can only leave).
+   */
+  static showGameOver(title, placements, canRematch) {
+    const gameOverElement = document.querySelector('.game-over');
+    gameOverElement.querySelector('.game-over-title').innerText = title;
+
+    const listElement = gameOverElement.querySelector('.game-over-placements');
+    listElement.innerHTML = '';
+    placements.forEach(({ label, isYou }) => {
+      const item = document.createElement('li');
+      item.innerText = isYou ? `${label} (you)` : label;
+      item.classList.toggle('game-over-you', isYou);
+      listElement.appendChild(item);
+    });
+
+    this.setRematchState(canRematch ? 'open' : 'closed');
+    gameOverElement.hidden = false;
+  }
+
+  /**
+   * Shows where the rematch stands in the end-of-game window.
+   * @param {string} state - 'open' (nobody has offered one yet), 'offered' (someone
+   * else has), 'accepted' (waiting on the others) or 'closed' (there won't be one).
+   * @param {string} [status] - A line about it, e.g. who offered and on what terms.
+   */
+  static setRematchState(state, status = '') {
+    const gameOverElement = document.querySelector('.game-over');
+    const rematchButton = gameOverElement.querySelector('.btn-rematch');
+    rematchButton.hidden = state === 'closed';
+    rematchButton.disabled = state === 'accepted';
+    rematchButton.innerText = state === 'offered' ? 'Accept rematch' : 'Rematch';
+    gameOverElement.querySelector('.rematch-options').hidden = state !== 'open';
+
+    const statusElement = gameOverElement.querySelector('.rematch-status');
+    statusElement.innerText = status;
+    statusElement.hidden = !status;
+  }
+
+  /**
+   * Colours each seat's base and pieces by team and lists how many pieces
+   * each team has brought home.
+   * @param {string[][]} teams - The teams, each a list of player IDs; empty without team play.
+   * @param {Object} currentPositions - The current positions of all players' pieces.
+   * @param {Object} names - Display names by player ID.
+   */
+  static setTeams(teams, currentPositions, names) {
+    PLAYERS.forEach((playerId) => {
+      const index = teams.findIndex((team) => team.includes(playerId));
+      const baseElement = document.querySelector(`.player-base[player-id="${playerId}"]`);
+      [...playerPiecesElements[playerId], baseElement].filter(Boolean).forEach((element) => {
+        if (index === -1) {
+          element.removeAttribute('team-id');
+        } else {
+          element.setAttribute('team-id', index + 1);
+        }
+      });
+    });
+
+    const scoresElement = document.querySelector('.team-scores');
+    scoresElement.innerHTML = '';
+    teams.forEach((team, index) => {
+      const pieces = team.flatMap((playerId) => currentPositions[playerId].map((p) => p === HOME_POSITIONS[playerId]));
+      const home = pieces.filter(Boolean).length;
+      const label = team.map((playerId) => names[playerId] || playerId).join(' & ');
+      const item = document.createElement('li');
+      item.setAttribute('team-id', index + 1);
+      item.innerText = `${label}: ${home}/${pieces.length} home`;
+      scoresElement.appendChild(item);
+    });
+    scoresElement.hidden = teams.length === 0;
+  }
+
+  /**
+   * Shows the score of the series played in the room, under the board and in
+   * the end-of-game window.
+   * @param {string} text - The score; empty to hide it.
+   */
+  static setSeriesScore(text) {
+    document.querySelectorAll('.series-score, .game-over-series').forEach((element) => {
+      element.innerText = text;
+      element.hidden = !text;
+    });
+  }
+
+  /**
+   * Closes the end-of-game window.
+   */
+  static hideGameOver() {
+    document.querySelector('.game-over').hidden = true;
+  }
+
+  /**
+   * Lists the house rules in play for the room.
+   * @param {Object} rules - The room's house rules.
+   */
+  static setRules(rules) {
+    const rulesElement = document.querySelector('.room-rules');
+    rulesElement.innerHTML = '';
+    Messages.describeRules(rules).forEach((label) => {
+      const item = document.createElement('li');
+      item.innerText = label;
+      rulesElement.appendChild(item);
+    });
+  }
+
+  /**
+   * Shows a status line under the board (e.g. who the game is waiting on).
+   * @param {string} message - The text to show; empty to hide it.
+   */
+  static setStatus(message) {
+    const statusElement = document.querySelector('.status-message');
+    statusElement.innerText = message;
+    statusElement.hidden = !message;
+  }
+
+  /**
+   * Shows how many people are watching the game.
+   * @param {number} viewers - The number of spectators.
+   */
+  static setViewerCount(viewers) {
+    const viewerElement = document.querySelector('.viewer-count');
+    viewerElement.querySelector('span').innerText = viewers;
+    viewerElement.hidden = !viewers;
+  }
+
+  /**
+   * Switches the page to watching only: the dice and pieces can't be used.
+   */
+  static setSpectating() {
+    document.querySelector('.spectator-banner').hidden = false;
+    document.querySelector('.ludo-container').classList.add('spectating');
+    this.disableDice();
+  }
+
+  /**
+   * Shows the hash the server committed to for the game's dice, before any roll.
+   * @param {string} commitment - The SHA-256 hash of the server seed.
+   */
+  static setDiceCommitment(commitment) {
+    const commitmentElement = document.querySelector('.dice-commitment');
+    commitmentElement.querySelector('code').innerText = commitment;
+    commitmentElement.hidden = !commitment;
+  }
+
+  /**
+   * Shows links to the replay of the game that just ended and to the check of its dice.
+   * @param {string} url - The replay page.
+   * @param {string} verifyUrl - The dice verifier page.
+   */
+  static setReplayLink(url, verifyUrl) {
+    const linkElement = document.querySelector('.replay-link');
+    linkElement.querySelector('a').href = url;
+    linkElement.querySelector('.verify-link').href = verifyUrl;
+    linkElement.hidden = false;
+  }
+
+  /**
+   * Hides the replay links, once a new game starts.
+   */
+  static hideReplayLink() {
+    document.querySelector('.replay-link').hidden = true;
+  }
+
+  /**
+   * Writes each player's name on their base.
+   * @param {Object} names - Names keyed by player ID; seats without one show their label.
+   */
+  static setPlayerNames(names) {
+    PLAYERS.forEach((playerId) => {
+      const baseElement = document.querySelector(`.player-base[player-id="${playerId}"]`);
+      if (!baseElement) return;
+
+      let nameElement = baseElement.querySelector('.player-name');
+      if (!nameElement) {
+        nameElement = document.createElement('div');
+        nameElement.className = 'player-name';
+        baseElement.appendChild(nameElement);
+      }
+      nameElement.innerText = names[playerId] || playerId;
+    });
+  }
+
+  /**
+   * Shows the sign-in panel.
+   */
+  static showAccountPanel() {
+    document.querySelector('.account').hidden = false;
+  }
+
+  /**
+   * Sets up the event listener for the sign-in form.
+   * @param {Function} callback - Called with the nickname and password (which may be empty).
+   */
+  static listenAccountSubmit(callback) {
+    const formElement = document.querySelector('.account-form');
+    formElement.addEventListener('submit', (event) => {
+      event.preventDefault();
+      const nickname = formElement.querySelector('.account-nickname').value.trim();
+      const passwordElement = formElement.querySelector('.account-password');
+      if (nickname) {
+        callback(nickname, passwordElement.value);
+        passwordElement.value = '';
+      }
+    });
+  }
+
+  /**
+   * Sets up the event listener for the sign-out button.
+   * @param {Function} callback - The function to call when it is clicked.
+   */
+  static listenSignOutClick(callback) {
+    document.querySelector('.btn-sign-out').addEventListener('click', callback);
+  }
+
+  /**
+   * Shows who is signed in along with their stats, or the sign-in form.
+   * @param {string|null} nickname - The signed-in nickname, or null to show the form.
+   * @param {Object} [stats] - The account's stats.
+   */
+  static showAccount(nickname, stats) {
+    const infoElement = document.querySelector('.account-info');
+    document.querySelector('.account-form').hidden = !!nickname;
+    infoElement.hidden = !nickname;
+    if (!nickname) return;
+
+    const minutes = Math.round(stats.averageGameLength / 60000);
+    infoElement.querySelector('span').innerText =
+      `${nickname} · rating ${stats.rating} · ${stats.gamesPlayed} played, ${stats.gamesWon} won · ` +
+      `${stats.capturesMade} captures made, ${stats.capturesSuffered} suffered · ` +
+      `average game ${minutes} min`;
+  }
+
+  /**
+   * Shows the chat panel.
+   * @param {boolean} canSend - Whether this user may write (spectators only read).
+   */
+  static showChat(canSend) {
+    document.querySelector('.chat').hidden = false;
+    document.querySelector('.chat-form').hidden = !canSend;
+    document.querySelector('.chat-emotes').hidden = !canSend;
+  }
+
+  /**
+   * Sets up the event listener for sending a chat message.
+   * @param {Function} callback - Called with the typed text.
+   */
+  static listenChatSubmit(callback) {
+    const formElement = document.querySelector('.chat-form');
+    const inputElement = formElement.querySelector('.chat-input');
+    formElement.addEventListener('submit', (event) => {
+      event.preventDefault();
+      if (inputElement.value.trim()) {
+        callback(inputElement.value);
+        inputElement.value = '';
+      }
+    });
+  }
+
+  /**
+   * Adds a button for each emote.
+   * @param {Function} callback - Called with the emote ID when one is clicked.
+   */
+  static listenEmoteClick(callback) {
+    const emotesElement = document.querySelector('.chat-emotes');
+    Object.keys(EMOTES).forEach((emote) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'btn btn-emote';
+      button.innerText = EMOTES[emote];
+      button.addEventListener('click', () => callback(emote));
+      emotesElement.appendChild(button);
+    });
+  }
+
+  /**
+   * Adds a message to the chat panel.
+   * @param {string} sender - How to name the sender.
+   * @param {string} text - The message.
+   */
+  static addChatMessage(sender, text) {
+    const messagesElement = document.querySelector('.chat-messages');
+    const item = document.createElement('li');
+    const senderElement = document.createElement('strong');
+    senderElement.innerText = `${sender}: `;
+    item.appendChild(senderElement);
+    item.appendChild(document.createTextNode(text));
+    messagesElement.appendChild(item);
+
+    while (messagesElement.children.length > MAX_CHAT_MESSAGES) {
+      messagesElement.removeChild(messagesElement.firstChild);
+    }
+    messagesElement.scrollTop = messagesElement.scrollHeight;
+  }
+
+  /**
+   * Removes every message from the chat panel.
+   */
+  static clearChat() {
+    document.querySelector('.chat-messages').innerHTML = '';
+  }
+
+  /**
+   * Shows an emote as a speech bubble next to a player's base for a few seconds.
+   * @param {string} playerId - The player who sent it.
+   * @param {string} text - The emote's text.
+   */
+  static showEmote(playerId, text) {
+    const baseElement = document.querySelector(`.player-base[player-id="${playerId}"]`);
+    if (!baseElement) return;
+
+    const bubble = document.createElement('div');
+    bubble.className = 'emote-bubble';
+    bubble.innerText = text;
+    baseElement.appendChild(bubble);
+    setTimeout(() => bubble.remove(), EMOTE_DURATION);
+  }
+
+  /**
+   * Shows a mute toggle for each other player.
+   * @param {Array<{playerId: string, label: string}>} players - The players that can be muted, with their names.
+   * @param {Set<string>} muted - The players currently muted.
+   * @param {Function} callback - Called with a player ID when their toggle is clicked.
+   */
+  static setMuteControls(players, muted, callback) {
+    const muteElement = document.querySelector('.chat-mute');
+    muteElement.innerHTML = '';
+    players.forEach(({ playerId, label }) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'btn btn-mute';
+      button.innerText = muted.has(playerId) ? `Unmute ${label}` : `Mute ${label}`;
+      button.addEventListener('click', () => callback(playerId));
+      muteElement.appendChild(button);
+    });
+  }
+
+  /**
+   * Shows a countdown ring around a player's base.
+   * @param {string} playerId - The player whose turn it is.
+   * @param {number} remaining - Milliseconds left on the clock.
+   * @param {number} duration - The full length of the clock in milliseconds.
+   */
+  static startTurnTimer(playerId, remaining, duration) {
+    this.stopTurnTimer();
+
+    const baseElement = document.querySelector(`.player-base[player-id="${playerId}"]`);
+    if (!baseElement) {
+      return;
+    }
+    baseElement.appendChild(turnTimerElement);
+
+    const deadline = Date.now() + remaining;
+    const update = () => {
+      const left = Math.max(0, deadline - Date.now());
+      turnTimerElement.style.setProperty('--timer-progress', left / duration);
+      if (left === 0) {
+        clearInterval(turnTimerInterval);
+      }
+    };
+    update();
+    turnTimerInterval = setInterval(update, 100);
+  }
+
+  /**
+   * Removes the countdown ring.
+   */
+  static stopTurnTimer() {
+    clearInterval(turnTimerInterval);
+    turnTimerElement.remove();
+  }
+
   /**
    * Enables the dice button.
    */
@@ -130,6 +768,7 @@ export class UI {
     document.querySelectorAll('.player-piece.highlight').forEach((ele) => {
       ele.classList.remove('highlight');
     });
+    this.hideStackPicker();
   }
 
   /**
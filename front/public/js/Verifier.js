@@ -0,0 +1,117 @@
+// Verifier.js
+
+import { Dice } from './dice.js';
+
+const elements = {
+  summary: document.querySelector('.verify-summary'),
+  commitment: document.querySelector('.verify-commitment'),
+  serverSeed: document.querySelector('.verify-server-seed'),
+  clientSeed: document.querySelector('.verify-client-seed'),
+  rolls: document.querySelector('.verify-rolls tbody'),
+};
+
+const encoder = new TextEncoder();
+
+/**
+ * Writes bytes as hex digits.
+ */
+function toHex(bytes) {
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Hashes a server seed the way the server does for its commitment.
+ */
+async function commitToSeed(serverSeed) {
+  return toHex(new Uint8Array(await crypto.subtle.digest('SHA-256', encoder.encode(serverSeed))));
+}
+
+/**
+ * Works out one roll from the revealed seeds, the way the server does.
+ */
+async function rollDice(key, clientSeed, rollNumber) {
+  const digest = await crypto.subtle.sign('HMAC', key, encoder.encode(Dice.getRollMessage(clientSeed, rollNumber)));
+  return Dice.getDiceValue(new Uint8Array(digest));
+}
+
+/**
+ * Checks the dice of a finished game in the browser: that the revealed server
+ * seed matches the commitment made before the first roll, and that every roll
+ * in the replay log follows from the seeds.
+ */
+export class Verifier {
+  constructor(replayId) {
+    if (!window.crypto || !window.crypto.subtle) {
+      this.setSummary('Your browser can only check the dice on a secure (https) page.', false);
+      return;
+    }
+
+    fetch(`/api/replays/${replayId}`)
+      .then((response) => (response.ok ? response.json() : Promise.reject(response.status)))
+      .then((replay) => this.verify(replay))
+      .catch(() => this.setSummary('This game could not be loaded.', false));
+  }
+
+  /**
+   * Recomputes every roll of a replay and shows how each compares.
+   */
+  async verify(replay) {
+    const { dice } = replay;
+    if (!dice || !dice.serverSeed) {
+      this.setSummary('This game was played before its dice could be checked.', false);
+      return;
+    }
+
+    elements.commitment.innerText = dice.commitment;
+    elements.serverSeed.innerText = dice.serverSeed;
+    elements.clientSeed.innerText = dice.clientSeed;
+
+    const names = {};
+    replay.log.filter((entry) => entry.type === 'join' && entry.name).forEach((entry) => {
+      names[entry.playerId] = entry.name;
+    });
+
+    const key = await crypto.subtle.importKey(
+      'raw',
+      encoder.encode(dice.serverSeed),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign']
+    );
+    const rolls = replay.log.filter((entry) => entry.type === 'roll');
+    const expected = await Promise.all(rolls.map((entry, rollNumber) => rollDice(key, dice.clientSeed, rollNumber)));
+    const mismatches = rolls.filter((entry, i) => entry.diceValue !== expected[i]).length;
+
+    rolls.forEach((entry, i) => this.addRoll(i, names[entry.playerId] || entry.playerId, entry.diceValue, expected[i]));
+
+    if ((await commitToSeed(dice.serverSeed)) !== dice.commitment) {
+      this.setSummary('The revealed server seed does not match the commitment made before the game.', false);
+    } else if (mismatches > 0) {
+      this.setSummary(`${mismatches} of ${rolls.length} rolls do not follow from the seeds.`, false);
+    } else {
+      this.setSummary(`All ${rolls.length} rolls follow from the seeds, and the server seed matches its commitment.`, true);
+    }
+  }
+
+  /**
+   * Adds a row for one roll to the table.
+   */
+  addRoll(rollNumber, player, rolled, expected) {
+    const row = document.createElement('tr');
+    row.classList.toggle('verify-mismatch', rolled !== expected);
+    [rollNumber, player, rolled, expected, rolled === expected ? '✓' : '✗'].forEach((value) => {
+      const cell = document.createElement('td');
+      cell.innerText = value;
+      row.appendChild(cell);
+    });
+    elements.rolls.appendChild(row);
+  }
+
+  /**
+   * Shows the outcome of the check.
+   */
+  setSummary(message, verified) {
+    elements.summary.innerText = message;
+    elements.summary.classList.toggle('verify-failed', !verified);
+  }
+}
@@ -0,0 +1,9 @@
+// bots.js
+
+// The computer players live in shared/bots.js so local games play exactly like
+// the bots on the server. That file registers itself on `globalThis` when loaded
+// in the browser, after the rules engine it depends on.
+import './rules.js';
+import '../../../shared/bots.js';
+
+export const Bots = globalThis.LudoBots;
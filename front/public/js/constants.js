@@ -1,165 +1,22 @@
-export const COORDINATES_MAP = {
-    0: [6, 13],
-    1: [6, 12],
-    2: [6, 11],
-    3: [6, 10],
-    4: [6, 9],
-    5: [5, 8],
-    6: [4, 8],
-    7: [3, 8],
-    8: [2, 8],
-    9: [1, 8],
-    10: [0, 8],
-    11: [0, 7],
-    12: [0, 6],
-    13: [1, 6],
-    14: [2, 6],
-    15: [3, 6],
-    16: [4, 6],
-    17: [5, 6],
-    18: [6, 5],
-    19: [6, 4],
-    20: [6, 3],
-    21: [6, 2],
-    22: [6, 1],
-    23: [6, 0],
-    24: [7, 0],
-    25: [8, 0],
-    26: [8, 1],
-    27: [8, 2],
-    28: [8, 3],
-    29: [8, 4],
-    30: [8, 5],
-    31: [9, 6],
-    32: [10, 6],
-    33: [11, 6],
-    34: [12, 6],
-    35: [13, 6],
-    36: [14, 6],
-    37: [14, 7],
-    38: [14, 8],
-    39: [13, 8],
-    40: [12, 8],
-    41: [11, 8],
-    42: [10, 8],
-    43: [9, 8],
-    44: [8, 9],
-    45: [8, 10],
-    46: [8, 11],
-    47: [8, 12],
-    48: [8, 13],
-    49: [8, 14],
-    50: [7, 14],
-    51: [6, 14],
-
-    // HOME ENTRANCE
-
-    // P1
-    100: [7, 13],
-    101: [7, 12],
-    102: [7, 11],
-    103: [7, 10],
-    104: [7, 9],
-    105: [7, 8],
-
-    // P2
-    200: [1, 7],
-    201: [2, 7],
-    202: [3, 7],
-    203: [4, 7],
-    204: [5, 7],
-    205: [6, 7],
-    
-    // P3
-    300: [7, 1],
-    301: [7, 2],
-    302: [7, 3],
-    303: [7, 4],
-    304: [7, 5],
-    305: [7, 6],
-
-    // P4
-    400: [13, 7],
-    401: [12, 7],
-    402: [11, 7],
-    403: [10, 7],
-    404: [9, 7],
-    405: [8, 7],
-
-
-    // BASE POSITIONS
-
-    // P1
-    500: [1.5, 10.58],
-    501: [3.57, 10.58],
-    502: [1.5, 12.43],
-    503: [3.57, 12.43],
-
-    // P2
-    600: [1.5, 1.58],
-    601: [1.5, 3.5],
-    602: [3.58, 1.58],
-    603: [3.58, 3.5],
-    
-    // P3
-    700: [10.5, 1.58],
-    701: [12.54, 1.58],
-    702: [10.5, 3.45],
-    703: [12.54, 3.45],
-    
-    // P4
-    800: [10.5, 10.5],
-    801: [12.5, 10.5],
-    802: [10.5, 12.5],
-    803: [12.5, 12.5],
-    
-};
-
-export const STEP_LENGTH = 6.66;
-
-export const PLAYERS = ['P1', 'P3'];
-//export const PLAYERS = ['P1', 'P2', 'P3', 'P4'];
-
-export const BASE_POSITIONS = {
-    P1: [500, 501, 502, 503],
-    //P2: [600, 601, 602, 603],
-    P3: [700, 701, 702, 703],
-    //P4: [800, 801, 802, 803],
-}
-
-export const START_POSITIONS = {
-    P1: 0,
-   //P2: 13,
-    P3: 26,
-    //P4: 39,
-}
-
-export const HOME_ENTRANCE = {
-    P1: [100, 101, 102, 103, 104],
-    //P2: [200, 201, 202, 203, 204],
-    P3: [300, 301, 302, 303, 304],
-    //P4: [400, 401, 402, 403, 404],
-}
-
-export const HOME_POSITIONS = {
-    P1: 105,
-    //P2: 205,
-    P3: 305,
-    //P4: 405,
-}
-
-export const TURNING_POINTS = {
-    P1: 50,
-    //P2: 11,
-    P3: 24,
-    //P4: 37,
-}
-
-export const SAFE_POSITIONS = [0, 26];
-//export const SAFE_POSITIONS = [0, 13, 26, 39];
-
-export const STATE = {
-  DICE_NOT_ROLLED: 'DICE_NOT_ROLLED',
-  DICE_ROLLED: 'DICE_ROLLED',
-  WAITING_FOR_OPPONENT: 'WAITING_FOR_OPPONENT',
-};
\ No newline at end of file
+// constants.js
+
+// The board data lives in shared/constants.js so the server and the browser
+// always agree on it. That file registers itself on `globalThis` when loaded
+// in the browser.
+import '../../../shared/constants.js';
+
+export const {
+  COORDINATES_MAP,
+  STEP_LENGTH,
+  PLAYERS,
+  PLAYER_SEATS,
+  BASE_POSITIONS,
+  START_POSITIONS,
+  HOME_ENTRANCE,
+  HOME_POSITIONS,
+  TURNING_POINTS,
+  SAFE_POSITIONS,
+  STAR_POSITIONS,
+  STATE,
+  EMOTES,
+} = globalThis.LudoConstants;
@@ -0,0 +1,8 @@
+// dice.js
+
+// Provably fair dice live in shared/dice.js so the verifier page reads rolls
+// exactly like the server. That file registers itself on `globalThis` when
+// loaded in the browser.
+import '../../../shared/dice.js';
+
+export const Dice = globalThis.LudoDice;
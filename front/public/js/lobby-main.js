@@ -0,0 +1,3 @@
+import { Lobby } from './Lobby.js';
+
+const lobby = new Lobby();
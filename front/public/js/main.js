@@ -1,3 +1,7 @@
 import { Ludo } from './Ludo.js';
+import { LocalLudo } from './LocalLudo.js';
 
-const ludo = new Ludo();
\ No newline at end of file
+// `?local` plays on this device only; pages served without Socket.IO always do
+const isLocal = new URLSearchParams(window.location.search).has('local') || typeof io === 'undefined';
+
+const ludo = isLocal ? new LocalLudo() : new Ludo();
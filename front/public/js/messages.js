@@ -0,0 +1,8 @@
+// messages.js
+
+// The wording of the server's error and notice codes, and of the house rules, lives in
+// shared/messages.js so toasts read like the server's own messages. That file
+// registers itself on `globalThis` when loaded in the browser.
+import '../../../shared/messages.js';
+
+export const Messages = globalThis.LudoMessages;
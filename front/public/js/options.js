@@ -0,0 +1,39 @@
+// options.js
+
+import { PLAYER_SEATS } from './constants.js';
+
+/**
+ * Reads the room settings from the page URL:
+ * `?players=2|3|4` picks the room size, `?rules=releaseOnOne,!exactRollToFinish`
+ * turns house rules on (or off with `!`), `?bots=greedy,expectimax` seats
+ * computer players after the first seat and `?spectators=off` keeps watchers out.
+ * @param {URLSearchParams} params - The page's query parameters.
+ * @returns {{maxPlayers: number, rules: Object, bots: string[], allowSpectators: boolean}} - The requested settings.
+ */
+export function readRoomOptions(params) {
+  const maxPlayers = Number(params.get('players'));
+  return {
+    maxPlayers: PLAYER_SEATS[maxPlayers] ? maxPlayers : 2,
+    rules: parseRules(params.get('rules')),
+    bots: (params.get('bots') || '').split(',').filter(Boolean),
+    allowSpectators: params.get('spectators') !== 'off',
+  };
+}
+
+/**
+ * Turns a comma-separated list of house rule names into a rules object.
+ * The rules engine fills in and checks the rest.
+ * @param {string|null} list - The list from the URL.
+ * @returns {Object} - The requested rules.
+ */
+function parseRules(list) {
+  const rules = {};
+  (list || '').split(',').filter(Boolean).forEach((name) => {
+    if (name.startsWith('!')) {
+      rules[name.slice(1)] = false;
+    } else {
+      rules[name] = true;
+    }
+  });
+  return rules;
+}
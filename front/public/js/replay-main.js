@@ -0,0 +1,3 @@
+import { Replay } from './Replay.js';
+
+const replay = new Replay(document.body.getAttribute('data-replay-id'));
@@ -0,0 +1,9 @@
+// rules.js
+
+// The rules engine lives in shared/rules.js so the browser highlights exactly
+// the moves the server accepts. That file registers itself on `globalThis`
+// when loaded in the browser, after the constants it depends on.
+import './constants.js';
+import '../../../shared/rules.js';
+
+export const Rules = globalThis.LudoRules;
@@ -0,0 +1,8 @@
+// sync.js
+
+// State versions and deltas live in shared/sync.js so the browser applies
+// them exactly as the server makes them. That file registers itself on
+// `globalThis` when loaded in the browser.
+import '../../../shared/sync.js';
+
+export const Sync = globalThis.LudoSync;
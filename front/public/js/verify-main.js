@@ -0,0 +1,3 @@
+import { Verifier } from './Verifier.js';
+
+const verifier = new Verifier(document.body.getAttribute('data-replay-id'));
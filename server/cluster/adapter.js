@@ -0,0 +1,57 @@
+// adapter.js
+//
+// A Socket.IO adapter that passes broadcasts between game servers through the
+// shared store's publish/subscribe, so `io.in(room).emit(...)` reaches sockets
+// connected to any server. Socket.IO's ClusterAdapterWithHeartbeat does the
+// bookkeeping; this only carries its messages. Messages travel as JSON, which
+// is all this game sends (no binary attachments).
+
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+class StoreAdapter extends ClusterAdapterWithHeartbeat {
+  /**
+   * @param {Object} nsp - The namespace.
+   * @param {Object} store - The shared store (see store.js).
+   */
+  constructor(nsp, store) {
+    super(nsp, {});
+    this.store = store;
+
+    // One channel for every server in the namespace, one for replies to this server
+    this.channel = `socket.io#${nsp.name}#`;
+    this.responseChannel = `${this.channel}${this.uid}#`;
+
+    this.onStoreMessage = (message) => this.onMessage(message);
+    this.onStoreResponse = (response) => this.onResponse(response);
+    store.subscribe(this.channel, this.onStoreMessage);
+    store.subscribe(this.responseChannel, this.onStoreResponse);
+  }
+
+  doPublish(message) {
+    return this.store.publish(this.channel, message).then(() => undefined);
+  }
+
+  doPublishResponse(requesterUid, response) {
+    return this.store.publish(`${this.channel}${requesterUid}#`, response).then(() => undefined);
+  }
+
+  close() {
+    super.close();
+    this.store.unsubscribe(this.channel, this.onStoreMessage);
+    this.store.unsubscribe(this.responseChannel, this.onStoreResponse);
+  }
+}
+
+/**
+ * Creates the adapter for `new Server(httpServer, { adapter })`.
+ * @param {Object} store - The shared store.
+ * @returns {Function} - Creates the adapter for each namespace.
+ */
+function createStoreAdapter(store) {
+  // Socket.IO calls this with `new`, so it can't be an arrow function
+  return function (nsp) {
+    return new StoreAdapter(nsp, store);
+  };
+}
+
+module.exports = { createStoreAdapter };
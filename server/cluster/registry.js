@@ -0,0 +1,161 @@
+// registry.js
+//
+// Keeps track, in the shared store, of which game server runs each room and of
+// a short description of every room (for matchmaking and share links across
+// servers). A server only plays the rooms it holds a lease on, so two servers
+// never apply moves to the same game; it renews its leases while it runs, and
+// the rooms of a server that stops can be taken over once its leases run out.
+
+/**
+ * Creates the room registry for this server.
+ * @param {Object} store - The shared store (see store.js).
+ * @param {string} nodeId - This server's ID.
+ * @param {Object} options - `config.cluster`.
+ * @param {number} options.leaseTime - How long (ms) a lease lasts without being renewed.
+ * @returns {Object} - The registry.
+ */
+function createRoomRegistry(store, nodeId, { leaseTime }) {
+  // Rooms this server holds a lease on, with when each lease was last renewed
+  const leases = new Map();
+  let onLeaseLost = () => {};
+
+  const ownerKey = (room) => `owner:${room}`;
+  const infoKey = (room) => `info:${room}`;
+
+  /**
+   * Renews every lease, giving up rooms another server has taken or that
+   * couldn't be renewed in time (another server may have them by now).
+   */
+  function renewLeases() {
+    leases.forEach((renewedAt, room) => {
+      store
+        .claim(ownerKey(room), nodeId, leaseTime)
+        .then((held) => {
+          if (held) {
+            leases.set(room, Date.now());
+          } else {
+            loseLease(room);
+          }
+        })
+        .catch((error) => {
+          console.error(`Could not renew the lease on ${room}: ${error.message}`);
+          if (Date.now() - renewedAt >= leaseTime) {
+            loseLease(room);
+          }
+        });
+    });
+  }
+
+  /**
+   * Forgets a lease that is no longer ours and lets the game server know.
+   * @param {string} room - The room ID.
+   */
+  function loseLease(room) {
+    if (leases.delete(room)) {
+      console.error(`Lost the lease on ${room}`);
+      onLeaseLost(room);
+    }
+  }
+
+  setInterval(renewLeases, leaseTime / 3);
+
+  return {
+    nodeId,
+
+    /**
+     * Takes the lease on a room, if no other server holds it.
+     * @param {string} room - The room ID.
+     * @returns {Promise<boolean>} - True if this server now holds it.
+     */
+    claim(room) {
+      return store.claim(ownerKey(room), nodeId, leaseTime).then((held) => {
+        if (held) {
+          leases.set(room, Date.now());
+        }
+        return held;
+      });
+    },
+
+    /**
+     * Gives up a room for good, deleting its description.
+     * @param {string} room - The room ID.
+     * @returns {Promise} - Resolves once done.
+     */
+    release(room) {
+      leases.delete(room);
+      return store
+        .del(infoKey(room), { guard: this.getGuard(room) })
+        .then(() => store.release(ownerKey(room), nodeId));
+    },
+
+    /**
+     * Checks whether this server holds the lease on a room.
+     * @param {string} room - The room ID.
+     * @returns {boolean} - True if it does.
+     */
+    holds(room) {
+      return leases.has(room);
+    },
+
+    /**
+     * Finds the server holding a room.
+     * @param {string} room - The room ID.
+     * @returns {Promise<string|null>} - Its ID, or null if no server does.
+     */
+    getOwner(room) {
+      return store.get(ownerKey(room));
+    },
+
+    /**
+     * Gets the store guard that only lets writes through while this server holds a room.
+     * @param {string} room - The room ID.
+     * @returns {{key: string, value: string}} - The guard.
+     */
+    getGuard(room) {
+      return { key: ownerKey(room), value: nodeId };
+    },
+
+    /**
+     * Describes a room to the other servers, while this server holds it.
+     * @param {string} room - The room ID.
+     * @param {Object} info - The description.
+     * @returns {Promise} - Resolves once written.
+     */
+    setInfo(room, info) {
+      return store.set(infoKey(room), info, { guard: this.getGuard(room) });
+    },
+
+    /**
+     * Reads a room's description.
+     * @param {string} room - The room ID.
+     * @returns {Promise<Object|null>} - The description, or null if there is no such room.
+     */
+    getInfo(room) {
+      return store.get(infoKey(room));
+    },
+
+    /**
+     * Reads the description of every room.
+     * @returns {Promise<Object>} - The descriptions keyed by room ID.
+     */
+    listInfo() {
+      return store.list('info:').then((values) => {
+        const rooms = {};
+        Object.keys(values).forEach((key) => {
+          rooms[key.slice('info:'.length)] = values[key];
+        });
+        return rooms;
+      });
+    },
+
+    /**
+     * Sets what to do when this server loses a room's lease.
+     * @param {Function} handler - Called with the room ID.
+     */
+    onLeaseLost(handler) {
+      onLeaseLost = handler;
+    },
+  };
+}
+
+module.exports = { createRoomRegistry };
@@ -0,0 +1,169 @@
+// store.js
+//
+// A small key-value store with expiring keys and publish/subscribe: the few
+// things game servers need to share when several of them run side by side.
+// In production this role would be played by something like Redis; here it is
+// either kept in the server process (a single server, `config.cluster.store`
+// set to 'memory'), or served to every game server over TCP by storeServer.js.
+//
+// Every call returns a Promise, so callers work the same way whichever of the
+// two they are given. Values are plain JSON.
+
+const { EventEmitter } = require('events');
+
+/**
+ * Creates an empty store.
+ * @returns {Object} - The store.
+ */
+function createStore() {
+  const entries = new Map(); // Key -> {value, expiresAt}; expiresAt is null for keys that never expire
+  const channels = new EventEmitter();
+  channels.setMaxListeners(0);
+
+  /**
+   * Gets a live entry, dropping it if it has expired.
+   * @param {string} key - The key.
+   * @returns {Object|undefined} - The entry, if there is one.
+   */
+  function getEntry(key) {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  /**
+   * Checks an optional guard: another key that must hold a given value for a write to go ahead.
+   * @param {Object} [guard] - `{key, value}`, or nothing for no guard.
+   * @returns {boolean} - True if there is no guard or it holds.
+   */
+  function guardHolds(guard) {
+    if (!guard) return true;
+    const entry = getEntry(guard.key);
+    return Boolean(entry) && entry.value === guard.value;
+  }
+
+  /**
+   * Works out when a key with a time to live expires.
+   * @param {number} [ttl] - The time to live (ms), or nothing to keep the key.
+   * @returns {number|null} - The expiry time (ms), or null.
+   */
+  function getExpiry(ttl) {
+    return ttl ? Date.now() + ttl : null;
+  }
+
+  const commands = {
+    /**
+     * Reads a key.
+     * @returns {*} - The value, or null if the key isn't set.
+     */
+    get(key) {
+      const entry = getEntry(key);
+      return entry ? entry.value : null;
+    },
+
+    /**
+     * Writes a key, unless a guard is given and doesn't hold.
+     * @param {string} key - The key.
+     * @param {*} value - The value.
+     * @param {Object} [options] - `ttl` (ms) to expire the key, `guard` (`{key, value}`) to make the write conditional.
+     * @returns {boolean} - True if the key was written.
+     */
+    set(key, value, { ttl, guard } = {}) {
+      if (!guardHolds(guard)) return false;
+      entries.set(key, { value, expiresAt: getExpiry(ttl) });
+      return true;
+    },
+
+    /**
+     * Deletes a key, unless a guard is given and doesn't hold.
+     * @returns {boolean} - True if the key was deleted.
+     */
+    del(key, { guard } = {}) {
+      if (!guardHolds(guard)) return false;
+      return entries.delete(key);
+    },
+
+    /**
+     * Takes or keeps hold of a key: sets it if it is free or already holds the
+     * same value, and restarts its time to live. Used for leases.
+     * @returns {boolean} - True if the key now holds the value.
+     */
+    claim(key, value, ttl) {
+      const entry = getEntry(key);
+      if (entry && entry.value !== value) return false;
+      entries.set(key, { value, expiresAt: getExpiry(ttl) });
+      return true;
+    },
+
+    /**
+     * Lets go of a key, if it still holds the given value.
+     * @returns {boolean} - True if the key was deleted.
+     */
+    release(key, value) {
+      const entry = getEntry(key);
+      if (!entry || entry.value !== value) return false;
+      return entries.delete(key);
+    },
+
+    /**
+     * Reads every key starting with a prefix.
+     * @returns {Object} - The values keyed by key.
+     */
+    list(prefix) {
+      const values = {};
+      [...entries.keys()].forEach((key) => {
+        const entry = key.startsWith(prefix) && getEntry(key);
+        if (entry) {
+          values[key] = entry.value;
+        }
+      });
+      return values;
+    },
+
+    /**
+     * Sends a message to everyone subscribed to a channel.
+     */
+    publish(channel, message) {
+      channels.emit(channel, message);
+      return true;
+    },
+  };
+
+  const store = {
+    // Always ready; a store over the network resolves this once connected
+    ready: Promise.resolve(),
+
+    /**
+     * Calls for a message on a channel.
+     * @param {string} channel - The channel.
+     * @param {Function} handler - Called with each message.
+     * @returns {Promise} - Resolves once subscribed.
+     */
+    subscribe(channel, handler) {
+      channels.on(channel, handler);
+      return Promise.resolve();
+    },
+
+    /**
+     * Stops calling a handler for a channel.
+     */
+    unsubscribe(channel, handler) {
+      channels.off(channel, handler);
+      return Promise.resolve();
+    },
+  };
+
+  // Every command goes through a Promise, like it would over the network
+  Object.keys(commands).forEach((name) => {
+    store[name] = (...args) => Promise.resolve(commands[name](...args));
+  });
+  return store;
+}
+
+// The commands a store offers besides subscribing, for storeServer.js and storeClient.js
+const COMMANDS = ['get', 'set', 'del', 'claim', 'release', 'list', 'publish'];
+
+module.exports = { createStore, COMMANDS };
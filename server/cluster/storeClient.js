@@ -0,0 +1,146 @@
+// storeClient.js
+//
+// Talks to a store served by storeServer.js, with the same Promise-based calls
+// as a store kept in memory (see store.js). Calls fail while there is no
+// connection; the client keeps reconnecting and subscribes again each time.
+
+const net = require('net');
+
+const { COMMANDS } = require('./store');
+
+// Delay (ms) between attempts to reconnect
+const RECONNECT_DELAY = 1000;
+
+/**
+ * Connects to a shared store.
+ * @param {string} address - 'host:port'.
+ * @returns {Object} - The store.
+ */
+function connectStore(address) {
+  const [host, port] = address.split(':');
+
+  let connection = null;
+  let connected = false;
+  let warned = false; // Whether we have said the store can't be reached
+  let buffered = '';
+  let nextId = 1;
+  const pending = new Map(); // Request ID -> {resolve, reject}
+  const handlers = new Map(); // Channel -> Set of handlers
+
+  /**
+   * Opens the connection and subscribes to every channel that has handlers.
+   */
+  function connect() {
+    connection = net.createConnection({ host, port: Number(port) });
+    connection.setEncoding('utf8');
+
+    connection.on('connect', () => {
+      connected = true;
+      warned = false;
+      console.log(`Connected to the shared store at ${address}`);
+      handlers.forEach((set, channel) => send('subscribe', [channel]));
+      onReady();
+    });
+
+    connection.on('data', (chunk) => {
+      buffered += chunk;
+      let newline;
+      while ((newline = buffered.indexOf('\n')) !== -1) {
+        const line = buffered.slice(0, newline);
+        buffered = buffered.slice(newline + 1);
+        handleReply(JSON.parse(line));
+      }
+    });
+
+    connection.on('error', (error) => {
+      if (connected) {
+        console.error(`Shared store connection error: ${error.message}`);
+      } else if (!warned) {
+        warned = true;
+        console.error(`Could not reach the shared store at ${address} (${error.message}), retrying…`);
+      }
+    });
+
+    connection.on('close', () => {
+      if (connected) {
+        console.error(`Lost the shared store at ${address}, reconnecting…`);
+      }
+      connected = false;
+      buffered = '';
+      pending.forEach(({ reject }) => reject(new Error('Lost the connection to the shared store.')));
+      pending.clear();
+      setTimeout(connect, RECONNECT_DELAY);
+    });
+  }
+
+  /**
+   * Handles a line from the server: a reply to a request, or a published message.
+   * @param {Object} reply - The parsed line.
+   */
+  function handleReply(reply) {
+    if (reply.channel !== undefined) {
+      (handlers.get(reply.channel) || []).forEach((handler) => handler(reply.message));
+      return;
+    }
+
+    const request = pending.get(reply.id);
+    if (!request) return;
+    pending.delete(reply.id);
+    if (reply.error) {
+      request.reject(new Error(reply.error));
+    } else {
+      request.resolve(reply.result);
+    }
+  }
+
+  /**
+   * Sends a command.
+   * @param {string} command - The command name.
+   * @param {Array} args - Its arguments.
+   * @returns {Promise} - Resolves with the result.
+   */
+  function send(command, args) {
+    if (!connected) {
+      return Promise.reject(new Error('Not connected to the shared store.'));
+    }
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject });
+      connection.write(`${JSON.stringify({ id, command, args })}\n`);
+    });
+  }
+
+  let onReady;
+  const store = {
+    // Resolves once the first connection is made
+    ready: new Promise((resolve) => {
+      onReady = resolve;
+    }),
+
+    subscribe(channel, handler) {
+      if (!handlers.has(channel)) {
+        handlers.set(channel, new Set());
+      }
+      handlers.get(channel).add(handler);
+      return handlers.get(channel).size === 1 && connected ? send('subscribe', [channel]) : Promise.resolve();
+    },
+
+    unsubscribe(channel, handler) {
+      const set = handlers.get(channel);
+      if (!set || !set.delete(handler) || set.size > 0) {
+        return Promise.resolve();
+      }
+      handlers.delete(channel);
+      return connected ? send('unsubscribe', [channel]) : Promise.resolve();
+    },
+  };
+
+  COMMANDS.forEach((command) => {
+    store[command] = (...args) => send(command, args);
+  });
+
+  connect();
+  return store;
+}
+
+module.exports = { connectStore };
@@ -0,0 +1,90 @@
+// storeServer.js
+//
+// Serves one shared store (see store.js) over TCP, as a local stand-in for the
+// shared store several game servers need. Start it before the game servers:
+//
+//   node server/cluster/storeServer.js            # listens on config.cluster.storePort
+//   CLUSTER_STORE=127.0.0.1:6390 PORT=3037 node server/server.js
+//   CLUSTER_STORE=127.0.0.1:6390 PORT=3038 node server/server.js
+//
+// The protocol is one JSON object per line. Clients send
+// `{id, command, args}` and get back `{id, result}` or `{id, error}`;
+// subscribers also get `{channel, message}` for every message published.
+
+const net = require('net');
+
+const config = require('../../config');
+const { createStore, COMMANDS } = require('./store');
+
+/**
+ * Starts serving a new, empty store.
+ * @param {number} port - The TCP port to listen on.
+ * @returns {net.Server} - The server.
+ */
+function startStoreServer(port) {
+  const store = createStore();
+
+  const server = net.createServer((connection) => {
+    const subscriptions = new Map(); // Channel -> handler, for this connection
+    let buffered = '';
+
+    const send = (reply) => {
+      if (!connection.destroyed) {
+        connection.write(`${JSON.stringify(reply)}\n`);
+      }
+    };
+
+    const handleRequest = ({ id, command, args = [] }) => {
+      if (command === 'subscribe' || command === 'unsubscribe') {
+        const [channel] = args;
+        if (command === 'subscribe' && !subscriptions.has(channel)) {
+          const handler = (message) => send({ channel, message });
+          subscriptions.set(channel, handler);
+          store.subscribe(channel, handler);
+        } else if (command === 'unsubscribe' && subscriptions.has(channel)) {
+          store.unsubscribe(channel, subscriptions.get(channel));
+          subscriptions.delete(channel);
+        }
+        send({ id, result: true });
+        return;
+      }
+
+      if (!COMMANDS.includes(command)) {
+        send({ id, error: `Unknown command: ${command}` });
+        return;
+      }
+      store[command](...args).then((result) => send({ id, result }));
+    };
+
+    connection.setEncoding('utf8');
+    connection.on('data', (chunk) => {
+      buffered += chunk;
+      let newline;
+      while ((newline = buffered.indexOf('\n')) !== -1) {
+        const line = buffered.slice(0, newline);
+        buffered = buffered.slice(newline + 1);
+        try {
+          handleRequest(JSON.parse(line));
+        } catch (error) {
+          console.error('Bad request from a store client:', error.message);
+        }
+      }
+    });
+
+    connection.on('close', () => {
+      subscriptions.forEach((handler, channel) => store.unsubscribe(channel, handler));
+    });
+    connection.on('error', (error) => console.error('Store client connection error:', error.message));
+  });
+
+  server.listen(port, '127.0.0.1', () => {
+    console.log(`Shared store listening on port ${port}`);
+  });
+  return server;
+}
+
+if (require.main === module) {
+  startStoreServer(Number(process.argv[2]) || config.cluster.storePort);
+}
+
+module.exports = { startStoreServer };
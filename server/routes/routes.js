@@ -1,21 +1,174 @@
-module.exports = app => {
+const { loadReplay, isReplayId } = require('../storage/replays');
+const { listLobbyRooms, getRuleChoices } = require('../sockets/lobby');
+const { PLAYER_SEATS } = require('../sockets/constants_server');
 
+// Players shown on the leaderboard
+const LEADERBOARD_SIZE = 50;
+
+// Size of the rating history charts, in SVG units
+const CHART_WIDTH = 120;
+const CHART_HEIGHT = 30;
+
+/**
+ * Draws a rating history as the points of an SVG polyline.
+ * @param {Object[]} history - `{at, rating}` entries, oldest first.
+ * @returns {string} - The points, e.g. '0,30 60,12 120,0'.
+ */
+function getChartPoints(history) {
+    const ratings = history.map((entry) => entry.rating);
+    const min = Math.min(...ratings);
+    const range = Math.max(...ratings) - min || 1;
+    const step = ratings.length > 1 ? CHART_WIDTH / (ratings.length - 1) : 0;
+
+    return ratings
+        .map((rating, i) => `${Math.round(i * step)},${Math.round(CHART_HEIGHT - ((rating - min) / range) * CHART_HEIGHT)}`)
+        .join(' ');
+}
+
+module.exports = (app, registry, accounts) => {
+
+    // The lobby: the public rooms to join or watch, and forms to start a game or join one by code
     app.get('/', (req, res) => {
+        listLobbyRooms(registry)
+            .catch((error) => {
+                console.error('Could not list the rooms for the lobby:', error);
+                return [];
+            })
+            .then((rooms) => {
+                res.render('lobby', {
+                    rooms,
+                    sizes: Object.keys(PLAYER_SEATS),
+                    rules: getRuleChoices()
+                });
+            });
+    });
+
+    // The game page for a new game: matchmaking, a new room or a ranked game,
+    // as set out in the query (see front/public/js/Ludo.js)
+    app.get('/play', (req, res) => {
         res.render('index');
     });
 
-    app.get('/white', (req, res) => {
-        res.render('game', {
-            color: 'white'
+    // The game page for one room, to take a seat in it (or watch it, with `?watch`)
+    app.get('/room/:id', (req, res) => {
+        const room = req.params.id;
+
+        registry.getInfo(room).then((info) => {
+            if (!info) {
+                return res.redirect(`/?error=ROOM_NOT_FOUND&code=${encodeURIComponent(room)}`);
+            }
+
+            res.render('index', {
+                room
+            });
+        }, (error) => {
+            console.error(`Could not look up room ${room}:`, error);
+            res.status(500).send('Could not look up the room.');
         });
     });
-    app.get('/black', (req, res) => {
-        if (!games[req.query.code]) {
-            return res.redirect('/?error=invalidCode');
+
+    // Shareable link for a private room, which may be running on any server
+    app.get('/join/:code', (req, res) => {
+        const code = req.params.code.toUpperCase();
+
+        registry.getInfo(code).then((room) => {
+            if (!room || !room.isPrivate) {
+                return res.redirect(`/?error=ROOM_NOT_FOUND&code=${encodeURIComponent(code)}`);
+            }
+            if (room.started || room.players >= room.maxPlayers) {
+                return res.redirect(`/?error=ROOM_FULL&code=${encodeURIComponent(code)}`);
+            }
+
+            res.redirect(`/room/${code}`);
+        }, (error) => {
+            console.error(`Could not look up room ${code}:`, error);
+            res.status(500).send('Could not look up the room.');
+        });
+    });
+
+    // Shareable link for watching a game without playing
+    app.get('/watch/:code', (req, res) => {
+        const code = req.params.code.toUpperCase();
+
+        registry.getInfo(code).then((room) => {
+            if (!room || !room.isPrivate) {
+                return res.redirect(`/?error=ROOM_NOT_FOUND&code=${encodeURIComponent(code)}`);
+            }
+            if (!room.allowSpectators) {
+                return res.redirect('/?error=SPECTATORS_OFF');
+            }
+
+            res.redirect(`/room/${code}?watch`);
+        }, (error) => {
+            console.error(`Could not look up room ${code}:`, error);
+            res.status(500).send('Could not look up the room.');
+        });
+    });
+
+    // Step-by-step playback of a finished game
+    app.get('/replay/:id', (req, res) => {
+        if (!isReplayId(req.params.id)) {
+            return res.status(404).send('Replay not found.');
+        }
+
+        res.render('replay', {
+            replayId: req.params.id
+        });
+    });
+
+    // Checks every dice roll of a finished game against its revealed seeds, in the browser
+    app.get('/verify/:id', (req, res) => {
+        if (!isReplayId(req.params.id)) {
+            return res.status(404).send('Replay not found.');
         }
 
-        res.render('game', {
-            color: 'black'
+        res.render('verify', {
+            replayId: req.params.id
+        });
+    });
+
+    // The saved event log behind a replay
+    app.get('/api/replays/:id', (req, res) => {
+        loadReplay(req.params.id, (error, replay) => {
+            if (error) {
+                console.error(`Could not load replay ${req.params.id}:`, error);
+                return res.status(500).json({ error: 'Could not load the replay.' });
+            }
+            if (!replay) {
+                return res.status(404).json({ error: 'Replay not found.' });
+            }
+
+            res.json(replay);
+        });
+    });
+
+    // The best-rated players, each with their recent rating history
+    app.get('/leaderboard', (req, res) => {
+        accounts.getLeaderboard(LEADERBOARD_SIZE).then((leaders) => {
+            const players = leaders.map((player, i) => {
+                const first = player.history[0];
+                const last = player.history[player.history.length - 1];
+                return {
+                    rank: i + 1,
+                    nickname: player.nickname,
+                    rating: player.rating,
+                    rankedGames: player.rankedGames,
+                    lowest: Math.min(...player.history.map((entry) => entry.rating)),
+                    highest: Math.max(...player.history.map((entry) => entry.rating)),
+                    since: new Date(first.at).toISOString().slice(0, 10),
+                    lastPlayed: new Date(last.at).toISOString().slice(0, 10),
+                    chartPoints: getChartPoints(player.history)
+                };
+            });
+
+            res.render('leaderboard', {
+                players,
+                chartWidth: CHART_WIDTH,
+                chartHeight: CHART_HEIGHT
+            });
+        }, (error) => {
+            console.error('Could not load the leaderboard:', error);
+            res.status(500).send('Could not load the leaderboard.');
         });
     });
 };
\ No newline at end of file
@@ -1,5 +1,6 @@
 const http = require('http'),
       path = require('path'),
+      crypto = require('crypto'),
       express = require('express'),
       handlebars = require('express-handlebars'),
       socket = require('socket.io');
@@ -9,9 +10,23 @@ const config = require('../config');
 const myIo = require('./sockets/io'),
       routes = require('./routes/routes');
 
+const { createStore } = require('./cluster/store'),
+      { connectStore } = require('./cluster/storeClient'),
+      { createStoreAdapter } = require('./cluster/adapter'),
+      { createRoomRegistry } = require('./cluster/registry'),
+      { createAccountStore } = require('./storage/accounts');
+
+// The store shared with the other game servers, if there are any
+const sharedStore = config.cluster.store !== 'memory';
+const store = sharedStore ? connectStore(config.cluster.store) : createStore();
+const nodeId = `${config.port}-${crypto.randomBytes(4).toString('hex')}`;
+const registry = createRoomRegistry(store, nodeId, config.cluster);
+const accounts = createAccountStore(config.accountStore, store);
+
 const app = express(),
       server = http.Server(app),
-      io = socket(server);
+      // Broadcasts reach the sockets on every server through the shared store
+      io = socket(server, sharedStore ? { adapter: createStoreAdapter(store) } : {});
 
 // Ensure the server listens on all network interfaces (0.0.0.0)
 server.listen(config.port, '0.0.0.0', () => {
@@ -28,9 +43,11 @@ server.on('error', (err) => {
   process.exit(1); // Exit the process with an error
 });
 
-games = {};
+// Active games run by this server, indexed by room ID. Room IDs come from
+// clients, so there is no prototype for one like 'constructor' to find.
+const games = Object.create(null);
 
-myIo(io);
+myIo(io, games, { store, registry }, accounts);
 
 // Configure Handlebars
 const HandlebarsEngine = handlebars.create({
@@ -43,6 +60,7 @@ app.engine('html', HandlebarsEngine.engine);
 app.set('view engine', 'html');
 app.set('views', path.join(__dirname, '..', 'front', 'views'));
 app.use('/public', express.static(path.join(__dirname, '..', 'front', 'public')));
+app.use('/shared', express.static(path.join(__dirname, '..', 'shared')));
 
 // Set up routes
-routes(app);
\ No newline at end of file
+routes(app, registry, accounts);
\ No newline at end of file
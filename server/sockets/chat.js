@@ -0,0 +1,67 @@
+// chat.js
+//
+// Checks and tidies chat messages before they are shown to a room.
+
+// Why a message was refused (worded in shared/messages.js)
+const ERRORS = {
+  CHAT_INVALID: 'CHAT_INVALID',
+  CHAT_EMPTY: 'CHAT_EMPTY',
+  CHAT_TOO_LONG: 'CHAT_TOO_LONG',
+};
+
+// Words masked in chat, matched as whole words with common endings
+const PROFANITY = [
+  'arse',
+  'asshole',
+  'bastard',
+  'bitch',
+  'bollocks',
+  'cunt',
+  'dick',
+  'fuck',
+  'motherfucker',
+  'piss',
+  'prick',
+  'shit',
+  'slut',
+  'twat',
+  'wanker',
+  'whore',
+];
+
+const PROFANITY_PATTERN = new RegExp(`\\b(?:${PROFANITY.join('|')})(?:s|es|ed|er|ers|ing|y|ty)?\\b`, 'gi');
+
+/**
+ * Replaces all but the first letter of each profane word with asterisks.
+ * @param {string} text - The message.
+ * @returns {string} - The masked message.
+ */
+function maskProfanity(text) {
+  return text.replace(PROFANITY_PATTERN, (word) => word[0] + '*'.repeat(word.length - 1));
+}
+
+/**
+ * Tidies a chat message from a client: collapses whitespace, enforces the
+ * length limit and masks profanity.
+ * @param {*} text - The raw message.
+ * @param {number} maxLength - The longest message allowed.
+ * @returns {{text: string}|{error: string, params: Object}} - The message to show, or why it
+ * was refused (a code from `ERRORS`, with its params).
+ */
+function cleanMessage(text, maxLength) {
+  if (typeof text !== 'string') {
+    return { error: ERRORS.CHAT_INVALID, params: {} };
+  }
+
+  const trimmed = text.replace(/\s+/g, ' ').trim();
+  if (!trimmed) {
+    return { error: ERRORS.CHAT_EMPTY, params: {} };
+  }
+  if (trimmed.length > maxLength) {
+    return { error: ERRORS.CHAT_TOO_LONG, params: { maxLength } };
+  }
+
+  return { text: maskProfanity(trimmed) };
+}
+
+module.exports = { ERRORS, maskProfanity, cleanMessage };
@@ -0,0 +1,52 @@
+// fairness.js
+//
+// The server's side of provably fair dice (see shared/dice.js): making and
+// committing to server seeds, and rolling from them. io.js keeps each game's
+// seeds and roll count.
+
+const crypto = require('crypto');
+
+const Dice = require('../../shared/dice');
+
+/**
+ * Makes a new secret server seed.
+ * @param {Function} [random] - A seeded random number generator, for repeatable
+ * games; by default the seed comes from the system's secure random source.
+ * @returns {string} - The seed, as 64 hex digits.
+ */
+function createServerSeed(random) {
+  if (!random) {
+    return crypto.randomBytes(32).toString('hex');
+  }
+  let seed = '';
+  while (seed.length < 64) {
+    seed += Math.floor(random() * 16).toString(16);
+  }
+  return seed;
+}
+
+/**
+ * Hashes a server seed into the commitment shown to the players before it is revealed.
+ * @param {string} serverSeed - The server seed.
+ * @returns {string} - The SHA-256 hash, in hex.
+ */
+function commitToSeed(serverSeed) {
+  return crypto.createHash('sha256').update(serverSeed).digest('hex');
+}
+
+/**
+ * Rolls the dice for a game.
+ * @param {string} serverSeed - The game's server seed.
+ * @param {string} clientSeed - The game's client seed.
+ * @param {number} rollNumber - The roll's number in the game, from 0.
+ * @returns {number} - The dice value, 1–6.
+ */
+function rollDice(serverSeed, clientSeed, rollNumber) {
+  const digest = crypto
+    .createHmac('sha256', serverSeed)
+    .update(Dice.getRollMessage(clientSeed, rollNumber))
+    .digest();
+  return Dice.getDiceValue(digest);
+}
+
+module.exports = { createServerSeed, commitToSeed, rollDice };
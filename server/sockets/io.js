@@ -1,426 +1,2548 @@
 // io.js
 
-module.exports = (io) => {
+const crypto = require('crypto');
+
+const config = require('../../config');
+const { saveReplay } = require('../storage/replays');
+const { createRoomStore } = require('../storage/rooms');
+const { cleanMessage } = require('./chat');
+const Lobby = require('./lobby');
+const { createRateLimiter } = require('./rateLimiter');
+const Validation = require('./validation');
+const Ratings = require('./ratings');
+const Fairness = require('./fairness');
+
+/**
+ * Sets up the game's socket handlers.
+ * @param {Object} io - The Socket.IO server.
+ * @param {Object} games - The rooms this server runs, by room ID.
+ * @param {Object} cluster - What the game servers share: `store` (see server/cluster/store.js)
+ * and `registry` (see server/cluster/registry.js).
+ * @param {Object} Accounts - The account store (see server/storage/accounts.js).
+ */
+module.exports = (io, games, cluster, Accounts) => {
   // Import constants from constants_server.js
-  const {
-    COORDINATES_MAP,
-    BASE_POSITIONS,
-    HOME_ENTRANCE,
-    HOME_POSITIONS,
-    PLAYERS,
-    SAFE_POSITIONS,
-    START_POSITIONS,
-    TURNING_POINTS,
-    STATE,
-  } = require('./constants_server');
-
-  // Object to store active games indexed by room IDs
-  const games = {};
+  const { PLAYERS, PLAYER_SEATS, EMOTES } = require('./constants_server');
+
+  // The rules engine shared with the browser
+  const Rules = require('../../shared/rules');
+
+  // Move choice for computer players
+  const Bots = require('../../shared/bots');
+
+  // Provably fair dice
+  const Dice = require('../../shared/dice');
+
+  // Wording for the codes sent to clients
+  const Messages = require('../../shared/messages');
+
+  // State versions and deltas
+  const Sync = require('../../shared/sync');
+
+  // Private room codes, which payloads are checked against (see validation.js)
+  const { ROOM_CODE_ALPHABET, ROOM_CODE_LENGTH } = Validation;
+
+  // How many codes to try before giving up on opening a private room
+  const ROOM_CODE_ATTEMPTS = 5;
+
+  // Bounds for the turn deadlines a room can ask for (ms)
+  const MIN_TURN_TIMEOUT = 5 * 1000;
+  const MAX_TURN_TIMEOUT = 5 * 60 * 1000;
+
+  // Signed-in players waiting for a ranked game. The queue is kept in the shared
+  // store, one `ranked:<socket ID>` entry per player, so players waiting on
+  // different servers can be matched. Each server keeps its own players' entries
+  // alive and seats them once matched; the matching itself is done by whichever
+  // server holds the `ranked-matcher` lease.
+  const rankedWaiting = new Map(); // Socket ID -> {entry, enter}, for this server's sockets
+  let rankedTimer = null;
+  const RANKED_MATCHER_KEY = 'ranked-matcher';
+
+  // What a room operation resolves with when there is no such room, or when
+  // the server running it didn't answer
+  const NO_ROOM = 'noRoom';
+  const ROOM_UNAVAILABLE = 'roomUnavailable';
+
+  // How many times a reconnecting player retries a room whose server stopped
+  // answering, half a lease apart, before giving up
+  const RESUME_ATTEMPTS = 4;
+
+  // Rooms being taken over from the room store, by room ID
+  const takeovers = new Map();
+
+  // The description of each room this server last wrote to the registry (as JSON),
+  // so the lobby is only updated when something it shows has changed
+  const roomDescriptions = new Map();
+  let lobbyTimer = null;
+
+  // Rules engine rejections an honest client never causes, as it only offers what the rules allow
+  const SUSPICIOUS_ERRORS = [
+    Rules.ERRORS.DICE_ALREADY_ROLLED,
+    Rules.ERRORS.DICE_NOT_ROLLED,
+    Rules.ERRORS.INVALID_MOVE,
+    Rules.ERRORS.MOVES_AVAILABLE,
+    Rules.ERRORS.UNKNOWN_ACTION,
+  ];
+
+  // The client event behind each rules action, for rejections
+  const ACTION_EVENTS = { roll: 'rollDice', move: 'makeMove', pass: 'noMoves' };
+
+  // Suspicious requests so far, by socket ID (see `reportSuspicious`)
+  const suspicionCounts = new Map();
+
+  // Makes every server seed follow from `config.dice.seed`, for repeatable games
+  const seededRandom = config.dice.seed ? Dice.createSeededRandom(config.dice.seed) : null;
+  if (seededRandom) {
+    console.warn('Dice are seeded from config.dice.seed: every roll can be predicted.');
+  }
+
+  // A copy of every room in progress, to pick the games back up after a restart
+  // or on another server
+  const roomStore = createRoomStore(config.roomStore, cluster);
+
+  // Which server runs each room (see server/cluster/registry.js)
+  const { registry } = cluster;
+  registry.onLeaseLost(dropRoom);
+  cluster.store.ready.then(restoreRooms);
+
+  // What a room can be asked to do, by its players and spectators on any server.
+  // Each runs where the room is, with the asking socket's ID.
+  const ROOM_OPERATIONS = {
+    seat: seatPlayer,
+    resume: resumePlayer,
+    spectate: addSpectator,
+    setAccount: (room, socketId, { account }) => setSeatAccount(room, socketId, account),
+    // Only an action the rules accept counts as the player being back
+    rollDice: (room, socketId, data) => {
+      if (handleDiceRoll(room, socketId, data)) markActive(room, socketId);
+    },
+    makeMove: (room, socketId, data) => {
+      if (handleMakeMove(room, socketId, data)) markActive(room, socketId);
+    },
+    noMoves: (room, socketId, data) => {
+      if (handleNoMoves(room, socketId, data)) markActive(room, socketId);
+    },
+    chatMessage: handleChatMessage,
+    sendEmote: handleEmote,
+    offerRematch: handleRematchOffer,
+    acceptRematch: handleRematchAccept,
+    disconnect: (room, socketId) => {
+      suspicionCounts.delete(socketId);
+      handleDisconnect(room, socketId);
+    },
+    stopWatching: handleSpectatorLeave,
+    syncState: sendState,
+  };
+
+  // Seats this server's players in the ranked rooms other servers matched them for
+  io.on('rankedMatch', ({ room, socketIds }) => {
+    socketIds.forEach((socketId) => seatRankedPlayer(room, socketId));
+  });
+
+  // Runs the operations other servers pass on for the rooms this one runs
+  io.on('roomOperation', ({ room, name, socketId, data }, callback) => {
+    if (!games[room] || !Object.prototype.hasOwnProperty.call(ROOM_OPERATIONS, name)) {
+      callback(null);
+      return;
+    }
+    callback({ handled: true, result: runLocalOperation(room, name, socketId, data) });
+  });
 
   io.on('connection', (socket) => {
     console.log(`New socket connection: ${socket.id}`);
 
-    // Handle 'joinGame' event from clients
-    socket.on('joinGame', () => {
-      // Find or create a room for the player
-      let room = findAvailableRoom();
+    // The room this socket is seated in or watching, set once it joins one
+    let joinedRoom = null;
 
-      if (!room) {
-        // Create a new room if no available rooms
-        room = `room-${socket.id}`;
-        games[room] = {
-          players: [],
-          gameState: null,
-        };
-        console.log(`Created new room: ${room}`);
-      }
+    // True while a join is on its way to the room's server
+    let joining = false;
+
+    // Chat messages and emotes share one allowance per socket; game actions, room
+    // requests (joining, watching, signing in) and state syncs have their own
+    const chatLimiter = createRateLimiter(config.chat.rateLimit);
+    const actionLimiter = createRateLimiter(config.antiCheat.actionRateLimit);
+    const requestLimiter = createRateLimiter(config.antiCheat.requestRateLimit);
+    const syncLimiter = createRateLimiter(config.antiCheat.syncRateLimit);
+
+    // The account this socket signed in to, if any
+    let account = null;
+
+    // The seed this socket's player chose for the dice of the next room it joins
+    let clientSeed = null;
+
+    // Settles once the socket's requests so far have been handled. Handlers run
+    // in order, and one that returns a promise (signing in) holds back the
+    // requests after it, so a seat taken right after signing in carries the name.
+    let handled = Promise.resolve();
+
+    // Stop waiting for a ranked game when the socket goes away
+    socket.on('disconnect', () => {
+      leaveRankedQueue(socket.id);
+      suspicionCounts.delete(socket.id);
+    });
+
+    // Handle 'identify' event: signs in with a nickname and secret, creating the account if it is new
+    listen('identify', requestLimiter, (data) => {
+      return Accounts.identify(data && data.nickname, data && data.secret).then((result) => {
+        if (result.error) {
+          socket.emit('identifyFailed', { message: result.error });
+          return;
+        }
+
+        account = result.account;
+        socket.emit('identified', { nickname: account.nickname, stats: Accounts.getStats(account) });
 
-      // Join the room
-      socket.join(room);
-      const playerId = assignPlayerId(room, socket.id);
-      console.log(`Player ${playerId} (${socket.id}) joined ${room}`);
-
-      // Send the assigned player ID and room info to the client
-      socket.emit('playerAssigned', { playerId, room });
-
-      // Start the game when two players have joined
-      if (games[room].players.length === 2) {
-        // Initialize game state
-        games[room].gameState = initializeGameState(games[room].players);
-        // Notify players that the game is starting
-        io.in(room).emit('startGame', {
-          gameState: games[room].gameState,
-          players: games[room].players.map((p) => p.playerId),
+        // Signing in after taking a seat puts the name on it
+        if (joinedRoom) {
+          runRoomOperation(joinedRoom, 'setAccount', socket.id, { account: getAccountData() });
+        }
+      });
+    });
+
+    // Handle 'resumeGame' event: a reconnecting client reclaims its seat with its session token
+    listen('resumeGame', requestLimiter, (data) => {
+      if (!canJoin()) return;
+
+      const { room } = data;
+      joining = true;
+      const attempt = (attemptsLeft) => {
+        runRoomOperation(room, 'resume', socket.id, { token: data.token }).then((resumed) => {
+          if (resumed === ROOM_UNAVAILABLE && attemptsLeft > 0 && socket.connected) {
+            // The room's server stopped answering; another takes over once its lease runs out
+            setTimeout(() => attempt(attemptsLeft - 1), config.cluster.leaseTime / 2);
+            return;
+          }
+
+          joining = false;
+          if (resumed !== true) {
+            socket.emit('resumeFailed');
+            return;
+          }
+          joinedRoom = room;
+          listenGameEvents(room);
+        }).catch((error) => {
+          console.error(`Could not resume ${socket.id} in ${room}: ${error.message}`);
+          joining = false;
+          socket.emit('resumeFailed');
+        });
+      };
+      attempt(RESUME_ATTEMPTS);
+    });
+
+    // Handle 'joinGame' event from clients (public matchmaking)
+    listen('joinGame', requestLimiter, (data) => {
+      if (!canJoin()) return;
+
+      const maxPlayers = getRoomSize(data);
+      const rules = Rules.normalizeOptions(data && data.rules);
+      clientSeed = Dice.normalizeClientSeed(data && data.clientSeed);
+
+      if (data && data.ranked) {
+        // Ranked games are matched by rating, not by who arrives first
+        if (!account) {
+          sendError(socket.id, Validation.ERRORS.RANKED_NEEDS_ACCOUNT);
+          return;
+        }
+        if (rankedWaiting.has(socket.id)) {
+          sendError(socket.id, Validation.ERRORS.ALREADY_QUEUED);
+          return;
+        }
+        // Queue on the latest rating, which a game on another server may have changed
+        return Accounts.getAccount(account.id).then((latest) => {
+          account = latest || account;
+          socket.emit('rankedQueued', { maxPlayers, rating: account.rating });
+          return joinRankedQueue(socket.id, account, maxPlayers, enterRoom);
         });
-        console.log(`Game started in ${room}`);
       }
 
-      // Handle player disconnection
-      socket.on('disconnect', () => {
-        console.log(`Player ${socket.id} disconnected`);
-        handleDisconnect(room, socket.id);
+      // Find a public room for the player on any server, or open one here
+      joining = true;
+      findAvailableRoom(maxPlayers, rules)
+        .then((room) => room && enterRoom(room, { matchmaking: true }))
+        .then((entered) => {
+          if (entered) return;
+
+          const room = `room-${socket.id}`;
+          openRoom(room, {
+            maxPlayers,
+            isPrivate: false,
+            rules,
+            timers: getRoomTimers(),
+            allowSpectators: true,
+          });
+          console.log(`Created new ${maxPlayers}-player room: ${room}`);
+          scheduleBotFill(room);
+          return enterRoom(room);
+        })
+        .catch((error) => {
+          console.error(`Could not find a game for ${socket.id}: ${error.message}`);
+          joining = false;
+          sendError(socket.id, Validation.ERRORS.JOIN_FAILED);
+        });
+    });
+
+    // Handle 'createPrivateRoom' event: opens a room only reachable by its code
+    listen('createPrivateRoom', requestLimiter, (data) => {
+      if (!canJoin()) return;
+      openOwnRoom(data, true);
+    });
+
+    // Handle 'createRoom' event: opens a room set up in the lobby, public or private
+    listen('createRoom', requestLimiter, (data) => {
+      if (!canJoin()) return;
+      openOwnRoom(data, Boolean(data && data.isPrivate));
+    });
+
+    // Handle 'joinRoom' event: takes a seat in a room by its ID, e.g. one picked in the lobby
+    listen('joinRoom', requestLimiter, (data) => {
+      if (!canJoin()) return;
+
+      clientSeed = Dice.normalizeClientSeed(data.clientSeed);
+      enterRoom(data.room).then((entered) => {
+        if (entered === null) {
+          sendError(socket.id, Validation.ERRORS.ROOM_NOT_FOUND, { code: data.room });
+        }
       });
+    });
 
-      // Handle game actions
-      socket.on('rollDice', () => {
-        handleDiceRoll(room, socket.id);
+    // Handle 'watchLobby' event: sends the lobby page the rooms it lists, then every change to them
+    listen('watchLobby', requestLimiter, () => {
+      socket.join(Lobby.LOBBY_ROOM);
+      Lobby.listLobbyRooms(registry).then(
+        (rooms) => socket.emit('lobbyRooms', { rooms }),
+        (error) => console.error(`Could not list the rooms for the lobby: ${error.message}`)
+      );
+    });
+
+    // Handle 'joinByCode' event: joins a private room using its shareable code
+    listen('joinByCode', requestLimiter, (data) => {
+      if (!canJoin()) return;
+
+      const code = normalizeRoomCode(data && data.code);
+      if (!code) {
+        sendError(socket.id, Validation.ERRORS.ROOM_NOT_FOUND, { code: '' });
+        return;
+      }
+      clientSeed = Dice.normalizeClientSeed(data && data.clientSeed);
+
+      enterRoom(code, { code }).then((entered) => {
+        if (entered === null) {
+          sendError(socket.id, Validation.ERRORS.ROOM_NOT_FOUND, { code });
+        }
       });
+    });
+
+    // Handle 'spectateGame' event: watches a room without taking a seat,
+    // by private room code or by public room ID
+    listen('spectateGame', requestLimiter, (data) => {
+      if (!canJoin()) return;
 
-      socket.on('makeMove', (data) => {
-        handleMakeMove(room, socket.id, data);
+      const code = normalizeRoomCode(data && data.code);
+      const room = code || (data && typeof data.room === 'string' ? data.room : null);
+      if (!room) {
+        sendError(socket.id, Validation.ERRORS.ROOM_NOT_FOUND, { code: '' });
+        return;
+      }
+
+      joining = true;
+      runRoomOperation(room, 'spectate', socket.id, { code }).then((watching) => {
+        joining = false;
+        if (watching === NO_ROOM || watching === ROOM_UNAVAILABLE) {
+          sendError(socket.id, Validation.ERRORS.ROOM_NOT_FOUND, { code: room });
+          return;
+        }
+        if (!watching) return;
+
+        joinedRoom = room;
+        socket.on('disconnect', () => {
+          console.log(`Spectator ${socket.id} disconnected`);
+          runRoomOperation(room, 'stopWatching', socket.id);
+        });
+      }).catch((error) => {
+        console.error(`Could not let ${socket.id} watch ${room}: ${error.message}`);
+        joining = false;
+        sendError(socket.id, Validation.ERRORS.ROOM_NOT_FOUND, { code: room });
       });
+    });
 
-      socket.on('noMoves', () => {
-        handleNoMoves(room, socket.id);
+    // Handle 'syncState' event: a player or spectator who missed some of the
+    // room's updates asks for the whole game state again. They always get an
+    // answer, with no state if there is no game to catch up on. A client on a
+    // bad connection may ask often, so going over the allowance isn't suspicious.
+    listen('syncState', null, () => {
+      if (!syncLimiter.tryAcquire()) {
+        rejectRequest(socket.id, 'syncState', Validation.ERRORS.RATE_LIMITED);
+        return;
+      }
+      const sendNoState = () => socket.emit('stateSynced', { version: null, gameState: null });
+      if (!joinedRoom) {
+        sendNoState();
+        return;
+      }
+      runRoomOperation(joinedRoom, 'syncState', socket.id).then((result) => {
+        if (result === NO_ROOM || result === ROOM_UNAVAILABLE) {
+          sendNoState();
+        }
       });
     });
 
     /**
-     * Finds an available room with less than 2 players.
-     * @returns {string|null} - The room ID or null if no room is available.
+     * Opens a room set up by this socket's player and seats them in it, with the
+     * bots they asked for in the seats after theirs. A private room gets a code; a
+     * public one is listed in the lobby and, like matchmaking rooms, fills up with
+     * bots if nobody joins.
+     * @param {Object} [data] - The room settings from the client.
+     * @param {boolean} isPrivate - Whether the room is only reachable by its code.
      */
-    function findAvailableRoom() {
-      for (const room in games) {
-        if (games[room].players.length < 2) {
-          return room;
-        }
-      }
-      return null;
+    function openOwnRoom(data, isPrivate) {
+      const maxPlayers = getRoomSize(data);
+      const rules = Rules.normalizeOptions(data && data.rules);
+      clientSeed = Dice.normalizeClientSeed(data && data.clientSeed);
+      const timers = getRoomTimers(data);
+      const bots = getRoomBots(data, maxPlayers);
+      const allowSpectators = !(data && data.allowSpectators === false);
+
+      joining = true;
+      const roomId = isPrivate ? claimRoomCode() : Promise.resolve(`room-${socket.id}`);
+      roomId
+        .then((room) => {
+          if (!socket.connected) {
+            // Gone while the code was being claimed
+            joining = false;
+            return registry.release(room);
+          }
+          openRoom(room, { maxPlayers, isPrivate, rules, timers, allowSpectators });
+
+          if (isPrivate) {
+            console.log(`Created private ${maxPlayers}-player room: ${room}`);
+            socket.emit('privateRoomCreated', { code: room, maxPlayers, rules, timers, bots, allowSpectators });
+          } else {
+            console.log(`Created new ${maxPlayers}-player room: ${room}`);
+          }
+          enterRoom(room);
+
+          // Computer players take the remaining seats after the creator
+          bots.forEach((strategy) => addBot(room, strategy));
+          startGameIfFull(room);
+          if (!isPrivate) {
+            scheduleBotFill(room);
+          }
+        })
+        .catch((error) => {
+          console.error(`Could not open a room for ${socket.id}: ${error.message}`);
+          joining = false;
+          sendError(socket.id, Validation.ERRORS.ROOM_NOT_OPENED);
+        });
     }
 
     /**
-     * Assigns a player ID to a socket in a room.
-     * @param {string} room - The room ID.
-     * @param {string} socketId - The socket ID.
-     * @returns {string} - The assigned player ID (e.g., 'P1', 'P3').
+     * Checks that this socket isn't in a room or on its way into one, telling it if it is.
+     * @returns {boolean} - True if it may join a room.
      */
-    function assignPlayerId(room, socketId) {
-      const existingPlayerIds = games[room].players.map((player) => player.playerId);
+    function canJoin() {
+      if (joinedRoom || joining) {
+        sendError(socket.id, Validation.ERRORS.ALREADY_JOINED);
+        return false;
+      }
+      return true;
+    }
 
-      // Define the possible player IDs
-      const possiblePlayerIds = ['P1', 'P3'];
+    /**
+     * Listens for a client event, passing on only payloads that fit the event's
+     * schema, and only as often as the socket's allowance for it permits.
+     * @param {string} event - The event name, a key of `Validation.SCHEMAS`.
+     * @param {Object|null} limiter - The rate limiter the event counts against, if any.
+     * @param {Function} handler - Called with the payload, once the socket's earlier
+     * requests have been handled; may return a promise for the later ones to wait on.
+     */
+    function listen(event, limiter, handler) {
+      socket.on(event, (data) => {
+        const problem = Validation.validatePayload(event, data);
+        if (problem) {
+          rejectRequest(socket.id, event, Validation.ERRORS.INVALID_PAYLOAD, { problem });
+          reportSuspicious(socket.id, problem);
+          return;
+        }
+        if (limiter && !limiter.tryAcquire()) {
+          rejectRequest(socket.id, event, Validation.ERRORS.RATE_LIMITED);
+          reportSuspicious(socket.id, `${event} sent too often`);
+          return;
+        }
+        handled = handled
+          .then(() => handler(data || {}))
+          .catch((error) => console.error(`Could not handle ${event} from ${socket.id}: ${error.message}`));
+      });
+    }
 
-      // Find the first available player ID
-      const playerId = possiblePlayerIds.find((id) => !existingPlayerIds.includes(id));
+    /**
+     * Gets the parts of the signed-in account a room needs, to send to its server.
+     * @returns {Object|null} - The account's ID and nickname, or null if not signed in.
+     */
+    function getAccountData() {
+      return account && { id: account.id, nickname: account.nickname };
+    }
 
-      if (!playerId) {
-        // Room is full
-        socket.emit('errorMessage', 'Room is full.');
-        return null;
-      }
+    /**
+     * Seats this socket in a room, wherever it runs, and wires up the in-game
+     * event handlers. The room's server starts the game when the room fills up.
+     * @param {string} room - The room ID.
+     * @param {Object} [options] - How the room was found.
+     * @param {string} [options.code] - The code the player typed, to only seat them in a private room.
+     * @param {boolean} [options.matchmaking] - Whether matchmaking picked it (a full room is then no error).
+     * @returns {Promise<boolean|null>} - Whether the socket got a seat, or null if there is no such room.
+     */
+    function enterRoom(room, { code = null, matchmaking = false } = {}) {
+      joining = true;
+      const seat = { account: getAccountData(), clientSeed, code, matchmaking };
+      return runRoomOperation(room, 'seat', socket.id, seat)
+        .then((player) => {
+          joining = false;
+          if (player === NO_ROOM || player === ROOM_UNAVAILABLE) return null;
+          if (!player) return false;
 
-      games[room].players.push({ socketId, playerId });
-      return playerId;
+          joinedRoom = room;
+          leaveRankedQueue(socket.id);
+          listenGameEvents(room);
+          return true;
+        })
+        .catch((error) => {
+          console.error(`Could not seat ${socket.id} in ${room}: ${error.message}`);
+          joining = false;
+          return null;
+        });
     }
 
     /**
-     * Initializes the game state for a room.
-     * @param {Array} players - The array of player objects in the room.
-     * @returns {Object} - The initial game state.
+     * Wires up the in-game event handlers for this socket, passing each
+     * event on to the server running the room.
+     * @param {string} room - The room ID.
      */
-    function initializeGameState(players) {
-      const currentPositions = {};
+    function listenGameEvents(room) {
+      // Handle player disconnection
+      socket.on('disconnect', () => {
+        console.log(`Player ${socket.id} disconnected`);
+        runRoomOperation(room, 'disconnect', socket.id);
+      });
 
-      players.forEach((player) => {
-        const playerId = player.playerId;
+      // Handle game actions
+      listen('rollDice', actionLimiter, ({ version }) => {
+        runRoomOperation(room, 'rollDice', socket.id, { version });
+      });
 
-        if (BASE_POSITIONS[playerId]) {
-          currentPositions[playerId] = [...BASE_POSITIONS[playerId]]; // Copy base positions
-        } else {
-          console.error(`Unknown player ID: ${playerId}`);
+      listen('makeMove', actionLimiter, ({ pieceIndex, version }) => {
+        runRoomOperation(room, 'makeMove', socket.id, { pieceIndex, version });
+      });
+
+      listen('noMoves', actionLimiter, ({ version }) => {
+        runRoomOperation(room, 'noMoves', socket.id, { version });
+      });
+
+      // Handle chat; people type fast, so going over the allowance isn't suspicious
+      listen('chatMessage', null, ({ text }) => {
+        if (!chatLimiter.tryAcquire()) {
+          rejectRequest(socket.id, 'chatMessage', Validation.ERRORS.RATE_LIMITED);
+          return;
         }
+        runRoomOperation(room, 'chatMessage', socket.id, { text });
       });
 
-      return {
-        currentPositions,
-        turn: 0, // Index of the current player in the players array
-        diceValue: null,
-        killOccurred: false,
-      };
+      listen('sendEmote', null, ({ emote }) => {
+        if (!chatLimiter.tryAcquire()) {
+          rejectRequest(socket.id, 'sendEmote', Validation.ERRORS.RATE_LIMITED);
+          return;
+        }
+        runRoomOperation(room, 'sendEmote', socket.id, { emote });
+      });
+
+      // Handle the rematch handshake once the game is over
+      listen('offerRematch', requestLimiter, ({ bestOf, rotateFirst }) => {
+        runRoomOperation(room, 'offerRematch', socket.id, { bestOf, rotateFirst });
+      });
+
+      listen('acceptRematch', requestLimiter, () => {
+        runRoomOperation(room, 'acceptRematch', socket.id);
+      });
     }
+  });
 
-    /**
-     * Handles a player's disconnection from a room.
-     * @param {string} room - The room ID.
-     * @param {string} socketId - The socket ID of the disconnected player.
-     */
-    function handleDisconnect(room, socketId) {
-      if (games[room]) {
-        // Remove the player from the room
-        games[room].players = games[room].players.filter(
-          (player) => player.socketId !== socketId
-        );
+  /**
+   * Runs a room operation on the server running the room: here if it is this
+   * one, otherwise passed on to the others. A room no server runs any more is
+   * taken over from the room store first.
+   * @param {string} room - The room ID.
+   * @param {string} name - The operation, a key of `ROOM_OPERATIONS`.
+   * @param {string} socketId - The socket asking.
+   * @param {Object} [data] - The operation's data (plain JSON, as it may travel to another server).
+   * @returns {Promise} - Resolves with what the operation returned, `NO_ROOM` if there is
+   * no such room, or `ROOM_UNAVAILABLE` if its server didn't answer.
+   */
+  function runRoomOperation(room, name, socketId, data = {}) {
+    if (games[room]) {
+      return Promise.resolve(runLocalOperation(room, name, socketId, data));
+    }
 
-        // Notify remaining player
-        if (games[room].players.length > 0) {
-          io.in(room).emit('opponentLeft', 'Your opponent has left the game.');
-        } else {
-          // Delete the game if no players are left
-          delete games[room];
-          console.log(`Room ${room} deleted`);
+    return registry
+      .getOwner(room)
+      .then((owner) => {
+        if (owner && owner !== registry.nodeId) {
+          return forwardRoomOperation({ room, name, socketId, data });
         }
+        return takeOverRoom(room).then((taken) =>
+          taken && games[room] ? runLocalOperation(room, name, socketId, data) : NO_ROOM
+        );
+      })
+      .catch((error) => {
+        console.error(`Could not run ${name} for ${room}: ${error.message}`);
+        return ROOM_UNAVAILABLE;
+      });
+  }
+
+  /**
+   * Runs a room operation on a room this server runs. One that fails is logged
+   * and answered like a room whose server didn't answer, so the socket asking
+   * is never left waiting on it.
+   * @param {string} room - The room ID.
+   * @param {string} name - The operation, a key of `ROOM_OPERATIONS`.
+   * @param {string} socketId - The socket asking.
+   * @param {Object} data - The operation's data.
+   * @returns {*} - What the operation returned, or `ROOM_UNAVAILABLE` if it failed.
+   */
+  function runLocalOperation(room, name, socketId, data) {
+    try {
+      return ROOM_OPERATIONS[name](room, socketId, data);
+    } catch (error) {
+      console.error(`Could not run ${name} for ${room}:`, error);
+      return ROOM_UNAVAILABLE;
+    }
+  }
+
+  /**
+   * Passes a room operation on to the other servers; the one running the room answers.
+   * @param {Object} operation - `{room, name, socketId, data}`.
+   * @returns {Promise} - Resolves with the operation's result, or `ROOM_UNAVAILABLE` if nobody ran it.
+   */
+  function forwardRoomOperation(operation) {
+    return new Promise((resolve) => {
+      io.serverSideEmit('roomOperation', operation, (error, responses) => {
+        const reply = (responses || []).find((response) => response && response.handled);
+        resolve(reply ? reply.result : ROOM_UNAVAILABLE);
+      });
+    });
+  }
+
+  /**
+   * Picks up a saved room that no server runs any more. Only one takeover of
+   * a room runs at a time on this server.
+   * @param {string} room - The room ID.
+   * @returns {Promise<boolean>} - True if this server now runs the room.
+   */
+  function takeOverRoom(room) {
+    if (!takeovers.has(room)) {
+      const takeover = roomStore
+        .load(room)
+        .then((record) => {
+          if (!record) return false;
+          return registry.claim(room).then((held) => {
+            if (!held) return false;
+            // Read it again now that its old server can't save any more
+            return roomStore.load(room).then((latest) => {
+              if (!games[room]) {
+                return restoreRoom(room, latest || record).then(() => true);
+              }
+              return true;
+            });
+          });
+        })
+        .finally(() => takeovers.delete(room));
+      takeovers.set(room, takeover);
+    }
+    return takeovers.get(room);
+  }
+
+  /**
+   * Opens a new room on this server and takes its lease. Room IDs are made to be
+   * unique, so the room is used straight away; in the unlikely event that another
+   * server already has a room by that ID, this one is closed again.
+   * @param {string} room - The room ID.
+   * @param {Object} options - The room options, as for `createRoom`.
+   */
+  function openRoom(room, options) {
+    games[room] = createRoom(options);
+    registry.claim(room).then(
+      (held) => {
+        if (held) return;
+        console.error(`Room ID ${room} is already in use on another server`);
+        sendError(room, Validation.ERRORS.ROOM_NOT_OPENED);
+        dropRoom(room);
+      },
+      (error) => console.error(`Could not register room ${room}: ${error.message}`)
+    );
+  }
+
+  /**
+   * Lets go of a room another server has taken over: stops its timers and
+   * forgets it here, without touching its saved copy.
+   * @param {string} room - The room ID.
+   */
+  function dropRoom(room) {
+    const game = games[room];
+    if (!game) return;
+
+    stopTurnClock(game);
+    clearTimeout(game.botFillTimer);
+    clearTimeout(game.rematch && game.rematch.timer);
+    game.players.forEach((player) => clearTimeout(player.disconnectTimer));
+    delete games[room];
+    roomDescriptions.delete(room);
+    console.log(`Dropped room ${room}`);
+  }
+
+  /**
+   * Seats a socket in this server's room: the host side of joining.
+   * @param {string} room - The room ID.
+   * @param {string} socketId - The joining socket.
+   * @param {Object} options - From the socket's server.
+   * @param {Object|null} options.account - The signed-in account's ID and nickname.
+   * @param {string|null} options.clientSeed - The seed the player chose for the dice.
+   * @param {string|null} options.code - The code the player typed, if they joined by code.
+   * @param {boolean} options.matchmaking - Whether matchmaking picked the room.
+   * @returns {Object|null} - The seat's player ID, or null if the socket wasn't seated.
+   */
+  function seatPlayer(room, socketId, { account, clientSeed, code, matchmaking }) {
+    const game = games[room];
+
+    if (code && !game.isPrivate) {
+      sendError(socketId, Validation.ERRORS.ROOM_NOT_FOUND, { code });
+      return null;
+    }
+    if (game.gameState || game.players.length >= game.maxPlayers) {
+      if (!matchmaking) {
+        sendError(socketId, Validation.ERRORS.ROOM_FULL, { code });
       }
+      return null;
     }
 
-    /**
-     * Handles a player's request to roll the dice.
-     * @param {string} room - The room ID.
-     * @param {string} socketId - The socket ID of the player rolling the dice.
-     */
-    function handleDiceRoll(room, socketId) {
+    const player = assignPlayerId(room, socketId, { account, clientSeed });
+    const { playerId } = player;
+
+    // Join the room, on whichever server the socket is connected to
+    io.in(socketId).socketsJoin(room);
+    console.log(`Player ${playerId} (${socketId}) joined ${room}`);
+
+    // Send the assigned player ID and room info to the client
+    io.to(socketId).emit('playerAssigned', {
+      playerId,
+      room,
+      code: game.isPrivate ? room : null,
+      maxPlayers: game.maxPlayers,
+      rules: game.rules,
+      ranked: game.ranked,
+      sessionToken: player.token,
+      chat: game.chat,
+      diceCommitment: game.dice.commitment,
+    });
+
+    startGameIfFull(room);
+    return { playerId };
+  }
+
+  /**
+   * Gives a reconnecting client back its seat: the host side of `resumeGame`.
+   * @param {string} room - The room ID.
+   * @param {string} socketId - The client's new socket.
+   * @param {Object} data - `{ token }`, the seat's session token.
+   * @returns {boolean} - True if the token matched a seat.
+   */
+  function resumePlayer(room, socketId, { token }) {
+    const game = games[room];
+    const player = game.players.find((p) => !p.bot && p.token === token);
+    if (!player) return false;
+
+    clearTimeout(player.disconnectTimer);
+    player.disconnectTimer = null;
+    player.socketId = socketId;
+    player.connected = true;
+    saveRoom(room);
+
+    io.in(socketId).socketsJoin(room);
+    console.log(`Player ${player.playerId} (${socketId}) resumed ${room}`);
+
+    // Send a full snapshot so the client can rebuild the board
+    io.to(socketId).emit('gameResumed', {
+      playerId: player.playerId,
+      sessionToken: player.token,
+      ...getGameSnapshot(room, game),
+    });
+    io.to(room).except(socketId).emit('playerReconnected', { playerId: player.playerId });
+    return true;
+  }
+
+  /**
+   * Lets a socket watch this server's room: the host side of `spectateGame`.
+   * @param {string} room - The room ID.
+   * @param {string} socketId - The spectator's socket.
+   * @param {Object} data - `{ code }`, the code they typed, if any.
+   * @returns {boolean} - True if they are now watching.
+   */
+  function addSpectator(room, socketId, { code }) {
+    const game = games[room];
+    if (!game.allowSpectators) {
+      sendError(socketId, Validation.ERRORS.SPECTATORS_OFF);
+      return false;
+    }
+    if (code && !game.isPrivate) {
+      sendError(socketId, Validation.ERRORS.ROOM_NOT_FOUND, { code });
+      return false;
+    }
+
+    io.in(socketId).socketsJoin(room);
+    game.spectators.add(socketId);
+    console.log(`Spectator ${socketId} is watching ${room}`);
+
+    // Catch the spectator up, then keep them in step with the room's broadcasts
+    io.to(socketId).emit('spectating', getGameSnapshot(room, game));
+    io.in(room).emit('viewerCount', { viewers: game.spectators.size });
+    return true;
+  }
+
+  /**
+   * Puts a signed-in account on the seat a socket holds.
+   * @param {string} room - The room ID.
+   * @param {string} socketId - The seated socket.
+   * @param {Object} account - The account's ID and nickname.
+   */
+  function setSeatAccount(room, socketId, account) {
+    const game = games[room];
+    const player = game.players.find((p) => p.socketId === socketId);
+    if (!player || !account) return;
+
+    setPlayerAccount(game, player, account);
+    saveRoom(room);
+    io.in(room).emit('playerNames', { names: getPlayerNames(game) });
+  }
+
+  /**
+   * Creates an empty room record.
+   * @param {Object} options - Room options.
+   * @param {number} options.maxPlayers - The room size (2, 3 or 4).
+   * @param {boolean} options.isPrivate - Whether the room is only reachable by its code.
+   * @param {Object} options.rules - The room's house rules.
+   * @param {Object} options.timers - The room's turn deadlines.
+   * @param {boolean} options.allowSpectators - Whether people can watch without playing.
+   * @param {boolean} [options.ranked] - Whether the game changes the players' ratings.
+   * @returns {Object} - The new room.
+   */
+  function createRoom({ maxPlayers, isPrivate, rules, timers, allowSpectators, ranked = false }) {
+    const dice = createDice();
+    return {
+      players: [],
+      maxPlayers,
+      isPrivate,
+      rules,
+      timers,
+      allowSpectators,
+      ranked,
+      spectators: new Set(), // Socket IDs of the people watching
+      chat: [], // The latest messages, for people who join late
+      accounts: {}, // Account IDs of the signed-in players, by player ID, kept after they leave
+      turnClock: null,
+      botTimer: null, // A bot's next action
+      botFillTimer: null, // Seats the bots in a public room nobody else joined
+      gameState: null,
+      version: 0, // Counts the changes to the game state sent to the clients (see shared/sync.js)
+      sentState: null, // The game state as of that version
+      replayId: crypto.randomBytes(8).toString('hex'),
+      startedAt: null,
+      dice,
+      botRandom: createBotRandom(dice.serverSeed),
+      log: [], // Everything that happened, in order, for the replay
+      finished: false, // The game is over and the room is waiting on a rematch
+      rematch: null, // The rematch being agreed on, while the room waits
+      series: { bestOf: 1, scores: {}, games: 0, winner: null }, // Wins in this room, by player ID
+      firstTurn: 0, // The index of the player who went first in the latest game
+    };
+  }
+
+  /**
+   * Creates the dice of a new game, with a fresh server seed.
+   * @returns {Object} - The dice.
+   */
+  function createDice() {
+    const serverSeed = Fairness.createServerSeed(seededRandom);
+    return {
+      serverSeed, // Secret until the game ends
+      commitment: Fairness.commitToSeed(serverSeed),
+      clientSeeds: {}, // The seed each player chose, by player ID
+      clientSeed: null, // All of them together, set when the game starts
+      rolls: 0, // Rolls so far, which numbers the next one
+    };
+  }
+
+  /**
+   * Assigns a free seat in a room to a socket or a computer player.
+   * @param {string} room - The room ID.
+   * @param {string} socketId - The socket ID (a made-up one for bots).
+   * @param {Object} [options] - Who is sitting down.
+   * @param {string|null} [options.bot] - The strategy, for computer players.
+   * @param {Object|null} [options.account] - The signed-in account, for people.
+   * @param {string|null} [options.clientSeed] - The seed the player chose for the dice, for people.
+   * @returns {Object|null} - The seated player (with `playerId` e.g. 'P1' and session `token`), or null if the room is full.
+   */
+  function assignPlayerId(room, socketId, { bot = null, account = null, clientSeed = null } = {}) {
+    const existingPlayerIds = games[room].players.map((player) => player.playerId);
+
+    // The seats available for this room size
+    const possiblePlayerIds = PLAYER_SEATS[games[room].maxPlayers];
+
+    // Find the first available player ID
+    const playerId = possiblePlayerIds.find((id) => !existingPlayerIds.includes(id));
+
+    if (!playerId) {
+      // Room is full
+      return null;
+    }
+
+    const player = {
+      socketId,
+      playerId,
+      token: crypto.randomBytes(16).toString('hex'), // Lets a reconnecting client reclaim the seat
+      connected: true,
+      disconnectTimer: null,
+      timeouts: 0, // Turn clock expiries in a row
+      bot, // The strategy, for computer players
+      accountId: null,
+      name: bot ? `${bot[0].toUpperCase()}${bot.slice(1)} bot` : null, // Shown instead of the seat label
+    };
+    games[room].players.push(player);
+    if (account) {
+      setPlayerAccount(games[room], player, account);
+    }
+    if (clientSeed) {
+      games[room].dice.clientSeeds[playerId] = clientSeed;
+    }
+    recordEvent(games[room], { type: 'join', playerId, bot, name: player.name });
+
+    // Keep players in seat order so turns go round the board
+    games[room].players.sort((a, b) => PLAYERS.indexOf(a.playerId) - PLAYERS.indexOf(b.playerId));
+    saveRoom(room);
+    return player;
+  }
+
+  /**
+   * Links a seat to a signed-in account, so the account's name shows on the
+   * board and the game counts towards its stats.
+   * @param {Object} game - The room's game.
+   * @param {Object} player - The seated player.
+   * @param {Object} account - The account.
+   */
+  function setPlayerAccount(game, player, account) {
+    player.accountId = account.id;
+    player.name = account.nickname;
+    game.accounts[player.playerId] = account.id;
+  }
+
+  /**
+   * Lists the names shown for each seat; seats without one show their label.
+   * @param {Object} game - The room's game.
+   * @returns {Object} - Names keyed by player ID.
+   */
+  function getPlayerNames(game) {
+    const names = {};
+    game.players.filter((p) => p.name).forEach((p) => {
+      names[p.playerId] = p.name;
+    });
+    return names;
+  }
+
+  /**
+   * Seats a computer player in a room. Bots play through the same
+   * handlers as people, under a made-up socket ID that never connects.
+   * @param {string} room - The room ID.
+   * @param {string} strategy - The bot's strategy (see `Bots.STRATEGIES`).
+   * @returns {Object|null} - The seated bot, or null if the room is full.
+   */
+  function addBot(room, strategy) {
+    const bot = Bots.normalizeStrategy(strategy);
+    const player = assignPlayerId(room, `bot-${crypto.randomBytes(8).toString('hex')}`, { bot });
+    if (!player) return null;
+
+    console.log(`Bot ${player.playerId} (${player.bot}) joined ${room}`);
+    return player;
+  }
+
+  /**
+   * Starts the game once every seat in the room is taken.
+   * @param {string} room - The room ID.
+   */
+  function startGameIfFull(room) {
+    const game = games[room];
+    if (!game || game.gameState || game.players.length < game.maxPlayers) return;
+
+    clearTimeout(game.botFillTimer);
+    startGame(room);
+  }
+
+  /**
+   * Starts a game between the players seated in a room.
+   * @param {string} room - The room ID.
+   */
+  function startGame(room) {
+    const game = games[room];
+
+    // Initialize game state
+    game.gameState = Rules.createInitialState(
+      game.players.map((p) => p.playerId),
+      game.rules,
+      game.firstTurn
+    );
+    game.startedAt = Date.now();
+    game.dice.clientSeed = Dice.combineClientSeeds(game.dice.clientSeeds, game.gameState.players);
+    recordEvent(game, {
+      type: 'start',
+      players: game.gameState.players,
+      positions: game.gameState.currentPositions,
+      dice: getDiceData(game),
+    });
+    restartTurnClock(room);
+    const { version } = publishState(game);
+    saveRoom(room);
+    // Notify players that the game is starting
+    io.in(room).emit('startGame', {
+      gameState: game.gameState,
+      version,
+      players: game.players.map((p) => p.playerId),
+      bots: getBotStrategies(game),
+      names: getPlayerNames(game),
+      turnClock: getTurnClockData(game),
+      dice: getDiceData(game),
+      series: game.series,
+    });
+    console.log(`Game started in ${room}`);
+  }
+
+  /**
+   * Fills a public room's empty seats with bots if people haven't
+   * filled it by the time `config.bots.fillDelay` runs out.
+   * @param {string} room - The room ID.
+   */
+  function scheduleBotFill(room) {
+    const { fillDelay, fillStrategy } = config.bots;
+    if (!fillDelay) return;
+
+    games[room].botFillTimer = setTimeout(() => {
       const game = games[room];
-      if (!game) return;
+      if (!game || game.gameState) return;
 
-      const currentPlayer = game.players[game.gameState.turn];
-      if (currentPlayer.socketId !== socketId) {
-        io.to(socketId).emit('errorMessage', 'It is not your turn to roll the dice.');
-        return;
+      console.log(`Filling empty seats in ${room} with bots`);
+      while (game.players.length < game.maxPlayers) {
+        addBot(room, fillStrategy);
       }
+      startGameIfFull(room);
+    }, fillDelay);
+  }
 
-      // Roll the dice
-      const diceValue = Math.floor(Math.random() * 6) + 1;
-      game.gameState.diceValue = diceValue;
+  /**
+   * Reads the requested computer players from a client payload.
+   * At least one seat is always left for the creator.
+   * @param {Object} data - The client payload.
+   * @param {number} maxPlayers - The room size.
+   * @returns {string[]} - One strategy per bot.
+   */
+  function getRoomBots(data, maxPlayers) {
+    const requested = data && data.bots;
+    if (!Array.isArray(requested)) return [];
+    return requested.slice(0, maxPlayers - 1).map(Bots.normalizeStrategy);
+  }
 
-      console.log(`Player ${currentPlayer.playerId} rolled a ${diceValue}`);
+  /**
+   * Lists the computer players in a room.
+   * @param {Object} game - The room's game.
+   * @returns {Object} - Each bot's strategy, keyed by player ID.
+   */
+  function getBotStrategies(game) {
+    const bots = {};
+    game.players.filter((p) => p.bot).forEach((p) => {
+      bots[p.playerId] = p.bot;
+    });
+    return bots;
+  }
+
+  /**
+   * Reads the requested room size from a client payload.
+   * Rooms can seat 2, 3 or 4 players; anything else falls back to 2.
+   * @param {Object} data - The client payload.
+   * @returns {number} - The room size.
+   */
+  function getRoomSize(data) {
+    const maxPlayers = Number(data && data.maxPlayers);
+    return PLAYER_SEATS[maxPlayers] ? maxPlayers : 2;
+  }
+
+  /**
+   * Reads the requested turn deadlines from a client payload, keeping them within
+   * sensible bounds. Missing values use the defaults from config.js.
+   * @param {Object} [data] - The client payload.
+   * @returns {{rollTimeout: number, moveTimeout: number, maxTimeouts: number}} - The room's turn deadlines (ms).
+   */
+  function getRoomTimers(data) {
+    const requested = (data && data.timers) || {};
+    const clamp = (value, fallback) => {
+      const ms = Number(value);
+      if (value === undefined || !Number.isFinite(ms)) return fallback;
+      return Math.min(Math.max(ms, MIN_TURN_TIMEOUT), MAX_TURN_TIMEOUT);
+    };
+
+    return {
+      rollTimeout: clamp(requested.rollTimeout, config.turnTimers.rollTimeout),
+      moveTimeout: clamp(requested.moveTimeout, config.turnTimers.moveTimeout),
+      maxTimeouts: config.turnTimers.maxTimeouts,
+    };
+  }
+
+  /**
+   * Adds a signed-in player to the ranked queue and makes sure it is being matched.
+   * @param {string} socketId - The player's socket ID.
+   * @param {Object} account - The player's account.
+   * @param {number} maxPlayers - The room size they want.
+   * @param {Function} enter - Seats the socket in a room, given the room ID.
+   * @returns {Promise} - Resolves once the player is in the queue and a round of matching has run.
+   */
+  function joinRankedQueue(socketId, account, maxPlayers, enter) {
+    const entry = { socketId, rating: account.rating, maxPlayers, joinedAt: Date.now() };
+    rankedWaiting.set(socketId, { entry, enter });
+    console.log(`${account.nickname} (${account.rating}) is waiting for a ranked ${maxPlayers}-player game`);
+
+    if (!rankedTimer) {
+      rankedTimer = setInterval(matchRankedPlayers, config.ranked.matchInterval);
+    }
+    return matchRankedPlayers();
+  }
 
-      // Notify both players about the dice roll
-      io.in(room).emit('diceRolled', {
-        playerId: currentPlayer.playerId,
-        diceValue,
+  /**
+   * Takes a socket out of the ranked queue, if it is waiting here.
+   * @param {string} socketId - The socket ID.
+   */
+  function leaveRankedQueue(socketId) {
+    if (rankedWaiting.delete(socketId)) {
+      cluster.store
+        .del(`ranked:${socketId}`)
+        .catch((error) => console.error(`Could not take ${socketId} out of the ranked queue: ${error.message}`));
+    }
+  }
+
+  /**
+   * Keeps this server's players in the shared ranked queue and, if this server
+   * holds the matcher lease, seats every group of queued players whose ratings
+   * are close enough together in a new ranked room. Stops once nobody is
+   * waiting here; another server with players waiting takes over the matching.
+   * @returns {Promise} - Resolves once done.
+   */
+  function matchRankedPlayers() {
+    if (rankedWaiting.size === 0) {
+      clearInterval(rankedTimer);
+      rankedTimer = null;
+      return Promise.resolve();
+    }
+
+    // Entries outlive a few rounds, so those of a server that stops soon go
+    const { store } = cluster;
+    const { matchInterval } = config.ranked;
+    const renewals = [...rankedWaiting.values()].map(({ entry }) =>
+      store.set(`ranked:${entry.socketId}`, entry, { ttl: matchInterval * 3 })
+    );
+    return Promise.all(renewals)
+      .then(() => store.claim(RANKED_MATCHER_KEY, registry.nodeId, matchInterval * 2))
+      .then((matcher) => matcher && store.list('ranked:'))
+      .then((entries) => {
+        if (!entries) return;
+
+        const queue = Object.values(entries).sort((a, b) => a.joinedAt - b.joinedAt);
+        let match;
+        while ((match = Ratings.findRankedMatch(queue, Date.now(), config.ranked))) {
+          match.forEach((entry) => queue.splice(queue.indexOf(entry), 1));
+          openRankedRoom(match);
+        }
+      })
+      .catch((error) => console.error(`Could not match ranked players: ${error.message}`));
+  }
+
+  /**
+   * Opens a ranked room for a match and seats its players, asking the other
+   * servers to seat the ones connected to them.
+   * @param {Object[]} match - The players' queue entries.
+   */
+  function openRankedRoom(match) {
+    const room = `ranked-${crypto.randomBytes(8).toString('hex')}`;
+    openRoom(room, {
+      maxPlayers: match[0].maxPlayers,
+      isPrivate: false,
+      rules: Rules.normalizeOptions(),
+      timers: getRoomTimers(),
+      allowSpectators: true,
+      ranked: true,
+    });
+    console.log(`Created ranked room ${room} for ratings ${match.map((entry) => entry.rating).join(', ')}`);
+
+    const elsewhere = [];
+    match.forEach(({ socketId }) => {
+      if (rankedWaiting.has(socketId)) {
+        seatRankedPlayer(room, socketId);
+      } else {
+        cluster.store
+          .del(`ranked:${socketId}`)
+          .catch((error) => console.error(`Could not take ${socketId} out of the ranked queue: ${error.message}`));
+        elsewhere.push(socketId);
+      }
+    });
+    if (elsewhere.length > 0) {
+      io.serverSideEmit('rankedMatch', { room, socketIds: elsewhere });
+    }
+  }
+
+  /**
+   * Seats a player of this server who was matched for a ranked game.
+   * @param {string} room - The ranked room.
+   * @param {string} socketId - The player's socket ID.
+   */
+  function seatRankedPlayer(room, socketId) {
+    const waiting = rankedWaiting.get(socketId);
+    if (!waiting) return; // Gone since, or already matched
+    leaveRankedQueue(socketId);
+    waiting.enter(room);
+  }
+
+  /**
+   * Finds a public room of the requested size and house rules that has a free seat
+   * and hasn't started yet, on this server first and then on the others.
+   * Private and ranked rooms are never handed out by matchmaking.
+   * @param {number} maxPlayers - The room size (2, 3 or 4).
+   * @param {Object} rules - The house rules, as returned by `Rules.normalizeOptions`.
+   * @returns {Promise<string|null>} - The room ID or null if no room is available.
+   */
+  function findAvailableRoom(maxPlayers, rules) {
+    const isAvailable = (info) =>
+      !info.isPrivate &&
+      !info.ranked &&
+      info.maxPlayers === maxPlayers &&
+      sameRules(info.rules, rules) &&
+      !info.started &&
+      info.players < info.maxPlayers;
+
+    const local = Object.keys(games).find((room) => isAvailable(getRoomInfo(games[room])));
+    if (local) {
+      return Promise.resolve(local);
+    }
+
+    return registry
+      .listInfo()
+      .then((rooms) => Object.keys(rooms).find((room) => !games[room] && isAvailable(rooms[room])) || null)
+      .catch((error) => {
+        console.error(`Could not look for rooms on other servers: ${error.message}`);
+        return null;
       });
+  }
+
+  /**
+   * Checks whether two sets of house rules are the same.
+   * @param {Object} a - House rules.
+   * @param {Object} b - House rules.
+   * @returns {boolean} - True if every rule matches.
+   */
+  function sameRules(a, b) {
+    return Object.keys(Rules.DEFAULT_OPTIONS).every((key) => a[key] === b[key]);
+  }
+
+  /**
+   * Generates a private room code that no room on any server uses, and takes
+   * the lease on it so no other server can hand out the same code meanwhile.
+   * @param {number} [attemptsLeft] - How many more codes to try.
+   * @returns {Promise<string>} - The room code (e.g., 'K7QXM').
+   */
+  function claimRoomCode(attemptsLeft = ROOM_CODE_ATTEMPTS) {
+    let code;
+    do {
+      code = '';
+      for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+        code += ROOM_CODE_ALPHABET[Math.floor(Math.random() * ROOM_CODE_ALPHABET.length)];
+      }
+    } while (games[code]);
+
+    // A room whose server stopped keeps its description until another takes it over
+    return registry
+      .getInfo(code)
+      .then((info) => !info && registry.claim(code))
+      .then((held) => {
+        if (held) return code;
+        if (attemptsLeft <= 1) throw new Error('no free room code found');
+        return claimRoomCode(attemptsLeft - 1);
+      });
+  }
+
+  /**
+   * Normalizes a room code typed or pasted by a user.
+   * @param {*} code - The raw code.
+   * @returns {string} - The upper-cased code without surrounding whitespace.
+   */
+  function normalizeRoomCode(code) {
+    return typeof code === 'string' ? code.trim().toUpperCase() : '';
+  }
+
+  /**
+   * Describes everything a client needs to draw a room from scratch,
+   * for a player coming back or a spectator arriving late.
+   * @param {string} room - The room ID.
+   * @param {Object} game - The room's game.
+   * @returns {Object} - The snapshot.
+   */
+  function getGameSnapshot(room, game) {
+    return {
+      room,
+      code: game.isPrivate ? room : null,
+      maxPlayers: game.maxPlayers,
+      rules: game.rules,
+      players: game.players.map((p) => p.playerId),
+      bots: getBotStrategies(game),
+      names: getPlayerNames(game),
+      awayPlayers: getAwayPlayerIds(game),
+      viewers: game.spectators.size,
+      chat: game.chat,
+      gameState: game.gameState,
+      version: game.version,
+      legalMoves: getPendingLegalMoves(game),
+      turnClock: getTurnClockData(game),
+      dice: getDiceData(game),
+      series: game.series,
+      result: game.finished ? getGameResult(game) : null,
+    };
+  }
+
+  /**
+   * Describes how a finished game ended, for a player coming back to the room
+   * while its players decide on a rematch.
+   * @param {Object} game - The room's game.
+   * @returns {Object} - The winners, everyone's placing, the replay and the rematch on offer, if any.
+   */
+  function getGameResult(game) {
+    const { winner, winners } = game.log.find((entry) => entry.type === 'win');
+    return {
+      winner,
+      winners,
+      placements: getPlacements(game, winners),
+      replayId: game.replayId,
+      rematch: getRematchData(game.rematch),
+    };
+  }
+
+  /**
+   * Describes a room's rematch for the clients.
+   * @param {Object|null} rematch - The room's rematch.
+   * @returns {Object|null} - Its terms, who has agreed and how long (ms) is left, or null if there is none.
+   */
+  function getRematchData(rematch) {
+    if (!rematch) return null;
+    const { offeredBy, accepted, bestOf, rotateFirst, deadline } = rematch;
+    return { offeredBy, accepted, bestOf, rotateFirst, remaining: Math.max(0, deadline - Date.now()) };
+  }
+
+  /**
+   * Describes a game's dice for the clients, without the secret server seed.
+   * @param {Object} game - The room's game.
+   * @returns {{commitment: string, clientSeed: string|null}} - The commitment and, once
+   * the game has started, the client seed.
+   */
+  function getDiceData(game) {
+    return { commitment: game.dice.commitment, clientSeed: game.dice.clientSeed };
+  }
+
+  /**
+   * Creates the random number generator a room's bots choose with: seeded from
+   * the server seed when dice are seeded, so the whole game can be repeated.
+   * @param {string} serverSeed - The room's server seed.
+   * @returns {Function} - The generator, like `Math.random`.
+   */
+  function createBotRandom(serverSeed) {
+    return seededRandom ? Dice.createSeededRandom(serverSeed) : Math.random;
+  }
+
+  /**
+   * Shares a player's chat message with the room, once it has been tidied up.
+   * @param {string} room - The room ID.
+   * @param {string} socketId - The socket ID of the sender.
+   * @param {Object} data - The message from the client (`{ text }`).
+   */
+  function handleChatMessage(room, socketId, data) {
+    const game = games[room];
+    const player = game && game.players.find((p) => p.socketId === socketId);
+    if (!player) return;
+
+    const { text, error, params } = cleanMessage(data && data.text, config.chat.maxLength);
+    if (error) {
+      sendError(socketId, error, params);
+      return;
     }
 
-    /**
-     * Handles a player's move action.
-     * @param {string} room - The room ID.
-     * @param {string} socketId - The socket ID of the player making the move.
-     * @param {Object} data - The move data from the client.
-     */
-    function handleMakeMove(room, socketId, data) {
-      const game = games[room];
-      if (!game) return;
+    const message = { playerId: player.playerId, text, at: Date.now() };
+    game.chat.push(message);
+    if (game.chat.length > config.chat.historySize) {
+      game.chat.shift();
+    }
+    saveRoom(room);
+    io.in(room).emit('chatMessage', message);
+  }
+
+  /**
+   * Shows a player's emote to the room. Emotes aren't kept in the chat history.
+   * @param {string} room - The room ID.
+   * @param {string} socketId - The socket ID of the sender.
+   * @param {Object} data - The emote from the client (`{ emote }`, a key of `EMOTES`).
+   */
+  function handleEmote(room, socketId, data) {
+    const game = games[room];
+    const player = game && game.players.find((p) => p.socketId === socketId);
+    const emote = data && data.emote;
+    if (!player || !Object.prototype.hasOwnProperty.call(EMOTES, emote)) return;
+
+    io.in(room).emit('emote', { playerId: player.playerId, emote });
+  }
+
+  /**
+   * Stops counting a spectator who has gone.
+   * @param {string} room - The room ID.
+   * @param {string} socketId - The spectator's socket ID.
+   */
+  function handleSpectatorLeave(room, socketId) {
+    const game = games[room];
+    if (!game || !game.spectators.delete(socketId)) return;
 
-      const currentPlayer = game.players[game.gameState.turn];
-      if (currentPlayer.socketId !== socketId) {
-        io.to(socketId).emit('errorMessage', 'It is not your turn to move.');
+    io.in(room).emit('viewerCount', { viewers: game.spectators.size });
+  }
+
+  /**
+   * Handles a player's disconnection from a room.
+   * Once the game has started the seat is held for the reconnect grace period,
+   * and the player's turns are skipped until they come back. After the game
+   * ends the seat is held the same way, and the rematch is only off if it expires.
+   * @param {string} room - The room ID.
+   * @param {string} socketId - The socket ID of the disconnected player.
+   */
+  function handleDisconnect(room, socketId) {
+    const game = games[room];
+    if (!game) return;
+
+    const player = game.players.find((p) => p.socketId === socketId);
+    if (!player) return;
+
+    if (!game.gameState) {
+      // Nothing to resume before the game starts
+      removePlayer(room, player);
+      return;
+    }
+
+    player.connected = false;
+    player.disconnectTimer = setTimeout(() => {
+      console.log(`Player ${player.playerId} did not reconnect to ${room}`);
+      removePlayer(room, player);
+    }, config.reconnectGracePeriod);
+
+    io.in(room).emit('playerReconnecting', {
+      playerId: player.playerId,
+      gracePeriod: config.reconnectGracePeriod,
+    });
+
+    // Don't leave everyone waiting on an absent player
+    if (!game.finished && game.players[game.gameState.turn] === player) {
+      skipTurn(room);
+    }
+  }
+
+  /**
+   * Removes a player from a room for good, deleting the room once it is empty.
+   * A started game with a single player (or team) left ends with them as the winner.
+   * @param {string} room - The room ID.
+   * @param {Object} player - The player to remove.
+   */
+  function removePlayer(room, player) {
+    const game = games[room];
+    if (game) {
+      const index = game.players.indexOf(player);
+      if (index === -1) return;
+      if (game.finished) {
+        cancelRematch(room, Messages.NOTICES.REMATCH_DECLINED, { playerId: player.playerId });
         return;
       }
 
-      const { pieceIndex } = data;
-      const playerId = currentPlayer.playerId;
+      // Remove the player from the room
+      clearTimeout(player.disconnectTimer);
+      game.players.splice(index, 1);
+      recordEvent(game, { type: 'leave', playerId: player.playerId });
+      if (game.gameState) {
+        game.gameState = Rules.removePlayer(game.gameState, player.playerId);
+      } else {
+        delete game.dice.clientSeeds[player.playerId];
+      }
 
-      // Validate move
-      const isValid = validateMove(game.gameState, playerId, pieceIndex);
-      if (!isValid) {
-        io.to(socketId).emit('errorMessage', 'Invalid move.');
+      if (!game.players.some((p) => !p.bot)) {
+        // Delete the game if no people are left
+        endGame(room);
+        console.log(`Room ${room} deleted`);
         return;
       }
 
-      // Apply move and get movement data
-      const moveData = applyMove(game.gameState, playerId, pieceIndex);
+      // Notify remaining players
+      io.in(room).emit('opponentLeft', toNotice(Messages.NOTICES.OPPONENT_LEFT, { playerId: player.playerId }));
 
-      // Check for a win condition
-      if (hasPlayerWon(game.gameState, playerId)) {
-        io.in(room).emit('gameOver', { winner: playerId });
-        delete games[room]; // End the game
+      if (!game.gameState) {
+        saveRoom(room);
         return;
       }
 
-      // Check if the player gets another turn
-      const extraTurn = game.gameState.diceValue === 6 || game.gameState.killOccurred;
-      if (!extraTurn) {
-        // Switch turn
-        game.gameState.turn = (game.gameState.turn + 1) % game.players.length;
+      const teams = Rules.getTeams(game.gameState);
+      if (teams.length === 1) {
+        const [winner] = teams[0];
+        recordEvent(game, { type: 'win', winner, winners: teams[0] });
+        finishGame(room, winner);
+        return;
       }
-      game.gameState.diceValue = null; // Reset dice value
-      game.gameState.killOccurred = false; // Reset kill flag
 
-      // Send updated game state to clients, including movement data
-      io.in(room).emit('updateGameState', {
-        gameState: game.gameState,
-        moveData: moveData,
-      });
+      skipAwayPlayers(game);
+      restartTurnClock(room);
+      const state = publishState(game);
+      saveRoom(room);
+      io.in(room).emit('updateGameState', { ...state, turnClock: getTurnClockData(game) });
     }
+  }
 
-    /**
-     * Handles when a player has no moves.
-     * @param {string} room - The room ID.
-     * @param {string} socketId - The socket ID of the player.
-     */
-    function handleNoMoves(room, socketId) {
-      const game = games[room];
-      if (!game) return;
+  /**
+   * Announces the winners (the winner and, in team play, their partner),
+   * everyone's placing and the series score, saves the replay and updates the
+   * players' account stats (and ratings, in a ranked game). The room then waits
+   * for its players to agree on a rematch, if they can have one, and closes otherwise.
+   * @param {string} room - The room ID.
+   * @param {string} winner - The winning player ID.
+   * @param {Object} [moveData] - The winning move, for the clients to show, if a move won the game.
+   */
+  function finishGame(room, winner, moveData = null) {
+    const game = games[room];
+    const winners = Rules.getTeam(game.gameState, winner);
+    const placements = getPlacements(game, winners);
+    recordSeriesWin(game.series, winners);
+    game.finished = true;
+    stopTurnClock(game);
+    saveReplay(buildReplay(room, game));
 
-      const currentPlayer = game.players[game.gameState.turn];
-      if (currentPlayer.socketId !== socketId) {
-        io.to(socketId).emit('errorMessage', 'It is not your turn.');
-        return;
-      }
+    const rematch = canRematch(game) ? openRematch(room) : null;
 
-      // Switch turn
-      game.gameState.turn = (game.gameState.turn + 1) % game.players.length;
-      game.gameState.diceValue = null;
+    // Reveal the server seed so the players can check every roll
+    io.in(room).emit('gameOver', {
+      ...publishState(game),
+      moveData,
+      winner,
+      winners,
+      placements,
+      replayId: game.replayId,
+      serverSeed: game.dice.serverSeed,
+      series: game.series,
+      rematch,
+    });
+    // Ratings first, as both change the same accounts
+    const ratingsSaved = game.ranked ? updateRatings(room, game, winners) : Promise.resolve();
+    updateAccountStats(game, winners, ratingsSaved).catch((error) =>
+      console.error(`Could not update the accounts that played in ${room}: ${error.message}`)
+    );
 
-      // Send updated game state to clients
-      io.in(room).emit('updateGameState', { gameState: game.gameState });
+    if (rematch) {
+      saveRoom(room);
+    } else {
+      endGame(room);
     }
+  }
 
-    /**
-     * Validates a player's move based on the game state and rules.
-     * @param {Object} gameState - The current game state.
-     * @param {string} playerId - The player ID ('P1', 'P3').
-     * @param {number} pieceIndex - The index of the piece being moved (0-3).
-     * @returns {boolean} - True if the move is valid, false otherwise.
-     */
-    function validateMove(gameState, playerId, pieceIndex) {
-      const currentPosition = gameState.currentPositions[playerId][pieceIndex];
-      const diceValue = gameState.diceValue;
-
-      // If the piece is at home position (500+)
-      if (currentPosition >= 500) {
-        // Can only move out of home if dice roll is 6
-        if (diceValue !== 6) {
-          return false;
-        }
-        return true;
-      }
+  /**
+   * Counts a win towards the room's series, for both partners in team play,
+   * settling the series once someone has won more than half of its games.
+   * @param {Object} series - The room's series.
+   * @param {string[]} winners - The winning player IDs, the winner first.
+   */
+  function recordSeriesWin(series, winners) {
+    series.games++;
+    winners.forEach((playerId) => {
+      series.scores[playerId] = (series.scores[playerId] || 0) + 1;
+    });
+    if (series.bestOf > 1 && series.scores[winners[0]] > series.bestOf / 2) {
+      series.winner = winners[0];
+    }
+  }
 
-      // Simulate moving the piece
-      let newPosition = currentPosition;
-      for (let i = 0; i < diceValue; i++) {
-        newPosition = getNextPosition(playerId, newPosition);
-      }
+  /**
+   * Checks whether a finished game can be played again in its room: only
+   * unranked games whose players are all still seated, with someone there to ask.
+   * @param {Object} game - The room's game.
+   * @returns {boolean} - True if a rematch can be offered.
+   */
+  function canRematch(game) {
+    const started = game.log.find((entry) => entry.type === 'start').players;
+    return (
+      !game.ranked &&
+      started.every((playerId) => game.players.some((p) => p.playerId === playerId)) &&
+      game.players.some((p) => !p.bot && p.connected)
+    );
+  }
 
-      // Check if the new position is beyond the home position
-      if (isBeyondHome(playerId, newPosition)) {
-        return false;
-      }
+  /**
+   * Gives a finished room's players `config.rematch.offerTime` to agree on a
+   * rematch. Bots are always up for one.
+   * @param {string} room - The room ID.
+   * @returns {{remaining: number}} - How long (ms) they have.
+   */
+  function openRematch(room) {
+    const game = games[room];
+    const { offerTime } = config.rematch;
+    game.rematch = {
+      offeredBy: null,
+      accepted: game.players.filter((p) => p.bot).map((p) => p.playerId),
+      bestOf: null,
+      rotateFirst: false,
+      deadline: Date.now() + offerTime,
+      timer: setTimeout(() => cancelRematch(room, Messages.NOTICES.REMATCH_EXPIRED), offerTime),
+    };
+    return { remaining: offerTime };
+  }
 
-      return true;
+  /**
+   * Handles a player offering a rematch: sets its terms, unless someone has
+   * already offered one, in which case the offer counts as accepting theirs.
+   * @param {string} room - The room ID.
+   * @param {string} socketId - The socket ID of the player.
+   * @param {Object} data - `{ bestOf, rotateFirst }`: the series to play, if a new
+   * one can start, and whether the first turn goes round the table game by game.
+   */
+  function handleRematchOffer(room, socketId, { bestOf, rotateFirst }) {
+    const game = games[room];
+    const { rematch } = game;
+    const player = game.players.find((p) => p.socketId === socketId);
+    if (!rematch || !player) {
+      sendError(socketId, Validation.ERRORS.NO_REMATCH);
+      return;
     }
 
-    /**
-     * Applies a player's move to the game state.
-     * @param {Object} gameState - The current game state.
-     * @param {string} playerId - The player ID ('P1', 'P3').
-     * @param {number} pieceIndex - The index of the piece being moved (0-3).
-     * @returns {Object} - Movement data including path of the piece and killed pieces.
-     */
-    function applyMove(gameState, playerId, pieceIndex) {
-      let currentPosition = gameState.currentPositions[playerId][pieceIndex];
-      const diceValue = gameState.diceValue;
-      let newPosition = currentPosition;
+    if (!rematch.offeredBy) {
+      const length = config.rematch.seriesLengths.includes(bestOf) ? bestOf : game.series.bestOf;
+      rematch.offeredBy = player.playerId;
+      rematch.bestOf = getNextSeries(game.series, length).bestOf;
+      rematch.rotateFirst = Boolean(rotateFirst);
+    }
+    handleRematchAccept(room, socketId);
+  }
 
-      let path = []; // To record the sequence of positions
+  /**
+   * Handles a player agreeing to the rematch on offer, starting it once every
+   * player has.
+   * @param {string} room - The room ID.
+   * @param {string} socketId - The socket ID of the player.
+   */
+  function handleRematchAccept(room, socketId) {
+    const game = games[room];
+    const { rematch } = game;
+    const player = game.players.find((p) => p.socketId === socketId);
+    if (!rematch || !rematch.offeredBy || !player) {
+      sendError(socketId, Validation.ERRORS.NO_REMATCH);
+      return;
+    }
 
-      if (currentPosition >= 500) {
-        // Move out of home to starting position
-        newPosition = START_POSITIONS[playerId];
-        path.push(newPosition);
-      } else {
-        // Move piece step by step
-        for (let i = 0; i < diceValue; i++) {
-          newPosition = getNextPosition(playerId, newPosition);
-          path.push(newPosition);
-        }
-      }
+    if (!rematch.accepted.includes(player.playerId)) {
+      rematch.accepted.push(player.playerId);
+    }
+    if (game.players.every((p) => rematch.accepted.includes(p.playerId))) {
+      startRematch(room);
+      return;
+    }
 
-      // Update the piece's position
-      gameState.currentPositions[playerId][pieceIndex] = newPosition;
+    io.in(room).emit('rematchOffered', getRematchData(rematch));
+  }
 
-      // Check for kills
-      const killedPieces = checkForKill(gameState, playerId, newPosition);
-      gameState.killOccurred = killedPieces.length > 0;
+  /**
+   * Works out the series the next game counts towards: the current one until
+   * it is settled (a running score carries on too, unless a series is asked
+   * for), otherwise a new one of the length asked for.
+   * @param {Object} series - The room's series.
+   * @param {number} bestOf - The length asked for.
+   * @returns {Object} - The series, the current one or a new one.
+   */
+  function getNextSeries(series, bestOf) {
+    const unsettled = series.bestOf > 1 && !series.winner;
+    const runningScore = series.bestOf === 1 && bestOf === 1;
+    if (unsettled || runningScore) {
+      return series;
+    }
+    return { bestOf, scores: {}, games: 0, winner: null };
+  }
+
+  /**
+   * Starts the agreed rematch in the same room with the same seats, on new
+   * dice and a new replay. The first turn moves one seat on if asked.
+   * @param {string} room - The room ID.
+   */
+  function startRematch(room) {
+    const game = games[room];
+    const { rematch } = game;
+    clearTimeout(rematch.timer);
+
+    game.series = getNextSeries(game.series, rematch.bestOf);
+    game.firstTurn = rematch.rotateFirst ? (game.firstTurn + 1) % game.players.length : 0;
+    game.rematch = null;
+    game.finished = false;
+    game.gameState = null;
+
+    // Players keep the seeds they chose; the server seed is new
+    const { clientSeeds } = game.dice;
+    game.dice = { ...createDice(), clientSeeds };
+    game.botRandom = createBotRandom(game.dice.serverSeed);
+    game.replayId = crypto.randomBytes(8).toString('hex');
+    game.log = [];
+    game.players.forEach((player) => {
+      player.timeouts = 0;
+      recordEvent(game, { type: 'join', playerId: player.playerId, bot: player.bot, name: player.name });
+    });
+
+    console.log(`Rematch starting in ${room}`);
+    startGame(room);
+  }
+
+  /**
+   * Calls off the rematch and closes the room, telling everyone still in it why.
+   * @param {string} room - The room ID.
+   * @param {string} code - Why, from `Messages.NOTICES`.
+   * @param {Object} [params] - The details the code's message needs.
+   */
+  function cancelRematch(room, code, params) {
+    io.in(room).emit('rematchCancelled', toNotice(code, params));
+    console.log(`No rematch in ${room}`);
+    endGame(room);
+  }
+
+  /**
+   * Works out the ranked players' new ratings from where they placed and
+   * tells the room how each rating changed.
+   * @param {string} room - The room ID.
+   * @param {Object} game - The room's game.
+   * @param {string[]} winners - The winning player IDs.
+   * @returns {Promise} - Resolves once the new ratings are saved.
+   */
+  function updateRatings(room, game, winners) {
+    const accountIds = { ...game.accounts };
+    const ranked = getPlacements(game, winners).filter((playerId) => accountIds[playerId]);
+
+    return Promise.all(ranked.map((playerId) => Accounts.getAccount(accountIds[playerId]))).then((found) => {
+      const standings = ranked
+        .map((playerId, i) => found[i] && { id: playerId, rating: found[i].rating })
+        .filter(Boolean);
+
+      const ratings = {};
+      const saves = Ratings.updateRatings(standings, config.ranked.kFactor).map(({ id, rating, change }) => {
+        ratings[id] = { rating, change };
+        return Accounts.recordRating(accountIds[id], rating);
+      });
+      return Promise.all(saves).then(() => io.in(room).emit('ratingsUpdated', { ratings }));
+    });
+  }
+
+  /**
+   * Ranks everyone who started a game: the winners first, then the players still
+   * seated by how far their pieces got, then those who left, the last to leave first.
+   * @param {Object} game - The room's game.
+   * @param {string[]} winners - The winning player IDs, the winner first.
+   * @returns {string[]} - Player IDs from first to last place.
+   */
+  function getPlacements(game, winners) {
+    const { players, currentPositions } = game.gameState;
+    const progress = (playerId) =>
+      currentPositions[playerId].reduce((sum, position) => sum + Bots.getProgress(playerId, position), 0);
 
-      // Return movement data
+    const seated = players.filter((id) => !winners.includes(id)).sort((a, b) => progress(b) - progress(a));
+    const started = game.log.find((entry) => entry.type === 'start').players;
+    const left = game.log
+      .filter((entry) => entry.type === 'leave' && started.includes(entry.playerId))
+      .map((entry) => entry.playerId)
+      .reverse();
+
+    return [...winners, ...seated, ...left];
+  }
+
+  /**
+   * Adds a finished game to the stats of every account that played in it,
+   * including players who left early, and sends the new stats to those still here.
+   * @param {Object} game - The room's game.
+   * @param {string[]} winners - The winning player IDs.
+   * @param {Promise} after - What to wait for before saving, e.g. the new ratings.
+   * @returns {Promise} - Resolves once the stats are saved.
+   */
+  function updateAccountStats(game, winners, after) {
+    // Worked out straight away: a rematch may start over the log before the saves
+    const duration = Date.now() - game.startedAt;
+    const captures = game.log.filter((entry) => entry.type === 'capture');
+    const updates = Object.keys(game.accounts).map((playerId) => {
+      const player = game.players.find((p) => p.playerId === playerId);
       return {
-        playerId,
-        pieceIndex,
-        path,
-        killOccurred: gameState.killOccurred,
-        killedPieces, // Include the details of killed pieces
+        accountId: game.accounts[playerId],
+        socketId: player && player.connected ? player.socketId : null,
+        result: {
+          won: winners.includes(playerId),
+          capturesMade: captures.filter((entry) => entry.playerId === playerId).length,
+          capturesSuffered: captures.filter((entry) => entry.opponentId === playerId).length,
+          duration,
+        },
       };
+    });
+
+    return after.then(() =>
+      Promise.all(
+        updates.map(({ accountId, socketId, result }) =>
+          Accounts.recordGame(accountId, result).then((account) => {
+            if (account && socketId) {
+              io.to(socketId).emit('statsUpdated', { stats: Accounts.getStats(account) });
+            }
+          })
+        )
+      )
+    );
+  }
+
+  /**
+   * Deletes a room along with any timers it still has running, saving the
+   * replay if the game got under way (a finished game's is already saved).
+   * @param {string} room - The room ID.
+   */
+  function endGame(room) {
+    const game = games[room];
+    if (!game) return;
+
+    if (game.gameState && !game.finished) {
+      saveReplay(buildReplay(room, game));
     }
 
-    /**
-     * Calculates the next position for a piece.
-     * @param {string} playerId - The player ID ('P1', 'P3').
-     * @param {number} currentPosition - The current position of the piece.
-     * @returns {number} - The next position of the piece.
-     */
-    function getNextPosition(playerId, currentPosition) {
-      if (currentPosition === TURNING_POINTS[playerId]) {
-        return HOME_ENTRANCE[playerId][0];
-      } else if (HOME_ENTRANCE[playerId].includes(currentPosition)) {
-        const index = HOME_ENTRANCE[playerId].indexOf(currentPosition);
-        if (index + 1 < HOME_ENTRANCE[playerId].length) {
-          return HOME_ENTRANCE[playerId][index + 1];
-        } else {
-          return HOME_POSITIONS[playerId]; // Reached home
-        }
-      } else if (currentPosition === 51) {
-        return 0;
-      } else {
-        return currentPosition + 1;
-      }
+    stopTurnClock(game);
+    clearTimeout(game.botFillTimer);
+    clearTimeout(game.rematch && game.rematch.timer);
+    game.players.forEach((player) => clearTimeout(player.disconnectTimer));
+    delete games[room];
+    roomStore.remove(room);
+    roomDescriptions.delete(room);
+    registry
+      .release(room)
+      .then(updateLobby)
+      .catch((error) => console.error(`Could not release room ${room}: ${error.message}`));
+  }
+
+  /**
+   * Handles a player's request to roll the dice.
+   * @param {string} room - The room ID.
+   * @param {string} socketId - The socket ID of the player rolling the dice.
+   * @param {Object} [data] - `{ version }`, the state version the roll was made against, from a client.
+   * @returns {boolean} - Whether the roll was accepted.
+   */
+  function handleDiceRoll(room, socketId, { version } = {}) {
+    const game = games[room];
+    if (!game) return false;
+
+    // Roll the dice from the game's seeds; the number only moves on once the roll is accepted
+    const { dice } = game;
+    const diceValue = Fairness.rollDice(dice.serverSeed, dice.clientSeed, dice.rolls);
+
+    const result = applyPlayerAction(room, socketId, { type: 'roll', diceValue }, version);
+    if (!result) return false;
+    dice.rolls++;
+
+    const { playerId, legalMoves } = result.events[0];
+    console.log(`Player ${playerId} rolled a ${diceValue}`);
+
+    // The turn ends straight away when the roll allows no move, or when
+    // three sixes in a row cost the turn under house rules
+    const forfeited = result.events.some((event) => event.type === 'turnForfeited');
+    const passed = result.events.some((event) => event.type === 'turnPassed');
+
+    if (forfeited || passed) {
+      skipAwayPlayers(games[room]);
     }
+    restartTurnClock(room);
+    const state = publishState(games[room]);
+    saveRoom(room);
 
-    /**
-     * Checks if a position is beyond the home position.
-     * @param {string} playerId - The player ID ('P1', 'P3').
-     * @param {number} position - The position to check.
-     * @returns {boolean} - True if the position is beyond home, false otherwise.
-     */
-    function isBeyondHome(playerId, position) {
-      const homePosition = HOME_POSITIONS[playerId];
-      if (HOME_ENTRANCE[playerId].includes(position) || position === homePosition) {
-        return false;
-      }
-      return position > homePosition;
+    // Notify all players about the dice roll and the moves it allows; when the
+    // turn has ended, the state that comes with it already has the next player's turn
+    io.in(room).emit('diceRolled', {
+      ...state,
+      playerId,
+      diceValue,
+      legalMoves: legalMoves.map(toLegalMoveData),
+      forfeited,
+      passed,
+      turnClock: getTurnClockData(games[room]),
+    });
+    return true;
+  }
+
+  /**
+   * Shapes a legal move from the rules engine for the clients.
+   * @param {Object} move - The legal move.
+   * @returns {Object} - The piece and its owner, where it would end up, the squares on the way and any captures.
+   */
+  function toLegalMoveData({ pieceIndex, ownerId, destination, path, killedPieces }) {
+    return { pieceIndex, ownerId, destination, path, captures: killedPieces };
+  }
+
+  /**
+   * Handles a player's move action.
+   * @param {string} room - The room ID.
+   * @param {string} socketId - The socket ID of the player making the move.
+   * @param {Object} data - The move data from the client.
+   * @returns {boolean} - Whether the move was accepted.
+   */
+  function handleMakeMove(room, socketId, data) {
+    const { pieceIndex, version } = data || {};
+
+    const result = applyPlayerAction(room, socketId, { type: 'move', pieceIndex }, version);
+    if (!result) return false;
+
+    const { type, ...moveData } = result.events.find((event) => event.type === 'pieceMoved');
+
+    // Check for a win condition
+    const gameOver = result.events.find((event) => event.type === 'gameOver');
+    if (gameOver) {
+      finishGame(room, gameOver.winner, moveData);
+      return true;
     }
 
-    /**
-     * Checks if a kill has occurred due to a player's move.
-     * @param {Object} gameState - The current game state.
-     * @param {string} playerId - The player ID who moved.
-     * @param {number} newPosition - The new position of the moved piece.
-     * @returns {Array} - Array of killed pieces with details.
-     */
-    function checkForKill(gameState, playerId, newPosition) {
-      if (SAFE_POSITIONS.includes(newPosition)) {
-        // No kill can occur on safe positions
-        return [];
+    skipAwayPlayers(games[room]);
+    restartTurnClock(room);
+    const state = publishState(games[room]);
+    saveRoom(room);
+
+    // Send the changes to clients, including movement data
+    io.in(room).emit('updateGameState', {
+      ...state,
+      moveData: moveData,
+      turnClock: getTurnClockData(games[room]),
+    });
+    return true;
+  }
+
+  /**
+   * Handles when a player claims to have no moves. The claim is checked
+   * against the rules; the server normally passes such turns by itself.
+   * @param {string} room - The room ID.
+   * @param {string} socketId - The socket ID of the player.
+   * @param {Object} [data] - `{ version }`, the state version the claim was made against, from a client.
+   * @returns {boolean} - Whether the claim was accepted.
+   */
+  function handleNoMoves(room, socketId, { version } = {}) {
+    const result = applyPlayerAction(room, socketId, { type: 'pass' }, version);
+    if (!result) return false;
+
+    skipAwayPlayers(games[room]);
+    restartTurnClock(room);
+    const state = publishState(games[room]);
+    saveRoom(room);
+
+    // Send the changes to clients
+    io.in(room).emit('updateGameState', { ...state, turnClock: getTurnClockData(games[room]) });
+    return true;
+  }
+
+  /**
+   * Runs a player's action through the rules engine, whose turn phases decide
+   * what may happen next, and stores the new state. Rejections are reported
+   * back to the player, and those only a tampered client causes are logged.
+   * An action made against an older state version than the room's is turned
+   * down as stale: the player hadn't seen the latest changes when they acted.
+   * @param {string} room - The room ID.
+   * @param {string} socketId - The socket ID of the acting player.
+   * @param {Object} action - The rules action, without `playerId`.
+   * @param {number} [version] - The state version the client acted on; left out by bots and the turn clock.
+   * @returns {Object|null} - The rules result, or null if the action was rejected.
+   */
+  function applyPlayerAction(room, socketId, action, version) {
+    const game = games[room];
+    const event = ACTION_EVENTS[action.type];
+    if (!game) return null;
+
+    const player = game.players.find((p) => p.socketId === socketId);
+    if (!player) {
+      rejectRequest(socketId, event, Validation.ERRORS.NOT_SEATED);
+      return null;
+    }
+    if (!game.gameState) {
+      rejectRequest(socketId, event, Validation.ERRORS.GAME_NOT_STARTED);
+      return null;
+    }
+    if (version !== undefined && version !== game.version) {
+      rejectRequest(socketId, event, Validation.ERRORS.STALE_STATE, { version: game.version });
+      return null;
+    }
+
+    const result = applyAction(game, { ...action, playerId: player.playerId });
+    if (result.error) {
+      rejectRequest(socketId, event, result.error);
+      if (SUSPICIOUS_ERRORS.includes(result.error)) {
+        reportSuspicious(socketId, `${event} as ${player.playerId} in ${room} rejected with ${result.error}`);
       }
+      return null;
+    }
+    return result;
+  }
 
-      let killedPieces = [];
-
-      // Check all opponent players
-      for (const opponentId in gameState.currentPositions) {
-        if (opponentId !== playerId) {
-          const opponentPositions = gameState.currentPositions[opponentId];
-          opponentPositions.forEach((position, index) => {
-            if (position === newPosition) {
-              // Send opponent's piece back to base
-              gameState.currentPositions[opponentId][index] = BASE_POSITIONS[opponentId][index];
-              killedPieces.push({ opponentId, pieceIndex: index });
-            }
+  /**
+   * Turns down a client request, telling the client why.
+   * @param {string} socketId - The socket that sent it.
+   * @param {string} action - The client event turned down.
+   * @param {string} code - Why, from `Rules.ERRORS` or `Validation.ERRORS`.
+   * @param {Object} [params] - The details the code's message needs.
+   */
+  function rejectRequest(socketId, action, code, params) {
+    io.to(socketId).emit('actionRejected', { action, ...toNotice(code, params) });
+  }
+
+  /**
+   * Tells a socket, or everyone in a room, that something they asked for can't be done.
+   * @param {string} to - The socket or room ID.
+   * @param {string} code - Why, from `Validation.ERRORS` or `Chat.ERRORS`.
+   * @param {Object} [params] - The details the code's message needs.
+   */
+  function sendError(to, code, params) {
+    io.to(to).emit('errorMessage', toNotice(code, params));
+  }
+
+  /**
+   * Builds what clients are sent for a code: the code, its params and the
+   * message they make (see shared/messages.js).
+   * @param {string} code - The code.
+   * @param {Object} [params] - The details the code's message needs.
+   * @returns {{code: string, params: Object, message: string}} - The payload.
+   */
+  function toNotice(code, params = {}) {
+    return { code, params, message: Messages.formatMessage(code, params) };
+  }
+
+  /**
+   * Logs a request an honest client wouldn't send. Once a socket has sent
+   * `config.antiCheat.suspicionThreshold` of them it is flagged, and its
+   * later ones are only counted, so a flood can't fill the log.
+   * @param {string} socketId - The socket that sent it.
+   * @param {string} reason - What was wrong with it.
+   */
+  function reportSuspicious(socketId, reason) {
+    const count = (suspicionCounts.get(socketId) || 0) + 1;
+    suspicionCounts.set(socketId, count);
+    if (count > config.antiCheat.suspicionThreshold) return;
+
+    console.warn(`Suspicious request from ${socketId} (#${count}): ${reason}`);
+    if (count === config.antiCheat.suspicionThreshold) {
+      console.warn(`Socket ${socketId} has sent ${count} suspicious requests; it is likely a modified client`);
+    }
+  }
+
+  /**
+   * Applies a rules action to a room's game and records what happened in its log.
+   * The new state is only stored if the action was accepted.
+   * @param {Object} game - The room's game.
+   * @param {Object} action - The rules action.
+   * @returns {Object} - The rules result.
+   */
+  function applyAction(game, action) {
+    const result = Rules.applyAction(game.gameState, action);
+    if (!result.error) {
+      game.gameState = result.state;
+      recordRulesEvents(game, result.events);
+    }
+    return result;
+  }
+
+  /**
+   * Passes the turn to the next player without a move and tells the room.
+   * @param {string} room - The room ID.
+   */
+  function skipTurn(room) {
+    const game = games[room];
+    const playerId = Rules.getCurrentPlayerId(game.gameState);
+    applyAction(game, { type: 'skip', playerId });
+    skipAwayPlayers(game);
+    restartTurnClock(room);
+    const state = publishState(game);
+    saveRoom(room);
+
+    // Send the changes to clients
+    io.in(room).emit('updateGameState', { ...state, turnClock: getTurnClockData(game) });
+  }
+
+  /**
+   * Passes the turn on until it reaches a connected player.
+   * @param {Object} game - The room's game.
+   */
+  function skipAwayPlayers(game) {
+    if (!game.players.some((p) => p.connected)) return;
+
+    let current = game.players[game.gameState.turn];
+    while (!current.connected) {
+      applyAction(game, { type: 'skip', playerId: current.playerId });
+      current = game.players[game.gameState.turn];
+    }
+  }
+
+  /**
+   * Lists the moves open to the current player if they have rolled but not moved yet.
+   * @param {Object} game - The room's game.
+   * @returns {Object[]} - The legal moves, shaped for the clients.
+   */
+  function getPendingLegalMoves(game) {
+    const { gameState } = game;
+    if (!gameState || !gameState.diceValue) {
+      return [];
+    }
+    return Rules.getLegalMoves(gameState, Rules.getCurrentPlayerId(gameState)).map(toLegalMoveData);
+  }
+
+  /**
+   * Lists the players currently holding a seat while disconnected.
+   * @param {Object} game - The room's game.
+   * @returns {string[]} - Their player IDs.
+   */
+  function getAwayPlayerIds(game) {
+    return game.players.filter((p) => !p.connected).map((p) => p.playerId);
+  }
+
+  /**
+   * Moves a room's state version on for the change about to be sent to its
+   * clients, and works out what changed since the last version.
+   * @param {Object} game - The room's game.
+   * @returns {{version: number, delta: Object}} - The new version and the delta to send with it.
+   */
+  function publishState(game) {
+    const delta = Sync.diffState(game.sentState, game.gameState);
+    game.version++;
+    game.sentState = game.gameState;
+    return { version: game.version, delta };
+  }
+
+  /**
+   * Sends a client the whole game state as of the current version, when it
+   * has missed some of the changes: the host side of `syncState`.
+   * @param {string} room - The room ID.
+   * @param {string} socketId - The socket asking.
+   */
+  function sendState(room, socketId) {
+    const game = games[room];
+    io.to(socketId).emit('stateSynced', {
+      version: game.version,
+      gameState: game.gameState,
+      legalMoves: getPendingLegalMoves(game),
+      turnClock: getTurnClockData(game),
+    });
+  }
+
+  /**
+   * Adds an entry to a room's event log.
+   * @param {Object} game - The room's game.
+   * @param {Object} entry - The entry, with its `type`.
+   */
+  function recordEvent(game, entry) {
+    game.log.push({ ...entry, at: Date.now() });
+  }
+
+  /**
+   * Records the events of an accepted rules action in a room's log.
+   * Captures get an entry of their own after the move that made them.
+   * @param {Object} game - The room's game.
+   * @param {Object[]} events - The events from the rules engine.
+   */
+  function recordRulesEvents(game, events) {
+    events.forEach((event) => {
+      const { playerId } = event;
+      switch (event.type) {
+        case 'diceRolled':
+          recordEvent(game, { type: 'roll', playerId, diceValue: event.diceValue });
+          break;
+        case 'pieceMoved':
+          recordEvent(game, {
+            type: 'move',
+            playerId,
+            pieceIndex: event.pieceIndex,
+            path: event.path,
+            // Set when a player moved their partner's piece
+            movedBy: event.movedBy !== playerId ? event.movedBy : undefined,
           });
-        }
+          event.killedPieces.forEach(({ opponentId, pieceIndex }) => {
+            recordEvent(game, { type: 'capture', playerId, opponentId, pieceIndex });
+          });
+          break;
+        case 'turnPassed':
+          recordEvent(game, { type: 'pass', playerId });
+          break;
+        case 'turnForfeited':
+          recordEvent(game, { type: 'forfeit', playerId });
+          break;
+        case 'turnSkipped':
+          recordEvent(game, { type: 'skip', playerId });
+          break;
+        case 'gameOver':
+          recordEvent(game, { type: 'win', winner: event.winner, winners: event.winners });
+          break;
       }
+    });
+  }
 
-      return killedPieces;
+  /**
+   * Writes a room's current state and event log to the room store, and its
+   * description to the registry for the other servers (and the lobby).
+   * @param {string} room - The room ID.
+   */
+  function saveRoom(room) {
+    const game = games[room];
+    if (game) {
+      roomStore.save(room, toRoomRecord(game));
+      const info = getRoomInfo(game);
+      const description = JSON.stringify(info);
+      registry
+        .setInfo(room, info)
+        .then(() => {
+          if (roomDescriptions.get(room) === description) return;
+          roomDescriptions.set(room, description);
+          updateLobby();
+        })
+        .catch((error) => console.error(`Could not describe room ${room}: ${error.message}`));
     }
+  }
 
-    /**
-     * Determines if a player has won the game.
-     * @param {Object} gameState - The current game state.
-     * @param {string} playerId - The player ID to check.
-     * @returns {boolean} - True if the player has won, false otherwise.
-     */
-    function hasPlayerWon(gameState, playerId) {
-      return gameState.currentPositions[playerId].every(
-        (position) => position === HOME_POSITIONS[playerId]
+  /**
+   * Sends the lobby pages on every server the new list of rooms. Changes are
+   * gathered for `config.lobby.updateDelay` and sent together.
+   */
+  function updateLobby() {
+    if (lobbyTimer) return;
+
+    lobbyTimer = setTimeout(() => {
+      lobbyTimer = null;
+      Lobby.listLobbyRooms(registry).then(
+        (rooms) => io.in(Lobby.LOBBY_ROOM).emit('lobbyRooms', { rooms }),
+        (error) => console.error(`Could not list the rooms for the lobby: ${error.message}`)
       );
+    }, config.lobby.updateDelay);
+  }
+
+  /**
+   * Describes a room for matchmaking, share links and the lobby on any server.
+   * @param {Object} game - The room's game.
+   * @returns {Object} - The description.
+   */
+  function getRoomInfo(game) {
+    const { isPrivate, ranked, allowSpectators, maxPlayers, rules } = game;
+    return {
+      isPrivate,
+      ranked,
+      allowSpectators,
+      maxPlayers,
+      rules,
+      players: game.players.length,
+      started: Boolean(game.gameState),
+      finished: game.finished,
+    };
+  }
+
+  /**
+   * Copies the parts of a room that outlive a restart: everything but timers
+   * and spectators.
+   * @param {Object} game - The room's game.
+   * @returns {Object} - A plain JSON record of the room.
+   */
+  function toRoomRecord(game) {
+    const { maxPlayers, isPrivate, rules, timers, allowSpectators, ranked } = game;
+    return {
+      maxPlayers,
+      isPrivate,
+      rules,
+      timers,
+      allowSpectators,
+      ranked,
+      chat: game.chat,
+      accounts: game.accounts,
+      gameState: game.gameState,
+      version: game.version,
+      replayId: game.replayId,
+      startedAt: game.startedAt,
+      log: game.log,
+      dice: game.dice,
+      finished: game.finished,
+      series: game.series,
+      firstTurn: game.firstTurn,
+      players: game.players.map(({ socketId, playerId, token, timeouts, bot, accountId, name }) => ({
+        socketId, // People may still be connected if another server takes the room over
+        playerId,
+        token,
+        timeouts,
+        bot,
+        accountId,
+        name,
+      })),
+    };
+  }
+
+  /**
+   * Picks up the saved rooms no server runs: those this server ran before it
+   * last stopped, and those of servers that stopped and haven't come back.
+   */
+  function restoreRooms() {
+    roomStore
+      .loadAll()
+      .then((records) => {
+        const restored = Object.keys(records)
+          .filter((room) => !games[room])
+          .map((room) =>
+            registry
+              .claim(room)
+              .then((held) => held && !games[room] && restoreRoom(room, records[room]).then(() => true))
+          );
+        return Promise.all(restored);
+      })
+      .then((restored) => {
+        const count = restored.filter(Boolean).length;
+        if (count > 0) {
+          console.log(`Restored ${count} room(s) from the room store`);
+        }
+      })
+      .catch((error) => console.error(`Could not restore rooms: ${error.message}`));
+  }
+
+  /**
+   * Rebuilds a saved room on this server. Bots carry on playing. People still
+   * connected to another server keep their seats; the rest have the reconnect
+   * grace period to reclaim them with their session tokens, as if they had
+   * just lost their connection.
+   * @param {string} room - The room ID.
+   * @param {Object} record - The saved room (see `toRoomRecord`).
+   * @returns {Promise} - Resolves once the room runs here.
+   */
+  function restoreRoom(room, record) {
+    const game = createRoom(record);
+    Object.assign(game, {
+      chat: record.chat,
+      accounts: record.accounts,
+      gameState: record.gameState,
+      version: record.version || 0,
+      sentState: record.gameState,
+      replayId: record.replayId,
+      startedAt: record.startedAt,
+      log: record.log,
+      dice: record.dice || game.dice, // Rooms saved before dice had seeds start counting now
+      finished: Boolean(record.finished),
+      series: record.series || game.series,
+      firstTurn: record.firstTurn || 0,
+      players: record.players.map((player) => ({
+        ...player,
+        connected: Boolean(player.bot),
+        disconnectTimer: null,
+      })),
+    });
+    game.botRandom = createBotRandom(game.dice.serverSeed);
+    games[room] = game;
+
+    const people = game.players.filter((player) => !player.bot);
+    return Promise.all(people.map((player) => isConnected(player.socketId))).then((connected) => {
+      people.forEach((player, i) => {
+        if (connected[i]) {
+          player.connected = true;
+          return;
+        }
+        player.disconnectTimer = setTimeout(() => {
+          console.log(`Player ${player.playerId} did not come back to ${room} after the restart`);
+          removePlayer(room, player);
+        }, config.reconnectGracePeriod);
+      });
+
+      if (game.finished) {
+        // The players get a fresh spell to agree on a rematch
+        openRematch(room);
+      } else if (game.gameState) {
+        restartTurnClock(room);
+      } else if (!game.isPrivate && !game.ranked) {
+        scheduleBotFill(room);
+      }
+      saveRoom(room);
+    });
+  }
+
+  /**
+   * Checks whether a socket is still connected to any of the servers. If some
+   * server doesn't answer, the socket is taken to be connected: the turn clock
+   * still forfeits a player who has really gone.
+   * @param {string|null} socketId - The socket ID.
+   * @returns {Promise<boolean>} - True if it is.
+   */
+  function isConnected(socketId) {
+    if (!socketId) {
+      return Promise.resolve(false);
     }
-  });
-};
\ No newline at end of file
+    return io
+      .in(socketId)
+      .fetchSockets()
+      .then((sockets) => sockets.length > 0)
+      .catch(() => true);
+  }
+
+  /**
+   * Puts together the saved record of a game.
+   * @param {string} room - The room ID.
+   * @param {Object} game - The room's game.
+   * @returns {Object} - The replay.
+   */
+  function buildReplay(room, game) {
+    const win = game.log.find((entry) => entry.type === 'win');
+    return {
+      id: game.replayId,
+      room,
+      maxPlayers: game.maxPlayers,
+      rules: game.rules,
+      startedAt: game.startedAt,
+      endedAt: Date.now(),
+      winner: win ? win.winner : null,
+      log: game.log,
+      dice: {
+        commitment: game.dice.commitment,
+        serverSeed: game.dice.serverSeed,
+        clientSeed: game.dice.clientSeed,
+      },
+    };
+  }
+
+  /**
+   * Starts the clock for the current turn phase: rolling if the dice hasn't been
+   * rolled yet, otherwise moving. Any previous clock is cancelled.
+   * @param {string} room - The room ID.
+   */
+  function restartTurnClock(room) {
+    const game = games[room];
+    if (!game) return;
+
+    stopTurnClock(game);
+    if (!game.gameState) return;
+
+    const turnPhase = Rules.getTurnPhase(game.gameState);
+    if (turnPhase === Rules.TURN_PHASES.RESOLVED) return;
+
+    const phase = turnPhase === Rules.TURN_PHASES.AWAITING_MOVE ? 'move' : 'roll';
+    const duration = phase === 'roll' ? game.timers.rollTimeout : game.timers.moveTimeout;
+    game.turnClock = {
+      phase,
+      duration,
+      deadline: Date.now() + duration,
+      timer: setTimeout(() => handleTurnTimeout(room), duration),
+    };
+
+    // Bots act well inside the clock
+    const player = game.players[game.gameState.turn];
+    if (player.bot) {
+      game.botTimer = setTimeout(() => playBotTurn(room), config.bots.thinkTime);
+    }
+  }
+
+  /**
+   * Cancels a room's turn clock and any pending bot action.
+   * @param {Object} game - The room's game.
+   */
+  function stopTurnClock(game) {
+    if (game.turnClock) {
+      clearTimeout(game.turnClock.timer);
+      game.turnClock = null;
+    }
+    clearTimeout(game.botTimer);
+    game.botTimer = null;
+  }
+
+  /**
+   * Describes the running turn clock for the clients.
+   * @param {Object} game - The room's game.
+   * @returns {{phase: string, duration: number, remaining: number}|null} - The clock, or null if none is running.
+   */
+  function getTurnClockData(game) {
+    if (!game || !game.turnClock) {
+      return null;
+    }
+    const { phase, duration, deadline } = game.turnClock;
+    return { phase, duration, remaining: Math.max(0, deadline - Date.now()) };
+  }
+
+  /**
+   * Plays the current player's turn for them when their clock runs out:
+   * rolls if needed, then picks a move. Too many timeouts in a row forfeit the player.
+   * @param {string} room - The room ID.
+   */
+  function handleTurnTimeout(room) {
+    const game = games[room];
+    if (!game || !game.gameState) return;
+
+    const player = game.players[game.gameState.turn];
+    player.timeouts++;
+    console.log(`Player ${player.playerId} timed out in ${room} (${player.timeouts} in a row)`);
+
+    if (player.timeouts >= game.timers.maxTimeouts) {
+      io.in(room).emit('playerForfeited', { playerId: player.playerId, reason: 'timeout' });
+      removePlayer(room, player);
+      return;
+    }
+
+    if (!game.gameState.diceValue) {
+      handleDiceRoll(room, player.socketId);
+    }
+
+    // The roll may have ended the turn
+    const { gameState } = game;
+    if (!gameState.diceValue || game.players[gameState.turn] !== player) {
+      return;
+    }
+
+    const legalMoves = Rules.getLegalMoves(gameState, player.playerId);
+    handleMakeMove(room, player.socketId, { pieceIndex: chooseAutoMove(legalMoves).pieceIndex });
+  }
+
+  /**
+   * Takes the next step of a bot's turn: rolls the dice, or moves the piece
+   * its strategy picks. Each step restarts the clock, which schedules the next one.
+   * @param {string} room - The room ID.
+   */
+  function playBotTurn(room) {
+    const game = games[room];
+    if (!game || !game.gameState) return;
+
+    const player = game.players[game.gameState.turn];
+    if (!player.bot) return;
+
+    if (!game.gameState.diceValue) {
+      handleDiceRoll(room, player.socketId);
+      return;
+    }
+
+    const legalMoves = Rules.getLegalMoves(game.gameState, player.playerId);
+    const move = Bots.chooseMove(player.bot, game.gameState, player.playerId, legalMoves, game.botRandom);
+    handleMakeMove(room, player.socketId, { pieceIndex: move.pieceIndex });
+  }
+
+  /**
+   * Picks a move for a player who ran out of time: a capture if there is one,
+   * otherwise the first legal move.
+   * @param {Object[]} legalMoves - The legal moves (never empty after a roll).
+   * @returns {Object} - The chosen move.
+   */
+  function chooseAutoMove(legalMoves) {
+    return legalMoves.find((move) => move.killedPieces.length > 0) || legalMoves[0];
+  }
+
+  /**
+   * Resets a player's timeout count once they act themselves.
+   * @param {string} room - The room ID.
+   * @param {string} socketId - The socket ID of the player.
+   */
+  function markActive(room, socketId) {
+    const game = games[room];
+    const player = game && game.players.find((p) => p.socketId === socketId);
+    if (player) {
+      player.timeouts = 0;
+    }
+  }
+};
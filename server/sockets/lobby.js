@@ -0,0 +1,74 @@
+// lobby.js
+//
+// The lobby lists the rooms anyone can join or watch: the public rooms on every
+// game server, read from the room descriptions in the registry. The lobby page
+// is rendered with the list and kept up to date over Socket.IO.
+
+const Rules = require('../../shared/rules');
+const Messages = require('../../shared/messages');
+
+// The Socket.IO room the lobby pages wait in for updates
+const LOBBY_ROOM = 'lobby';
+
+// What a room is doing, and how the lobby says it
+const ROOM_STATUSES = {
+  waiting: 'Waiting for players',
+  playing: 'Playing',
+  finished: 'Game over',
+};
+
+/**
+ * Describes a public room for the lobby.
+ * @param {string} room - The room ID.
+ * @param {Object} info - The room's description in the registry.
+ * @returns {Object} - `{room, players, maxPlayers, rules, status, statusLabel, canJoin, canWatch}`,
+ * with `rules` the house rules in words.
+ */
+function toLobbyRoom(room, info) {
+  let status = 'waiting';
+  if (info.finished) {
+    status = 'finished';
+  } else if (info.started) {
+    status = 'playing';
+  }
+
+  return {
+    room,
+    players: info.players,
+    maxPlayers: info.maxPlayers,
+    rules: Messages.describeRules(info.rules),
+    status,
+    statusLabel: ROOM_STATUSES[status],
+    canJoin: status === 'waiting' && info.players < info.maxPlayers,
+    canWatch: Boolean(info.allowSpectators),
+  };
+}
+
+/**
+ * Lists the public rooms on every server, those with a free seat first.
+ * Private rooms are only reachable by their code and ranked rooms by the ranked queue.
+ * @param {Object} registry - The room registry (see server/cluster/registry.js).
+ * @returns {Promise<Object[]>} - The rooms, as described by `toLobbyRoom`.
+ */
+function listLobbyRooms(registry) {
+  return registry.listInfo().then((rooms) =>
+    Object.keys(rooms)
+      .filter((room) => !rooms[room].isPrivate && !rooms[room].ranked)
+      .map((room) => toLobbyRoom(room, rooms[room]))
+      .sort((a, b) => Number(b.canJoin) - Number(a.canJoin))
+  );
+}
+
+/**
+ * Lists the house rules a new room can be given, for the lobby's form.
+ * @returns {Array<{name: string, label: string, checked: boolean}>} - Each rule, checked if it is on by default.
+ */
+function getRuleChoices() {
+  return Object.keys(Rules.DEFAULT_OPTIONS).map((name) => ({
+    name,
+    label: Messages.RULE_LABELS[name][0],
+    checked: Rules.DEFAULT_OPTIONS[name],
+  }));
+}
+
+module.exports = { LOBBY_ROOM, listLobbyRooms, getRuleChoices };
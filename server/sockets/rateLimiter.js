@@ -0,0 +1,26 @@
+// rateLimiter.js
+
+/**
+ * Creates a sliding-window rate limiter, e.g. for one socket's chat messages.
+ * @param {Object} options - Limiter options.
+ * @param {number} options.limit - How many actions are allowed per window.
+ * @param {number} options.interval - The window length (ms).
+ * @returns {{tryAcquire: Function}} - `tryAcquire()` returns true and counts the action if it is allowed.
+ */
+function createRateLimiter({ limit, interval }) {
+  let timestamps = [];
+
+  return {
+    tryAcquire() {
+      const now = Date.now();
+      timestamps = timestamps.filter((time) => now - time < interval);
+      if (timestamps.length >= limit) {
+        return false;
+      }
+      timestamps.push(now);
+      return true;
+    },
+  };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,80 @@
+// ratings.js
+//
+// Elo ratings for ranked games, and the rating windows ranked matchmaking
+// pairs players within. Everything here is pure; io.js keeps the queue and
+// accounts.js stores the ratings.
+
+/**
+ * Works out new ratings after a ranked game. Games with more than two players
+ * count as one Elo match between every pair, each player beating everyone placed
+ * below them, with the K-factor shared out so a 4-player game moves a rating about
+ * as far as a 2-player one.
+ * @param {Object[]} standings - The players from first to last place, as `{id, rating}`.
+ * @param {number} kFactor - The most a rating can move in a 2-player game.
+ * @returns {Object[]} - The players in the same order, as `{id, rating, change}`.
+ */
+function updateRatings(standings, kFactor) {
+  const share = kFactor / Math.max(standings.length - 1, 1);
+
+  return standings.map((player, place) => {
+    let change = 0;
+    standings.forEach((opponent, opponentPlace) => {
+      if (opponent === player) return;
+      const expected = 1 / (1 + Math.pow(10, (opponent.rating - player.rating) / 400));
+      const actual = place < opponentPlace ? 1 : 0;
+      change += share * (actual - expected);
+    });
+
+    change = Math.round(change);
+    return { id: player.id, rating: player.rating + change, change };
+  });
+}
+
+/**
+ * Gets how far from their own rating a queued player will accept opponents.
+ * The window starts narrow and widens the longer they wait.
+ * @param {Object} entry - The queue entry, with `joinedAt` (ms).
+ * @param {number} now - The current time (ms).
+ * @param {Object} options - `config.ranked`.
+ * @returns {number} - The largest rating difference they accept.
+ */
+function getRatingWindow(entry, now, { baseWindow, windowGrowth, maxWindow }) {
+  const waited = (now - entry.joinedAt) / 1000;
+  return Math.min(baseWindow + windowGrowth * waited, maxWindow);
+}
+
+/**
+ * Finds players in the ranked queue who can play each other: enough for a room
+ * of the same size, every pair within both players' rating windows. The
+ * longest-waiting players get matched first.
+ * @param {Object[]} queue - Queue entries with `rating`, `maxPlayers` and `joinedAt`, oldest first.
+ * @param {number} now - The current time (ms).
+ * @param {Object} options - `config.ranked`.
+ * @returns {Object[]|null} - The entries to seat together, or null if there is no match yet.
+ */
+function findRankedMatch(queue, now, options) {
+  const accepts = (a, b) =>
+    Math.abs(a.rating - b.rating) <= Math.min(getRatingWindow(a, now, options), getRatingWindow(b, now, options));
+
+  for (const entry of queue) {
+    // Closest ratings first, keeping only those everyone chosen so far accepts
+    const candidates = queue
+      .filter((other) => other !== entry && other.maxPlayers === entry.maxPlayers && accepts(entry, other))
+      .sort((a, b) => Math.abs(a.rating - entry.rating) - Math.abs(b.rating - entry.rating));
+
+    const match = [entry];
+    for (const candidate of candidates) {
+      if (match.length === entry.maxPlayers) break;
+      if (match.every((chosen) => accepts(chosen, candidate))) {
+        match.push(candidate);
+      }
+    }
+
+    if (match.length === entry.maxPlayers) {
+      return match;
+    }
+  }
+  return null;
+}
+
+module.exports = { updateRatings, getRatingWindow, findRankedMatch };
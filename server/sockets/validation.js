@@ -0,0 +1,176 @@
+// validation.js
+//
+// Checks the shape of what clients send before any handler reads it. Each
+// event has a schema listing its fields; anything else in a payload is
+// ignored, but a field of the wrong type or out of range rejects the whole
+// event. Checking what the values mean (whose turn it is, which moves are
+// legal) is left to the handlers and the rules engine.
+
+// Reasons the server turns down a client event, besides those of the rules
+// engine (worded in shared/messages.js)
+const ERRORS = {
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+  RATE_LIMITED: 'RATE_LIMITED',
+  GAME_NOT_STARTED: 'GAME_NOT_STARTED',
+  NOT_SEATED: 'NOT_SEATED',
+  ALREADY_JOINED: 'ALREADY_JOINED',
+  ROOM_NOT_FOUND: 'ROOM_NOT_FOUND',
+  ROOM_FULL: 'ROOM_FULL',
+  ROOM_NOT_OPENED: 'ROOM_NOT_OPENED',
+  JOIN_FAILED: 'JOIN_FAILED',
+  SPECTATORS_OFF: 'SPECTATORS_OFF',
+  RANKED_NEEDS_ACCOUNT: 'RANKED_NEEDS_ACCOUNT',
+  ALREADY_QUEUED: 'ALREADY_QUEUED',
+  NO_REMATCH: 'NO_REMATCH',
+  STALE_STATE: 'STALE_STATE',
+};
+
+// Longest string accepted in any field; chat text is trimmed to its own limit later
+const MAX_STRING_LENGTH = 1000;
+
+// Characters used in private room codes (no 0/O or 1/I to avoid misreading)
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ROOM_CODE_LENGTH = 5;
+
+// A code as a user may type it: any case, with spaces around it
+const ROOM_CODE_PATTERN = new RegExp(`^\\s*[${ROOM_CODE_ALPHABET}]{${ROOM_CODE_LENGTH}}\\s*$`, 'i');
+
+// The room IDs the server hands out: 'room-<socket ID>' for public rooms,
+// 'ranked-<16 hex digits>' for ranked ones and the code of private ones
+const ROOM_ID_PATTERN = new RegExp(
+  `^(room-[\\w-]{1,64}|ranked-[0-9a-f]{16}|[${ROOM_CODE_ALPHABET}]{${ROOM_CODE_LENGTH}})$`
+);
+
+// The payload of each client event: field -> `{type, required, min, max, pattern}`.
+// Types are 'string', 'boolean', 'integer', 'object' and 'array'; `pattern` is
+// a regular expression a string must match.
+const SCHEMAS = {
+  identify: {
+    nickname: { type: 'string', required: true },
+    secret: { type: 'string' },
+  },
+  resumeGame: {
+    room: { type: 'string', required: true, pattern: ROOM_ID_PATTERN },
+    token: { type: 'string', required: true },
+  },
+  joinGame: {
+    maxPlayers: { type: 'integer', min: 2, max: 4 },
+    rules: { type: 'object' },
+    ranked: { type: 'boolean' },
+    clientSeed: { type: 'string' },
+  },
+  createPrivateRoom: {
+    maxPlayers: { type: 'integer', min: 2, max: 4 },
+    rules: { type: 'object' },
+    timers: { type: 'object' },
+    bots: { type: 'array', max: 3 },
+    allowSpectators: { type: 'boolean' },
+    clientSeed: { type: 'string' },
+  },
+  createRoom: {
+    maxPlayers: { type: 'integer', min: 2, max: 4 },
+    rules: { type: 'object' },
+    timers: { type: 'object' },
+    bots: { type: 'array', max: 3 },
+    isPrivate: { type: 'boolean' },
+    allowSpectators: { type: 'boolean' },
+    clientSeed: { type: 'string' },
+  },
+  joinRoom: {
+    room: { type: 'string', required: true, pattern: ROOM_ID_PATTERN },
+    clientSeed: { type: 'string' },
+  },
+  watchLobby: {},
+  joinByCode: {
+    code: { type: 'string', required: true, pattern: ROOM_CODE_PATTERN },
+    clientSeed: { type: 'string' },
+  },
+  spectateGame: {
+    code: { type: 'string', pattern: ROOM_CODE_PATTERN },
+    room: { type: 'string', pattern: ROOM_ID_PATTERN },
+  },
+  syncState: {},
+  // Game actions may say which state version they were made against (see shared/sync.js)
+  rollDice: {
+    version: { type: 'integer', min: 0 },
+  },
+  makeMove: {
+    pieceIndex: { type: 'integer', required: true, min: 0, max: 3 },
+    version: { type: 'integer', min: 0 },
+  },
+  noMoves: {
+    version: { type: 'integer', min: 0 },
+  },
+  chatMessage: {
+    text: { type: 'string', required: true },
+  },
+  sendEmote: {
+    emote: { type: 'string', required: true },
+  },
+  offerRematch: {
+    bestOf: { type: 'integer', min: 1, max: 9 },
+    rotateFirst: { type: 'boolean' },
+  },
+  acceptRematch: {},
+};
+
+/**
+ * Checks one field against its schema entry.
+ * @param {*} value - The field's value (not undefined).
+ * @param {Object} field - The schema entry.
+ * @returns {boolean} - True if it fits.
+ */
+function isValidField(value, { type, min, max, pattern }) {
+  switch (type) {
+    case 'string':
+      return (
+        typeof value === 'string' && value.length <= MAX_STRING_LENGTH && (pattern === undefined || pattern.test(value))
+      );
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'integer':
+      return (
+        Number.isInteger(value) && (min === undefined || value >= min) && (max === undefined || value <= max)
+      );
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value) && (max === undefined || value.length <= max);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Checks a client event's payload against the event's schema. Events without
+ * required fields may come with no payload at all.
+ * @param {string} event - The event name, a key of `SCHEMAS`.
+ * @param {*} data - The payload.
+ * @returns {string|null} - What is wrong with it, or null if it is fine.
+ */
+function validatePayload(event, data) {
+  const schema = SCHEMAS[event];
+  const fields = Object.keys(schema);
+
+  if (data === undefined || data === null) {
+    const missing = fields.find((name) => schema[name].required);
+    return missing ? `${event} needs ${missing}.` : null;
+  }
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    return `${event} takes an object.`;
+  }
+
+  for (const name of fields) {
+    const value = data[name];
+    if (value === undefined) {
+      if (schema[name].required) {
+        return `${event} needs ${name}.`;
+      }
+    } else if (!isValidField(value, schema[name])) {
+      return `${event} has an invalid ${name}.`;
+    }
+  }
+  return null;
+}
+
+module.exports = { ERRORS, SCHEMAS, ROOM_CODE_ALPHABET, ROOM_CODE_LENGTH, validatePayload };
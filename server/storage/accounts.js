@@ -0,0 +1,372 @@
+// accounts.js
+//
+// Lightweight player accounts: a nickname protected by a secret the browser
+// keeps (a password, or a random key it generated), with the player's stats and
+// ranked rating. Where accounts are kept is chosen by `config.accountStore.type`:
+// - 'file': all in one JSON file, `config.accountStore.file`, loaded on first use
+//   and written back shortly after every change (a single server),
+// - 'shared': in the cluster's shared store, so every game server signs players
+//   in to the same accounts and a nickname can only be taken once.
+//
+// Both backends offer the same calls, and every call returns a Promise.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+
+const config = require('../../config');
+
+// Hashing takes a while by design, so it runs off the event loop
+const scrypt = promisify(crypto.scrypt);
+
+// Letters, digits, spaces, '_' and '-'; 2 to 20 characters
+const NICKNAME_PATTERN = /^[\w -]{2,20}$/;
+const MIN_SECRET_LENGTH = 4;
+const MAX_SECRET_LENGTH = 200;
+
+// How long (ms) to gather changes before writing the file
+const SAVE_DELAY = 1000;
+
+// Ratings kept per account for the leaderboard's history
+const MAX_RATING_HISTORY = 100;
+
+/**
+ * Keeps accounts in one JSON file. The file is read on first use and replaced
+ * in one step shortly after changes, so a crash never leaves half of it.
+ * @param {string} file - The file.
+ * @returns {Object} - The backend.
+ */
+function createFileBackend(file) {
+  // Accounts by ID, once loaded
+  let accounts = null;
+  let saveTimer = null;
+
+  /**
+   * Reads the accounts file, starting empty if there isn't one yet.
+   * @returns {Object} - The accounts by ID.
+   */
+  function getAccounts() {
+    if (!accounts) {
+      try {
+        accounts = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error(`Could not read ${file}, starting with no accounts:`, error);
+        }
+        accounts = {};
+      }
+    }
+    return accounts;
+  }
+
+  /**
+   * Writes the accounts file soon, once for any number of changes in between.
+   */
+  function scheduleSave() {
+    if (saveTimer) return;
+
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      const tempFile = `${file}.tmp`;
+      fs.mkdir(path.dirname(file), { recursive: true }, (mkdirError) => {
+        if (mkdirError) {
+          console.error('Could not save accounts:', mkdirError);
+          return;
+        }
+        fs.writeFile(tempFile, JSON.stringify(getAccounts()), (writeError) => {
+          if (writeError) {
+            console.error('Could not save accounts:', writeError);
+            return;
+          }
+          fs.rename(tempFile, file, (renameError) => {
+            if (renameError) {
+              console.error('Could not save accounts:', renameError);
+            }
+          });
+        });
+      });
+    }, SAVE_DELAY);
+  }
+
+  /**
+   * Finds an account by nickname, ignoring case.
+   * @param {string} nickname - The nickname.
+   * @returns {Object|null} - The account, or null if there is none.
+   */
+  function findByNickname(nickname) {
+    const wanted = nickname.toLowerCase();
+    return Object.values(getAccounts()).find((account) => account.nickname.toLowerCase() === wanted) || null;
+  }
+
+  return {
+    get(id) {
+      return Promise.resolve(getAccounts()[id] || null);
+    },
+
+    findByNickname(nickname) {
+      return Promise.resolve(findByNickname(nickname));
+    },
+
+    add(account) {
+      if (findByNickname(account.nickname)) {
+        return Promise.resolve(false);
+      }
+      getAccounts()[account.id] = account;
+      scheduleSave();
+      return Promise.resolve(true);
+    },
+
+    update() {
+      scheduleSave();
+      return Promise.resolve();
+    },
+
+    list() {
+      return Promise.resolve(Object.values(getAccounts()));
+    },
+  };
+}
+
+/**
+ * Keeps accounts in the shared store: each account under its ID, and each
+ * nickname (lower-cased) pointing at the account that took it. A nickname is
+ * claimed before its account is written, so two servers can't both hand it out.
+ * @param {Object} store - The shared store (see server/cluster/store.js).
+ * @returns {Object} - The backend.
+ */
+function createSharedBackend(store) {
+  const accountKey = (id) => `account:${id}`;
+  const nicknameKey = (nickname) => `nickname:${nickname.toLowerCase()}`;
+
+  return {
+    get(id) {
+      return store.get(accountKey(id));
+    },
+
+    findByNickname(nickname) {
+      return store.get(nicknameKey(nickname)).then((id) => (id ? store.get(accountKey(id)) : null));
+    },
+
+    add(account) {
+      return store.claim(nicknameKey(account.nickname), account.id).then((claimed) => {
+        if (!claimed) return false;
+        return store.set(accountKey(account.id), account).then(() => true);
+      });
+    },
+
+    update(account) {
+      return store.set(accountKey(account.id), account);
+    },
+
+    list() {
+      return store.list('account:').then((values) => Object.values(values));
+    },
+  };
+}
+
+/**
+ * Gives an account the starting rating if it has none yet (it was made before ranked games).
+ * @param {Object|null} account - The account, if there is one.
+ * @returns {Object|null} - The same account.
+ */
+function addRating(account) {
+  if (account && account.rating === undefined) {
+    account.rating = config.ranked.initialRating;
+    account.ratingHistory = []; // {at, rating} after each ranked game, oldest first
+    account.stats.rankedGames = 0;
+  }
+  return account;
+}
+
+/**
+ * Hashes an account secret.
+ * @param {string} secret - The secret.
+ * @param {string} salt - The account's salt (hex).
+ * @returns {Promise<string>} - The hash (hex).
+ */
+function hashSecret(secret, salt) {
+  return scrypt(secret, salt, 32).then((hash) => hash.toString('hex'));
+}
+
+/**
+ * Describes an account's stats for the clients.
+ * @param {Object} account - The account.
+ * @returns {Object} - The stats, with the average game length (ms) instead of the total, and the rating.
+ */
+function getStats(account) {
+  const { totalGameTime, ...stats } = account.stats;
+  return {
+    ...stats,
+    averageGameLength: stats.gamesPlayed ? Math.round(totalGameTime / stats.gamesPlayed) : 0,
+    rating: account.rating,
+  };
+}
+
+/**
+ * Creates the account store set up in config.js.
+ * @param {Object} options - `config.accountStore`.
+ * @param {string} options.type - 'file' or 'shared'.
+ * @param {string} [options.file] - For 'file', the file relative to the project root.
+ * @param {Object} store - The shared store, for 'shared'.
+ * @returns {Object} - The account store: `identify`, `getAccount`, `recordGame`,
+ * `recordRating`, `getLeaderboard` and `getStats`.
+ */
+function createAccountStore({ type, file }, store) {
+  let backend;
+  switch (type) {
+    case 'file':
+      backend = createFileBackend(path.resolve(__dirname, '..', '..', file));
+      break;
+    case 'shared':
+      backend = createSharedBackend(store);
+      break;
+    default:
+      throw new Error(`Unknown account store type: ${type}`);
+  }
+
+  /**
+   * Gets an account by ID.
+   * @param {string} id - The account ID.
+   * @returns {Promise<Object|null>} - The account, or null if there is none.
+   */
+  function getAccount(id) {
+    return backend.get(id).then(addRating);
+  }
+
+  /**
+   * Changes an account and saves it.
+   * @param {string} id - The account ID.
+   * @param {Function} change - Called with the account to change it.
+   * @returns {Promise<Object|null>} - The changed account, or null if there is none.
+   */
+  function updateAccount(id, change) {
+    return getAccount(id).then((account) => {
+      if (!account) return null;
+      change(account);
+      return backend.update(account).then(() => account);
+    });
+  }
+
+  /**
+   * Signs in to the account with this nickname, creating it if the nickname is free.
+   * @param {*} nickname - The nickname from the client.
+   * @param {*} secret - The secret from the client.
+   * @returns {Promise<{account: Object}|{error: string}>} - The account, or why signing in failed.
+   */
+  function identify(nickname, secret) {
+    const name = typeof nickname === 'string' ? nickname.trim() : '';
+    if (!NICKNAME_PATTERN.test(name)) {
+      return Promise.resolve({ error: 'Nicknames are 2 to 20 letters, digits, spaces, _ or -.' });
+    }
+    if (
+      typeof secret !== 'string' ||
+      secret.length < MIN_SECRET_LENGTH ||
+      secret.length > MAX_SECRET_LENGTH
+    ) {
+      return Promise.resolve({ error: `Passwords are ${MIN_SECRET_LENGTH} to ${MAX_SECRET_LENGTH} characters.` });
+    }
+
+    return backend.findByNickname(name).then((existing) => {
+      if (existing) {
+        return hashSecret(secret, existing.salt).then((hash) => {
+          if (!crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(existing.secretHash, 'hex'))) {
+            return { error: 'That nickname is taken, or the password is wrong.' };
+          }
+          return { account: addRating(existing) };
+        });
+      }
+
+      const salt = crypto.randomBytes(16).toString('hex');
+      return hashSecret(secret, salt).then((secretHash) => {
+        const account = addRating({
+          id: crypto.randomBytes(8).toString('hex'),
+          nickname: name,
+          salt,
+          secretHash,
+          createdAt: Date.now(),
+          stats: {
+            gamesPlayed: 0,
+            gamesWon: 0,
+            capturesMade: 0,
+            capturesSuffered: 0,
+            totalGameTime: 0, // ms, for the average game length
+          },
+        });
+        return backend.add(account).then((added) => {
+          // Someone else may have taken the nickname while the secret was hashed
+          if (!added) {
+            return identify(name, secret);
+          }
+          console.log(`Created account ${account.nickname}`);
+          return { account };
+        });
+      });
+    });
+  }
+
+  /**
+   * Adds a finished game to an account's stats.
+   * @param {string} id - The account ID.
+   * @param {Object} result - The account's part in the game.
+   * @param {boolean} result.won - Whether they won.
+   * @param {number} result.capturesMade - Opponent pieces they sent home.
+   * @param {number} result.capturesSuffered - Their pieces sent home.
+   * @param {number} result.duration - How long the game lasted (ms).
+   * @returns {Promise<Object|null>} - The account, or null if there is none.
+   */
+  function recordGame(id, { won, capturesMade, capturesSuffered, duration }) {
+    return updateAccount(id, ({ stats }) => {
+      stats.gamesPlayed++;
+      stats.gamesWon += won ? 1 : 0;
+      stats.capturesMade += capturesMade;
+      stats.capturesSuffered += capturesSuffered;
+      stats.totalGameTime += duration;
+    });
+  }
+
+  /**
+   * Sets an account's rating after a ranked game.
+   * @param {string} id - The account ID.
+   * @param {number} rating - The new rating.
+   * @returns {Promise<Object|null>} - The account, or null if there is none.
+   */
+  function recordRating(id, rating) {
+    return updateAccount(id, (account) => {
+      // Start the history from the rating before the first ranked game
+      if (account.ratingHistory.length === 0) {
+        account.ratingHistory.push({ at: Date.now(), rating: account.rating });
+      }
+      account.rating = rating;
+      account.ratingHistory.push({ at: Date.now(), rating });
+      account.ratingHistory.splice(0, account.ratingHistory.length - MAX_RATING_HISTORY);
+      account.stats.rankedGames++;
+    });
+  }
+
+  /**
+   * Lists the best-rated accounts that have played at least one ranked game.
+   * @param {number} limit - How many to list.
+   * @returns {Promise<Object[]>} - `{nickname, rating, rankedGames, history}`, best first; `history`
+   * is the recent ratings, oldest first.
+   */
+  function getLeaderboard(limit) {
+    return backend.list().then((accounts) =>
+      accounts
+        .map(addRating)
+        .filter((account) => account.stats.rankedGames > 0)
+        .sort((a, b) => b.rating - a.rating)
+        .slice(0, limit)
+        .map((account) => ({
+          nickname: account.nickname,
+          rating: account.rating,
+          rankedGames: account.stats.rankedGames,
+          history: account.ratingHistory,
+        }))
+    );
+  }
+
+  return { identify, getAccount, recordGame, recordRating, getLeaderboard, getStats };
+}
+
+module.exports = { createAccountStore };
@@ -0,0 +1,79 @@
+// replays.js
+//
+// Saves the event log of finished games to disk so they can be replayed,
+// one JSON file per game in `config.replayDir`.
+
+const fs = require('fs');
+const path = require('path');
+
+const config = require('../../config');
+
+const REPLAY_DIR = path.resolve(__dirname, '..', '..', config.replayDir);
+
+// Replay IDs are generated by the server; anything else is refused before touching the disk
+const REPLAY_ID_PATTERN = /^[a-f0-9]{16}$/;
+
+/**
+ * Writes a finished game's replay to disk. Failures are logged, not thrown:
+ * losing a replay must never take a game down with it.
+ * @param {Object} replay - The replay, with its `id`.
+ */
+function saveReplay(replay) {
+  fs.mkdir(REPLAY_DIR, { recursive: true }, (mkdirError) => {
+    if (mkdirError) {
+      console.error(`Could not create ${REPLAY_DIR}:`, mkdirError);
+      return;
+    }
+    fs.writeFile(getReplayFile(replay.id), JSON.stringify(replay), (writeError) => {
+      if (writeError) {
+        console.error(`Could not save replay ${replay.id}:`, writeError);
+      } else {
+        console.log(`Saved replay ${replay.id}`);
+      }
+    });
+  });
+}
+
+/**
+ * Reads a saved replay.
+ * @param {string} id - The replay ID.
+ * @param {Function} callback - Called with `(error, replay)`; `replay` is null if there is no such replay.
+ */
+function loadReplay(id, callback) {
+  if (!isReplayId(id)) {
+    callback(null, null);
+    return;
+  }
+
+  fs.readFile(getReplayFile(id), 'utf8', (error, contents) => {
+    if (error) {
+      callback(error.code === 'ENOENT' ? null : error, null);
+      return;
+    }
+    try {
+      callback(null, JSON.parse(contents));
+    } catch (parseError) {
+      callback(parseError, null);
+    }
+  });
+}
+
+/**
+ * Checks that a string looks like a replay ID.
+ * @param {*} id - The candidate ID.
+ * @returns {boolean} - True if it is a valid replay ID.
+ */
+function isReplayId(id) {
+  return typeof id === 'string' && REPLAY_ID_PATTERN.test(id);
+}
+
+/**
+ * Gets the file a replay is stored in.
+ * @param {string} id - The replay ID.
+ * @returns {string} - The file path.
+ */
+function getReplayFile(id) {
+  return path.join(REPLAY_DIR, `${id}.json`);
+}
+
+module.exports = { saveReplay, loadReplay, isReplayId };
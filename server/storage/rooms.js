@@ -0,0 +1,251 @@
+// rooms.js
+//
+// Keeps a copy of every room in progress outside the server's memory, so a
+// restart or crash doesn't end the games. The backend is chosen by
+// `config.roomStore.type`:
+// - 'file': one JSON file per room in `config.roomStore.dir`,
+// - 'shared': in the shared store, where any game server can pick a room up
+//   if the one running it stops (see server/cluster),
+// - 'memory': kept in this process only, for tests.
+//
+// Every backend stores rooms as plain JSON records (see `toRoomRecord` in io.js)
+// and offers the same calls: `save`, `remove`, `load` and `loadAll`.
+
+const fs = require('fs');
+const path = require('path');
+
+// Marks a queued change that deletes the room rather than writing it
+const REMOVED = Symbol('removed');
+
+/**
+ * Stores rooms as JSON files in a directory. Each write replaces the file in one
+ * step, and writes to the same room are queued so they never overlap; if several
+ * changes arrive during a write, only the latest is written after it.
+ * @param {string} dir - The directory, created when the first room is saved.
+ * @returns {Object} - The store.
+ */
+function createFileStore(dir) {
+  // Rooms with a write in progress, and the change to write next (null for none)
+  const queued = new Map();
+
+  /**
+   * Gets the file a room is stored in.
+   * @param {string} room - The room ID.
+   * @returns {string} - The file path.
+   */
+  function getRoomFile(room) {
+    return path.join(dir, `${encodeURIComponent(room)}.json`);
+  }
+
+  /**
+   * Writes a change now, or after the write already in progress for the room.
+   * @param {string} room - The room ID.
+   * @param {string|Symbol} change - The room as JSON, or `REMOVED`.
+   */
+  function enqueue(room, change) {
+    if (queued.has(room)) {
+      queued.set(room, change);
+      return;
+    }
+    queued.set(room, null);
+    write(room, change);
+  }
+
+  /**
+   * Writes one change to disk, then the next queued one if there is any.
+   * Failures are logged, not thrown: a failed save must never end a game.
+   * @param {string} room - The room ID.
+   * @param {string|Symbol} change - The room as JSON, or `REMOVED`.
+   */
+  function write(room, change) {
+    const file = getRoomFile(room);
+
+    const done = (error) => {
+      if (error) {
+        console.error(`Could not save room ${room}:`, error);
+      }
+      const next = queued.get(room);
+      if (next === null) {
+        queued.delete(room);
+      } else {
+        queued.set(room, null);
+        write(room, next);
+      }
+    };
+
+    if (change === REMOVED) {
+      fs.unlink(file, (error) => done(error && error.code !== 'ENOENT' ? error : null));
+      return;
+    }
+
+    const tempFile = `${file}.tmp`;
+    fs.mkdir(dir, { recursive: true }, (mkdirError) => {
+      if (mkdirError) {
+        done(mkdirError);
+        return;
+      }
+      fs.writeFile(tempFile, change, (writeError) => {
+        if (writeError) {
+          done(writeError);
+          return;
+        }
+        fs.rename(tempFile, file, done);
+      });
+    });
+  }
+
+  return {
+    save(room, record) {
+      enqueue(room, JSON.stringify(record));
+    },
+
+    remove(room) {
+      enqueue(room, REMOVED);
+    },
+
+    load(room) {
+      return new Promise((resolve) => {
+        fs.readFile(getRoomFile(room), 'utf8', (error, contents) => {
+          if (error) {
+            if (error.code !== 'ENOENT') {
+              console.error(`Could not read room ${room}:`, error);
+            }
+            resolve(null);
+            return;
+          }
+          try {
+            resolve(JSON.parse(contents));
+          } catch (parseError) {
+            console.error(`Skipping unreadable room ${room}:`, parseError);
+            resolve(null);
+          }
+        });
+      });
+    },
+
+    loadAll() {
+      let files;
+      try {
+        files = fs.readdirSync(dir).filter((file) => file.endsWith('.json'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error(`Could not read ${dir}, starting with no rooms:`, error);
+        }
+        return Promise.resolve({});
+      }
+
+      const records = {};
+      files.forEach((file) => {
+        try {
+          records[decodeURIComponent(file.slice(0, -'.json'.length))] = JSON.parse(
+            fs.readFileSync(path.join(dir, file), 'utf8')
+          );
+        } catch (error) {
+          console.error(`Skipping unreadable room file ${file}:`, error);
+        }
+      });
+      return Promise.resolve(records);
+    },
+  };
+}
+
+/**
+ * Stores rooms in the shared store. Writes only go through while this server
+ * holds the room, so a server that has lost a room can't overwrite the game
+ * another server has taken over.
+ * @param {Object} store - The shared store (see server/cluster/store.js).
+ * @param {Object} registry - The room registry (see server/cluster/registry.js).
+ * @returns {Object} - The store.
+ */
+function createSharedStore(store, registry) {
+  const roomKey = (room) => `room:${room}`;
+  const logError = (room) => (error) => console.error(`Could not save room ${room}: ${error.message}`);
+
+  return {
+    save(room, record) {
+      store
+        .set(roomKey(room), record, { guard: registry.getGuard(room) })
+        .then((written) => {
+          if (!written) {
+            console.error(`Not saving room ${room}: this server no longer runs it`);
+          }
+        })
+        .catch(logError(room));
+    },
+
+    remove(room) {
+      store.del(roomKey(room), { guard: registry.getGuard(room) }).catch(logError(room));
+    },
+
+    load(room) {
+      return store.get(roomKey(room));
+    },
+
+    loadAll() {
+      return store.list('room:').then((values) => {
+        const records = {};
+        Object.keys(values).forEach((key) => {
+          records[key.slice('room:'.length)] = values[key];
+        });
+        return records;
+      });
+    },
+  };
+}
+
+/**
+ * Stores rooms in memory. Records are copied in and out, as they would be
+ * through a file, so the caller can't change them by accident.
+ * @returns {Object} - The store.
+ */
+function createMemoryStore() {
+  const rooms = new Map();
+
+  return {
+    save(room, record) {
+      rooms.set(room, JSON.stringify(record));
+    },
+
+    remove(room) {
+      rooms.delete(room);
+    },
+
+    load(room) {
+      return Promise.resolve(rooms.has(room) ? JSON.parse(rooms.get(room)) : null);
+    },
+
+    loadAll() {
+      const records = {};
+      rooms.forEach((json, room) => {
+        records[room] = JSON.parse(json);
+      });
+      return Promise.resolve(records);
+    },
+  };
+}
+
+/**
+ * Creates the room store set up in config.js.
+ * @param {Object} options - `config.roomStore`.
+ * @param {string} options.type - 'file', 'shared' or 'memory'.
+ * @param {string} [options.dir] - For 'file', the directory relative to the project root.
+ * @param {Object} cluster - The shared store and room registry, for 'shared'.
+ * @returns {{save: Function, remove: Function, load: Function, loadAll: Function}} - The store:
+ * `save(room, record)` and `remove(room)` return straight away and never throw;
+ * `load(room)` resolves with a saved record or null, and `loadAll()` with every
+ * saved record, keyed by room ID.
+ */
+function createRoomStore({ type, dir }, { store, registry }) {
+  switch (type) {
+    case 'memory':
+      return createMemoryStore();
+    case 'shared':
+      return createSharedStore(store, registry);
+    case 'file':
+      return createFileStore(path.resolve(__dirname, '..', '..', dir));
+    default:
+      throw new Error(`Unknown room store type: ${type}`);
+  }
+}
+
+module.exports = { createRoomStore };
@@ -0,0 +1,244 @@
+// bots.js
+//
+// Move choice for computer players, shared by the server and the browser.
+// Like the rules engine, everything here is pure: a strategy looks at a game
+// state and the legal moves for a roll, and returns the move to make.
+//
+// Loaded with `require` in Node, and in the browser as a module that sets
+// `globalThis.LudoBots` (after the constants and the rules engine).
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./constants'), require('./rules'));
+  } else {
+    root.LudoBots = factory(root.LudoConstants, root.LudoRules);
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (constants, Rules) {
+  const { PLAYERS, START_POSITIONS, HOME_POSITIONS } = constants;
+
+  // Available strategies, from weakest to strongest
+  const STRATEGIES = ['random', 'greedy', 'expectimax'];
+  const DEFAULT_STRATEGY = 'greedy';
+
+  // Other names accepted for a strategy
+  const STRATEGY_ALIASES = { lookahead: 'expectimax' };
+
+  // Score of a won or lost game; finite so close calls still compare
+  const WIN_SCORE = 1000;
+
+  // Worth of a piece leaving base and of a piece reaching home, in squares
+  const OUT_OF_BASE_SCORE = 15;
+  const HOME_SCORE = 10;
+
+  // Every square each player's pieces visit, from the start square to home
+  const TRACKS = {};
+  PLAYERS.forEach((playerId) => {
+    const track = [START_POSITIONS[playerId]];
+    while (track[track.length - 1] !== HOME_POSITIONS[playerId]) {
+      track.push(Rules.getNextPosition(playerId, track[track.length - 1]));
+    }
+    TRACKS[playerId] = track;
+  });
+
+  /**
+   * Gets how far along its track a piece is.
+   * @param {string} playerId - The owner of the piece.
+   * @param {number} position - The piece's position.
+   * @returns {number} - -1 in base, 0 on the start square, up to the track length at home.
+   */
+  function getProgress(playerId, position) {
+    return TRACKS[playerId].indexOf(position);
+  }
+
+  /**
+   * Counts opponent pieces that could land on a square with their next roll.
+   * @param {Object} state - The game state.
+   * @param {string} playerId - The owner of the piece on the square.
+   * @param {number} position - The square.
+   * @returns {number} - The number of opponent pieces within six squares behind it.
+   */
+  function countThreats(state, playerId, position) {
+    if (position > 51 || Rules.getSafePositions(state.options).includes(position)) {
+      return 0;
+    }
+
+    let threats = 0;
+    for (const opponentId in state.currentPositions) {
+      if (!Rules.isOpponent(state, playerId, opponentId)) continue;
+      state.currentPositions[opponentId].forEach((opponentPosition) => {
+        if (opponentPosition > 51) return;
+        let square = opponentPosition;
+        for (let steps = 1; steps <= 6; steps++) {
+          square = Rules.getNextPosition(opponentId, square);
+          if (square === position) {
+            threats++;
+            return;
+          }
+        }
+      });
+    }
+    return threats;
+  }
+
+  /**
+   * Scores a position for one player: how far their side's pieces have got (with
+   * a bonus for each piece out of base and each piece home), less what they stand
+   * to lose to opponents in range, less the opponents' average score. In team play
+   * the side is the player and their partner, counted on average.
+   * @param {Object} state - The game state.
+   * @param {string} playerId - The player to score for.
+   * @returns {number} - Higher is better for the player.
+   */
+  function evaluate(state, playerId) {
+    const team = Rules.getTeam(state, playerId);
+    if (state.winner) {
+      return team.includes(state.winner) ? WIN_SCORE : -WIN_SCORE;
+    }
+
+    const scorePieces = (id, withDanger) => {
+      let score = 0;
+      state.currentPositions[id].forEach((position) => {
+        const progress = getProgress(id, position);
+        if (progress < 0) return;
+
+        const value = OUT_OF_BASE_SCORE + progress;
+        score += value;
+        if (position === HOME_POSITIONS[id]) {
+          score += HOME_SCORE;
+        } else if (withDanger) {
+          // Chance that at least one piece in range rolls the right number
+          const threats = countThreats(state, id, position);
+          score -= (1 - Math.pow(5 / 6, threats)) * value;
+        }
+      });
+      return score;
+    };
+
+    const opponents = state.players.filter((id) => !team.includes(id));
+    const teamScore = team.reduce((sum, id) => sum + scorePieces(id, true), 0);
+    const opponentScore = opponents.reduce((sum, id) => sum + scorePieces(id, false), 0);
+    return teamScore / team.length - opponentScore / Math.max(opponents.length, 1);
+  }
+
+  /**
+   * Picks any legal move.
+   */
+  function chooseRandom(state, playerId, legalMoves, random) {
+    return legalMoves[Math.floor(random() * legalMoves.length)];
+  }
+
+  /**
+   * Ranks a move by the greedy priorities: capture, then reaching home, then
+   * leaving base, then moving the piece that is furthest along.
+   */
+  function greedyScore(state, playerId, move) {
+    const { ownerId } = move;
+    const from = state.currentPositions[ownerId][move.pieceIndex];
+    if (move.killedPieces.length > 0) return 4000 + getProgress(ownerId, from);
+    if (move.destination === HOME_POSITIONS[ownerId]) return 3000;
+    if (Rules.isInBase(ownerId, from)) return 2000;
+    return 1000 + getProgress(ownerId, from);
+  }
+
+  /**
+   * Picks the best move by the greedy priorities.
+   */
+  function chooseGreedy(state, playerId, legalMoves) {
+    return legalMoves.reduce((best, move) =>
+      greedyScore(state, playerId, move) > greedyScore(state, playerId, best) ? move : best
+    );
+  }
+
+  /**
+   * Looks one turn ahead: for each move, averages over every roll of the next
+   * player, assuming they answer with their greedy move, and picks the move that
+   * leaves the best expected position.
+   */
+  function chooseExpectimax(state, playerId, legalMoves) {
+    let bestMove = legalMoves[0];
+    let bestValue = -Infinity;
+
+    legalMoves.forEach((move) => {
+      const value = expectedValue(state, playerId, move);
+      if (value > bestValue) {
+        bestValue = value;
+        bestMove = move;
+      }
+    });
+
+    return bestMove;
+  }
+
+  /**
+   * Works out the expected score of a move over the next player's roll.
+   */
+  function expectedValue(state, playerId, move) {
+    const after = Rules.applyAction(state, { type: 'move', playerId, pieceIndex: move.pieceIndex }).state;
+
+    if (after.winner || Rules.getCurrentPlayerId(after) === playerId) {
+      // Won, or earned another turn: nothing to fear yet
+      return evaluate(after, playerId) + (after.winner ? 0 : 5);
+    }
+
+    const opponentId = Rules.getCurrentPlayerId(after);
+    let total = 0;
+    for (let diceValue = 1; diceValue <= 6; diceValue++) {
+      const rolled = Rules.applyAction(after, { type: 'roll', playerId: opponentId, diceValue });
+      const reply = rolled.events[0].legalMoves;
+      if (reply.length === 0 || Rules.getCurrentPlayerId(rolled.state) !== opponentId) {
+        total += evaluate(rolled.state, playerId);
+        continue;
+      }
+      const answer = chooseGreedy(rolled.state, opponentId, reply);
+      const replied = Rules.applyAction(rolled.state, {
+        type: 'move',
+        playerId: opponentId,
+        pieceIndex: answer.pieceIndex,
+      }).state;
+      total += evaluate(replied, playerId);
+    }
+    return total / 6;
+  }
+
+  const CHOOSERS = {
+    random: chooseRandom,
+    greedy: chooseGreedy,
+    expectimax: chooseExpectimax,
+  };
+
+  /**
+   * Picks a move for a computer player.
+   * @param {string} strategy - One of `STRATEGIES`.
+   * @param {Object} state - The game state, with the dice already rolled.
+   * @param {string} playerId - The bot's player ID.
+   * @param {Object[]} legalMoves - The legal moves from `Rules.getLegalMoves` (not empty).
+   * @param {Function} [random] - Source of randomness, for the random strategy.
+   * @returns {Object} - The chosen legal move.
+   */
+  function chooseMove(strategy, state, playerId, legalMoves, random = Math.random) {
+    const choose = CHOOSERS[strategy] || CHOOSERS[DEFAULT_STRATEGY];
+    return choose(state, playerId, legalMoves, random);
+  }
+
+  /**
+   * Checks a strategy name sent by a client.
+   * @param {*} strategy - The requested strategy, or one of its aliases.
+   * @returns {string} - The strategy, or the default one if it isn't known.
+   */
+  function normalizeStrategy(strategy) {
+    if (Object.prototype.hasOwnProperty.call(STRATEGY_ALIASES, strategy)) {
+      return STRATEGY_ALIASES[strategy];
+    }
+    return STRATEGIES.includes(strategy) ? strategy : DEFAULT_STRATEGY;
+  }
+
+  return {
+    STRATEGIES,
+    DEFAULT_STRATEGY,
+    getProgress,
+    countThreats,
+    evaluate,
+    chooseMove,
+    normalizeStrategy,
+  };
+});
@@ -0,0 +1,106 @@
+// dice.js
+//
+// Provably fair dice, shared by the server and the verifier page. Every game
+// has a secret server seed; the server publishes its SHA-256 hash (the
+// commitment) before the first roll and reveals the seed when the game ends.
+// Roll number n (counting from 0) is read from
+// HMAC-SHA256(serverSeed, `${clientSeed}:${n}`), where the client seed is made
+// from seeds the players chose themselves. Anyone can then check that the
+// revealed seed matches the commitment and recompute every roll.
+//
+// The hashing itself is left to the caller (Node's crypto on the server, Web
+// Crypto in the browser); this file only holds what both sides must agree on.
+// Also holds a small seeded random number generator for deterministic games.
+//
+// Loaded with `require` in Node, and in the browser as a module that sets
+// `globalThis.LudoDice`.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LudoDice = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  // Bytes at or above this are skipped, so each face comes up equally often
+  // (252 is the largest multiple of 6 that fits in a byte)
+  const BYTE_LIMIT = 252;
+
+  // Longest client seed a player may choose
+  const MAX_CLIENT_SEED_LENGTH = 64;
+
+  /**
+   * Builds the HMAC message for a roll.
+   * @param {string} clientSeed - The game's client seed.
+   * @param {number} rollNumber - The roll's number in the game, from 0.
+   * @returns {string} - The message.
+   */
+  function getRollMessage(clientSeed, rollNumber) {
+    return `${clientSeed}:${rollNumber}`;
+  }
+
+  /**
+   * Reads a dice value from an HMAC digest: the first byte below `BYTE_LIMIT`,
+   * modulo 6. A digest with no such byte (about one in 10^58) uses its first byte.
+   * @param {Uint8Array|Buffer} digest - The digest.
+   * @returns {number} - The dice value, 1–6.
+   */
+  function getDiceValue(digest) {
+    const byte = Array.prototype.find.call(digest, (b) => b < BYTE_LIMIT);
+    return ((byte === undefined ? digest[0] : byte) % 6) + 1;
+  }
+
+  /**
+   * Combines the players' own seeds into the game's client seed, in seat order.
+   * @param {Object} seeds - Client seeds keyed by player ID; seats without one (bots) are left out.
+   * @param {string[]} players - Player IDs in seat order.
+   * @returns {string} - The client seed.
+   */
+  function combineClientSeeds(seeds, players) {
+    return players
+      .map((playerId) => seeds[playerId])
+      .filter(Boolean)
+      .join('-');
+  }
+
+  /**
+   * Checks a client seed sent by a player.
+   * @param {*} seed - The raw seed.
+   * @returns {string|null} - The seed, or null if it isn't a short string of letters, digits, '_' or '-'.
+   */
+  function normalizeClientSeed(seed) {
+    return typeof seed === 'string' && /^[A-Za-z0-9_-]+$/.test(seed) && seed.length <= MAX_CLIENT_SEED_LENGTH
+      ? seed
+      : null;
+  }
+
+  /**
+   * Creates a random number generator that always gives the same numbers for
+   * the same seed (mulberry32, seeded with a 32-bit hash of the seed string).
+   * Not for anything secret: it only makes games repeatable.
+   * @param {string} seed - The seed.
+   * @returns {Function} - Returns the next number in [0, 1), like `Math.random`.
+   */
+  function createSeededRandom(seed) {
+    let state = 2166136261;
+    for (let i = 0; i < seed.length; i++) {
+      state = Math.imul(state ^ seed.charCodeAt(i), 16777619);
+    }
+
+    return function () {
+      state = (state + 0x6d2b79f5) | 0;
+      let t = Math.imul(state ^ (state >>> 15), 1 | state);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  return {
+    MAX_CLIENT_SEED_LENGTH,
+    getRollMessage,
+    getDiceValue,
+    combineClientSeeds,
+    normalizeClientSeed,
+    createSeededRandom,
+  };
+});
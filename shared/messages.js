@@ -0,0 +1,105 @@
+// messages.js
+//
+// What to tell players for each code the server sends, shared so the server's
+// logs and the browser's toasts read the same, and how house rules are
+// described (on the game page and in the lobby). Errors and notices go out as
+// `{ code, params, message }`: the code says what happened, the params fill in
+// the details (a room code, a player ID) and the message is the server's own
+// wording, for clients that don't know the code.
+//
+// Loaded with `require` in Node, and in the browser as a module that sets
+// `globalThis.LudoMessages`.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LudoMessages = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  // Codes for what happens to other players, as opposed to why a request failed
+  const NOTICES = {
+    OPPONENT_LEFT: 'OPPONENT_LEFT',
+    REMATCH_DECLINED: 'REMATCH_DECLINED',
+    REMATCH_EXPIRED: 'REMATCH_EXPIRED',
+  };
+
+  // The text for each code: a string, or a function of the params
+  const MESSAGES = {
+    // Turned down by the rules engine (`LudoRules.ERRORS`)
+    GAME_OVER: 'The game is over.',
+    NOT_YOUR_TURN: 'It is not your turn.',
+    DICE_NOT_ROLLED: 'Roll the dice first.',
+    DICE_ALREADY_ROLLED: 'You have already rolled; move a piece.',
+    INVALID_MOVE: 'That piece cannot move with this roll.',
+    MOVES_AVAILABLE: 'You have a legal move.',
+    UNKNOWN_ACTION: 'Invalid move.',
+
+    // Turned down by the server before reaching the rules
+    INVALID_PAYLOAD: ({ problem }) => (problem ? `Invalid request: ${problem}` : 'Invalid request.'),
+    RATE_LIMITED: 'You are sending requests too quickly.',
+    GAME_NOT_STARTED: 'The game has not started yet.',
+    NOT_SEATED: 'You no longer have a seat in this game.',
+    ALREADY_JOINED: 'You have already joined a game.',
+    ROOM_NOT_FOUND: ({ code }) => (code ? `No room found with code ${code}.` : 'No room found with that code.'),
+    ROOM_FULL: ({ code }) => (code ? `Room ${code} is full.` : 'That room is already full.'),
+    ROOM_NOT_OPENED: 'This room could not be opened. Please try again.',
+    JOIN_FAILED: 'No game could be found for you right now. Please try again.',
+    SPECTATORS_OFF: 'The players in this room have turned spectating off.',
+    RANKED_NEEDS_ACCOUNT: 'Sign in to play ranked games.',
+    ALREADY_QUEUED: 'You are already waiting for a ranked game.',
+    NO_REMATCH: 'There is no rematch to agree to.',
+    STALE_STATE: 'The game moved on before your request arrived. Catching up…',
+
+    // Chat messages that weren't sent
+    CHAT_INVALID: 'Invalid message.',
+    CHAT_EMPTY: 'Message is empty.',
+    CHAT_TOO_LONG: ({ maxLength }) => `Messages can be at most ${maxLength} characters.`,
+
+    // Notices
+    OPPONENT_LEFT: ({ playerId, name }) => `${name || playerId || 'Your opponent'} has left the game.`,
+    REMATCH_DECLINED: ({ playerId, name }) => `${name || playerId} has left, so there is no rematch.`,
+    REMATCH_EXPIRED: 'Nobody agreed to a rematch in time.',
+  };
+
+  // How each house rule is described to players: [text when on, text when off]
+  const RULE_LABELS = {
+    releaseOnOne: ['A 1 or a 6 releases a piece', null],
+    threeSixesForfeit: ['Three sixes in a row forfeit the turn', null],
+    starSafeSquares: ['Star squares are safe', null],
+    exactRollToFinish: ['Exact roll needed to finish', 'No exact roll needed to finish'],
+    blockades: ['Two stacked pieces form a blockade', null],
+    extraTurnOnHome: ['Extra turn for bringing a piece home', null],
+    mandatoryCapture: ['Captures are mandatory', null],
+    teams: ['Team play: P1 and P3 against P2 and P4', null],
+    partnerMoves: ["Players with every piece home move their partner's pieces", null],
+  };
+
+  /**
+   * Describes a room's house rules, leaving out the ones that go without saying.
+   * @param {Object} rules - The house rules.
+   * @returns {string[]} - A line for each rule worth mentioning.
+   */
+  function describeRules(rules) {
+    return Object.keys(RULE_LABELS)
+      .map((key) => RULE_LABELS[key][rules[key] ? 0 : 1])
+      .filter(Boolean);
+  }
+
+  /**
+   * Words a code for players.
+   * @param {string} code - The code.
+   * @param {Object} [params] - The details the text needs.
+   * @param {string} [fallback] - What to say if the code isn't known.
+   * @returns {string} - The text.
+   */
+  function formatMessage(code, params, fallback) {
+    const template = Object.prototype.hasOwnProperty.call(MESSAGES, code) ? MESSAGES[code] : null;
+    if (!template) {
+      return fallback || 'Something went wrong.';
+    }
+    return typeof template === 'function' ? template(params || {}) : template;
+  }
+
+  return { NOTICES, MESSAGES, RULE_LABELS, formatMessage, describeRules };
+});
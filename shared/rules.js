@@ -0,0 +1,682 @@
+// rules.js
+//
+// The Ludo rules engine, shared by the server and the browser so both always
+// agree on what is legal. Everything here is pure: functions never mutate the
+// state they are given and never touch sockets, timers or the DOM.
+//
+// Loaded with `require` in Node, and in the browser as a module that sets
+// `globalThis.LudoRules` (see front/public/js/rules.js).
+//
+// Game state:
+//   {
+//     players: ['P1', 'P3'],                   // Seats in turn order
+//     currentPositions: { P1: [500, ...], ... },
+//     turn: 0,                                 // Index into `players`
+//     diceValue: null,                         // Set between a roll and a move
+//     sixesInRow: 0,                           // Consecutive sixes this turn
+//     winner: null,
+//     winners: null,                           // The winner and, in team play, their partner
+//     options: { ... },                        // House rules, see DEFAULT_OPTIONS
+//   }
+//
+// Actions, applied with `applyAction(state, action)`:
+//   { type: 'roll', playerId, diceValue }
+//   { type: 'move', playerId, pieceIndex }
+//   { type: 'pass', playerId }   // Only allowed when the roll left no legal move
+//   { type: 'skip', playerId }   // Forced end of turn, e.g. the player is away
+//
+// Each turn goes through phases (see `getTurnPhase`): awaiting a roll, then
+// awaiting a move once the dice show a value, and resolved once someone has
+// won. Each phase only accepts some actions (see `PHASE_ACTIONS`), so a player
+// can't roll twice in one go or move before rolling.
+//
+// Under the `teams` house rule four players play as two teams, each seat with
+// the one opposite (see `PARTNERS`): partners never capture or block each
+// other, and a team wins once both partners have every piece home.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./constants'));
+  } else {
+    root.LudoRules = factory(root.LudoConstants);
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (constants) {
+  const {
+    BASE_POSITIONS,
+    HOME_ENTRANCE,
+    HOME_POSITIONS,
+    SAFE_POSITIONS,
+    STAR_POSITIONS,
+    START_POSITIONS,
+    TURNING_POINTS,
+  } = constants;
+
+  // House rules chosen per room. The defaults are the classic rules of this game.
+  const DEFAULT_OPTIONS = {
+    releaseOnOne: false, // A 1 also brings a piece out of base
+    threeSixesForfeit: false, // Rolling three sixes in a row ends the turn
+    starSafeSquares: false, // The star squares are safe as well as the starting squares
+    exactRollToFinish: true, // A piece must land exactly on home
+    blockades: false, // Two pieces of one colour on a square can't be passed or landed on
+    extraTurnOnHome: false, // Bringing a piece home earns another turn
+    mandatoryCapture: false, // If a capture is possible it must be taken
+    teams: false, // Four players play in pairs, P1 and P3 against P2 and P4
+    partnerMoves: false, // In team play, a player with every piece home moves their partner's pieces
+  };
+
+  // Each seat's partner in team play: the seat opposite
+  const PARTNERS = {
+    P1: 'P3',
+    P2: 'P4',
+    P3: 'P1',
+    P4: 'P2',
+  };
+
+  // Reasons an action can be rejected
+  const ERRORS = {
+    GAME_OVER: 'GAME_OVER',
+    NOT_YOUR_TURN: 'NOT_YOUR_TURN',
+    DICE_NOT_ROLLED: 'DICE_NOT_ROLLED',
+    DICE_ALREADY_ROLLED: 'DICE_ALREADY_ROLLED',
+    INVALID_MOVE: 'INVALID_MOVE',
+    MOVES_AVAILABLE: 'MOVES_AVAILABLE',
+    UNKNOWN_ACTION: 'UNKNOWN_ACTION',
+  };
+
+  // The phases of a turn
+  const TURN_PHASES = {
+    AWAITING_ROLL: 'awaitingRoll',
+    AWAITING_MOVE: 'awaitingMove',
+    RESOLVED: 'resolved',
+  };
+
+  // The actions each phase accepts; 'skip' ends a turn whatever its phase
+  const PHASE_ACTIONS = {
+    [TURN_PHASES.AWAITING_ROLL]: ['roll', 'skip'],
+    [TURN_PHASES.AWAITING_MOVE]: ['move', 'pass', 'skip'],
+    [TURN_PHASES.RESOLVED]: [],
+  };
+
+  /**
+   * Fills in and cleans up a set of house rules, e.g. one sent by a client.
+   * Unknown keys are dropped and anything that isn't a boolean falls back to the default.
+   * @param {Object} [options] - The requested house rules.
+   * @returns {Object} - A complete set of house rules.
+   */
+  function normalizeOptions(options) {
+    const normalized = {};
+    for (const key in DEFAULT_OPTIONS) {
+      const value = options && options[key];
+      normalized[key] = typeof value === 'boolean' ? value : DEFAULT_OPTIONS[key];
+    }
+    return normalized;
+  }
+
+  /**
+   * Creates the state for a new game with every piece in its base.
+   * @param {string[]} players - The seated player IDs in turn order.
+   * @param {Object} [options] - The house rules for the game.
+   * @param {number} [firstTurn] - The index in `players` of who goes first.
+   * @returns {Object} - The initial game state.
+   */
+  function createInitialState(players, options, firstTurn = 0) {
+    const currentPositions = {};
+    players.forEach((playerId) => {
+      currentPositions[playerId] = [...BASE_POSITIONS[playerId]];
+    });
+
+    // Teams need every seat taken
+    const normalized = normalizeOptions(options);
+    if (players.length !== Object.keys(PARTNERS).length) {
+      normalized.teams = false;
+    }
+
+    return {
+      players: [...players],
+      currentPositions,
+      turn: firstTurn % players.length,
+      diceValue: null,
+      sixesInRow: 0,
+      winner: null,
+      winners: null,
+      options: normalized,
+    };
+  }
+
+  /**
+   * Copies a game state deeply enough that the copy can be changed freely.
+   * @param {Object} state - The game state.
+   * @returns {Object} - The copy.
+   */
+  function cloneState(state) {
+    const currentPositions = {};
+    for (const playerId in state.currentPositions) {
+      currentPositions[playerId] = [...state.currentPositions[playerId]];
+    }
+    return { ...state, players: [...state.players], currentPositions, options: { ...state.options } };
+  }
+
+  /**
+   * Gets the player whose turn it is.
+   * @param {Object} state - The game state.
+   * @returns {string} - The player ID.
+   */
+  function getCurrentPlayerId(state) {
+    return state.players[state.turn];
+  }
+
+  /**
+   * Works out which phase the current turn is in.
+   * @param {Object} state - The game state.
+   * @returns {string} - One of `TURN_PHASES`.
+   */
+  function getTurnPhase(state) {
+    if (state.winner) {
+      return TURN_PHASES.RESOLVED;
+    }
+    return state.diceValue ? TURN_PHASES.AWAITING_MOVE : TURN_PHASES.AWAITING_ROLL;
+  }
+
+  /**
+   * Gets a player's partner in team play.
+   * @param {Object} state - The game state.
+   * @param {string} playerId - The player ID.
+   * @returns {string|null} - The partner's player ID, or null without teams or once the partner has left.
+   */
+  function getPartner(state, playerId) {
+    const partnerId = PARTNERS[playerId];
+    return state.options.teams && state.currentPositions[partnerId] ? partnerId : null;
+  }
+
+  /**
+   * Gets the players on a player's side: just the player, or the player and their partner.
+   * @param {Object} state - The game state.
+   * @param {string} playerId - The player ID.
+   * @returns {string[]} - The player IDs in seat order.
+   */
+  function getTeam(state, playerId) {
+    const partnerId = getPartner(state, playerId);
+    return partnerId ? [playerId, partnerId].sort() : [playerId];
+  }
+
+  /**
+   * Lists the sides still in the game: a team for each pair of partners, and a
+   * team of one for everyone else. Teams keep their order when a partner leaves,
+   * so P1 and P3's team always comes first.
+   * @param {Object} state - The game state.
+   * @returns {string[][]} - The teams, each a list of player IDs.
+   */
+  function getTeams(state) {
+    const firstSeat = (playerId) => (state.options.teams ? [playerId, PARTNERS[playerId]].sort()[0] : playerId);
+    const seated = [...state.players].sort((a, b) => firstSeat(a).localeCompare(firstSeat(b)) || a.localeCompare(b));
+    const teams = [];
+    seated.forEach((playerId) => {
+      if (!teams.some((team) => team.includes(playerId))) {
+        teams.push(getTeam(state, playerId));
+      }
+    });
+    return teams;
+  }
+
+  /**
+   * Checks if another player's pieces can be captured or blocked by a player's.
+   * @param {Object} state - The game state.
+   * @param {string} playerId - The player ID.
+   * @param {string} otherId - The other player's ID.
+   * @returns {boolean} - True unless the other player is the player or their partner.
+   */
+  function isOpponent(state, playerId, otherId) {
+    return otherId !== playerId && otherId !== getPartner(state, playerId);
+  }
+
+  /**
+   * Checks if a position is one of the player's base squares.
+   * @param {string} playerId - The player ID.
+   * @param {number} position - The position to check.
+   * @returns {boolean} - True if the piece is still in its base.
+   */
+  function isInBase(playerId, position) {
+    return BASE_POSITIONS[playerId].includes(position);
+  }
+
+  /**
+   * Gets the squares where pieces can't be captured.
+   * @param {Object} options - The house rules.
+   * @returns {number[]} - The safe positions.
+   */
+  function getSafePositions(options) {
+    return options.starSafeSquares ? STAR_POSITIONS : SAFE_POSITIONS;
+  }
+
+  /**
+   * Checks if an opponent has a blockade (two or more pieces) on a square of the main track.
+   * @param {Object} state - The game state.
+   * @param {string} playerId - The player ID who is moving.
+   * @param {number} position - The position to check.
+   * @returns {boolean} - True if the square is blocked for the player.
+   */
+  function isBlockade(state, playerId, position) {
+    if (position > 51) {
+      // Home columns and bases are never shared
+      return false;
+    }
+    for (const opponentId in state.currentPositions) {
+      if (!isOpponent(state, playerId, opponentId)) continue;
+      const count = state.currentPositions[opponentId].filter((p) => p === position).length;
+      if (count >= 2) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Calculates the next position for a piece.
+   * @param {string} playerId - The player ID ('P1' to 'P4').
+   * @param {number} currentPosition - The current position of the piece.
+   * @returns {number} - The next position of the piece.
+   */
+  function getNextPosition(playerId, currentPosition) {
+    if (currentPosition === TURNING_POINTS[playerId]) {
+      return HOME_ENTRANCE[playerId][0];
+    } else if (HOME_ENTRANCE[playerId].includes(currentPosition)) {
+      const index = HOME_ENTRANCE[playerId].indexOf(currentPosition);
+      if (index + 1 < HOME_ENTRANCE[playerId].length) {
+        return HOME_ENTRANCE[playerId][index + 1];
+      } else {
+        return HOME_POSITIONS[playerId]; // Reached home
+      }
+    } else if (currentPosition === 51) {
+      return 0;
+    } else {
+      return currentPosition + 1;
+    }
+  }
+
+  /**
+   * Checks if a position is beyond the home position.
+   * @param {string} playerId - The player ID ('P1' to 'P4').
+   * @param {number} position - The position to check.
+   * @returns {boolean} - True if the position is beyond home, false otherwise.
+   */
+  function isBeyondHome(playerId, position) {
+    const homePosition = HOME_POSITIONS[playerId];
+    if (HOME_ENTRANCE[playerId].includes(position) || position === homePosition) {
+      return false;
+    }
+    return position > homePosition;
+  }
+
+  /**
+   * Works out the squares a piece would pass through with the current dice value.
+   * @param {Object} state - The game state.
+   * @param {string} playerId - The player ID.
+   * @param {number} pieceIndex - The index of the piece (0-3).
+   * @returns {number[]|null} - The path (last entry is the destination), or null if the piece can't move.
+   */
+  function getMovePath(state, playerId, pieceIndex) {
+    const pieces = state.currentPositions[playerId];
+    const diceValue = state.diceValue;
+    if (!pieces || pieces[pieceIndex] === undefined || !diceValue) {
+      return null;
+    }
+
+    const { options } = state;
+    const currentPosition = pieces[pieceIndex];
+    const homePosition = HOME_POSITIONS[playerId];
+
+    if (currentPosition === homePosition) {
+      // Piece already at home
+      return null;
+    }
+
+    let path;
+    if (isInBase(playerId, currentPosition)) {
+      // Can only move out of base on a 6 (or a 1 under house rules)
+      const canRelease = diceValue === 6 || (options.releaseOnOne && diceValue === 1);
+      if (!canRelease) {
+        return null;
+      }
+      path = [START_POSITIONS[playerId]];
+    } else {
+      path = [];
+      let newPosition = currentPosition;
+      for (let i = 0; i < diceValue; i++) {
+        if (newPosition === homePosition && !options.exactRollToFinish) {
+          // Any roll that reaches home is enough
+          break;
+        }
+        newPosition = getNextPosition(playerId, newPosition);
+        path.push(newPosition);
+      }
+
+      // Pieces must land exactly on home, not overshoot it
+      if (isBeyondHome(playerId, newPosition)) {
+        return null;
+      }
+    }
+
+    if (options.blockades && path.some((position) => isBlockade(state, playerId, position))) {
+      return null;
+    }
+
+    return path;
+  }
+
+  /**
+   * Gets whose pieces a player moves: their own, or their partner's once all
+   * of their own are home under the `partnerMoves` house rule.
+   * @param {Object} state - The game state.
+   * @param {string} playerId - The player ID.
+   * @returns {string} - The player ID of the pieces' owner.
+   */
+  function getPieceOwner(state, playerId) {
+    const partnerId = getPartner(state, playerId);
+    if (partnerId && state.options.partnerMoves && hasAllPiecesHome(state, playerId)) {
+      return partnerId;
+    }
+    return playerId;
+  }
+
+  /**
+   * Lists every piece the player can move with the current dice value.
+   * @param {Object} state - The game state.
+   * @param {string} playerId - The player ID.
+   * @returns {Array<{pieceIndex: number, ownerId: string, path: number[], destination: number,
+   *   killedPieces: Object[]}>} - The legal moves; `ownerId` is whose piece it is (see `getPieceOwner`).
+   */
+  function getLegalMoves(state, playerId) {
+    const ownerId = getPieceOwner(state, playerId);
+    const pieces = state.currentPositions[ownerId] || [];
+    let moves = [];
+
+    pieces.forEach((position, pieceIndex) => {
+      const path = getMovePath(state, ownerId, pieceIndex);
+      if (path) {
+        const destination = path[path.length - 1];
+        const killedPieces = findKills(state, ownerId, destination);
+        moves.push({ pieceIndex, ownerId, path, destination, killedPieces });
+      }
+    });
+
+    // Under the mandatory capture rule only capturing moves count when there are any
+    if (state.options.mandatoryCapture && moves.some((move) => move.killedPieces.length > 0)) {
+      moves = moves.filter((move) => move.killedPieces.length > 0);
+    }
+
+    return moves;
+  }
+
+  /**
+   * Validates a player's move based on the game state and rules.
+   * @param {Object} state - The game state.
+   * @param {string} playerId - The player ID ('P1' to 'P4').
+   * @param {number} pieceIndex - The index of the piece being moved (0-3).
+   * @returns {boolean} - True if the move is valid, false otherwise.
+   */
+  function isValidMove(state, playerId, pieceIndex) {
+    return getLegalMoves(state, playerId).some((move) => move.pieceIndex === pieceIndex);
+  }
+
+  /**
+   * Finds opponent pieces that would be sent back to base by landing on a position.
+   * @param {Object} state - The game state.
+   * @param {string} playerId - The player ID who moved.
+   * @param {number} position - The position landed on.
+   * @returns {Array<{opponentId: string, pieceIndex: number}>} - The pieces that get killed.
+   */
+  function findKills(state, playerId, position) {
+    if (getSafePositions(state.options).includes(position)) {
+      // No kill can occur on safe positions
+      return [];
+    }
+
+    const killedPieces = [];
+    for (const opponentId in state.currentPositions) {
+      if (!isOpponent(state, playerId, opponentId)) continue;
+      state.currentPositions[opponentId].forEach((opponentPosition, index) => {
+        if (opponentPosition === position) {
+          killedPieces.push({ opponentId, pieceIndex: index });
+        }
+      });
+    }
+    return killedPieces;
+  }
+
+  /**
+   * Checks if every one of a player's pieces has reached home.
+   * @param {Object} state - The game state.
+   * @param {string} playerId - The player ID to check.
+   * @returns {boolean} - True if all four pieces are home.
+   */
+  function hasAllPiecesHome(state, playerId) {
+    return state.currentPositions[playerId].every(
+      (position) => position === HOME_POSITIONS[playerId]
+    );
+  }
+
+  /**
+   * Determines if a player has won the game: all their pieces are home and,
+   * in team play, all their partner's too.
+   * @param {Object} state - The game state.
+   * @param {string} playerId - The player ID to check.
+   * @returns {boolean} - True if the player has won, false otherwise.
+   */
+  function hasPlayerWon(state, playerId) {
+    return getTeam(state, playerId).every((id) => hasAllPiecesHome(state, id));
+  }
+
+  /**
+   * Applies an action to the game state.
+   * @param {Object} state - The game state (left untouched).
+   * @param {Object} action - The action (see the top of this file).
+   * @returns {{state: Object, events: Object[], error: (string|undefined)}} - The new state and
+   *   what happened, or the unchanged state and an error code from `ERRORS`.
+   */
+  function applyAction(state, action) {
+    const phase = getTurnPhase(state);
+    if (phase === TURN_PHASES.RESOLVED) {
+      return reject(state, ERRORS.GAME_OVER);
+    }
+    if (action.playerId !== getCurrentPlayerId(state)) {
+      return reject(state, ERRORS.NOT_YOUR_TURN);
+    }
+    if (!Object.prototype.hasOwnProperty.call(ACTION_HANDLERS, action.type)) {
+      return reject(state, ERRORS.UNKNOWN_ACTION);
+    }
+    if (!PHASE_ACTIONS[phase].includes(action.type)) {
+      const error = phase === TURN_PHASES.AWAITING_ROLL ? ERRORS.DICE_NOT_ROLLED : ERRORS.DICE_ALREADY_ROLLED;
+      return reject(state, error);
+    }
+
+    return ACTION_HANDLERS[action.type](state, action);
+  }
+
+  /**
+   * Records a dice roll for the current player, along with the moves it allows.
+   * The turn passes straight on when the roll allows no move.
+   */
+  function applyRoll(state, { playerId, diceValue }) {
+    const next = cloneState(state);
+    next.diceValue = diceValue;
+    next.sixesInRow = diceValue === 6 ? state.sixesInRow + 1 : 0;
+
+    if (state.options.threeSixesForfeit && next.sixesInRow >= 3) {
+      endTurn(next);
+      return {
+        state: next,
+        events: [
+          { type: 'diceRolled', playerId, diceValue, legalMoves: [] },
+          { type: 'turnForfeited', playerId },
+        ],
+      };
+    }
+
+    const legalMoves = getLegalMoves(next, playerId);
+    const events = [{ type: 'diceRolled', playerId, diceValue, legalMoves }];
+
+    if (legalMoves.length === 0) {
+      endTurn(next);
+      events.push({ type: 'turnPassed', playerId });
+    }
+
+    return { state: next, events };
+  }
+
+  /**
+   * Moves a piece, sending back any opponents it lands on, and passes the turn unless it earned another.
+   * The event names the piece's owner as `playerId` and who moved it as `movedBy`.
+   */
+  function applyMove(state, { playerId, pieceIndex }) {
+    const move = getLegalMoves(state, playerId).find((m) => m.pieceIndex === pieceIndex);
+    if (!move) {
+      return reject(state, ERRORS.INVALID_MOVE);
+    }
+
+    const { ownerId, path, destination: newPosition, killedPieces } = move;
+    const next = cloneState(state);
+    next.currentPositions[ownerId][pieceIndex] = newPosition;
+
+    // Send any opponents on the square back to base
+    killedPieces.forEach(({ opponentId, pieceIndex: index }) => {
+      next.currentPositions[opponentId][index] = BASE_POSITIONS[opponentId][index];
+    });
+
+    const events = [{
+      type: 'pieceMoved',
+      playerId: ownerId,
+      movedBy: playerId,
+      pieceIndex,
+      path,
+      killOccurred: killedPieces.length > 0,
+      killedPieces,
+    }];
+
+    if (hasPlayerWon(next, playerId)) {
+      next.winner = playerId;
+      next.winners = getTeam(next, playerId);
+      next.diceValue = null;
+      events.push({ type: 'gameOver', winner: playerId, winners: next.winners });
+      return { state: next, events };
+    }
+
+    // A 6 or a kill earns another turn, and so does reaching home under house rules
+    const reachedHome = newPosition === HOME_POSITIONS[ownerId];
+    const extraTurn =
+      state.diceValue === 6 ||
+      killedPieces.length > 0 ||
+      (state.options.extraTurnOnHome && reachedHome);
+
+    if (extraTurn) {
+      next.diceValue = null;
+    } else {
+      endTurn(next);
+    }
+
+    return { state: next, events };
+  }
+
+  /**
+   * Ends the current player's turn without a move, which is only allowed
+   * after a roll that left no legal move.
+   */
+  function applyPass(state, { playerId }) {
+    if (getLegalMoves(state, playerId).length > 0) {
+      return reject(state, ERRORS.MOVES_AVAILABLE);
+    }
+
+    const next = cloneState(state);
+    endTurn(next);
+    return { state: next, events: [{ type: 'turnPassed', playerId }] };
+  }
+
+  /**
+   * Ends the current player's turn unconditionally, e.g. while they are away.
+   */
+  function applySkip(state, { playerId }) {
+    const next = cloneState(state);
+    endTurn(next);
+    return { state: next, events: [{ type: 'turnSkipped', playerId }] };
+  }
+
+  // What each action type does, once `applyAction` has checked it is allowed
+  const ACTION_HANDLERS = {
+    roll: applyRoll,
+    move: applyMove,
+    pass: applyPass,
+    skip: applySkip,
+  };
+
+  /**
+   * Hands the turn to the next player. Only used on freshly cloned states.
+   */
+  function endTurn(state) {
+    state.turn = (state.turn + 1) % state.players.length;
+    state.diceValue = null;
+    state.sixesInRow = 0;
+  }
+
+  /**
+   * Builds the result for a rejected action.
+   */
+  function reject(state, error) {
+    return { state, events: [], error };
+  }
+
+  /**
+   * Takes a player out of the game, keeping the turn with whoever had it.
+   * @param {Object} state - The game state.
+   * @param {string} playerId - The player leaving.
+   * @returns {Object} - The new game state.
+   */
+  function removePlayer(state, playerId) {
+    const index = state.players.indexOf(playerId);
+    if (index === -1) {
+      return state;
+    }
+
+    const next = cloneState(state);
+    next.players.splice(index, 1);
+    delete next.currentPositions[playerId];
+
+    if (next.players.length > 0) {
+      if (index < next.turn) {
+        next.turn--;
+      } else if (index === next.turn) {
+        next.diceValue = null; // Their roll goes with them
+        next.sixesInRow = 0;
+      }
+      next.turn %= next.players.length;
+    }
+    return next;
+  }
+
+  return {
+    ERRORS,
+    TURN_PHASES,
+    DEFAULT_OPTIONS,
+    PARTNERS,
+    normalizeOptions,
+    createInitialState,
+    getCurrentPlayerId,
+    getTurnPhase,
+    getPartner,
+    getTeam,
+    getTeams,
+    isOpponent,
+    isInBase,
+    getSafePositions,
+    isBlockade,
+    getNextPosition,
+    isBeyondHome,
+    getMovePath,
+    getPieceOwner,
+    getLegalMoves,
+    isValidMove,
+    findKills,
+    hasAllPiecesHome,
+    hasPlayerWon,
+    applyAction,
+    removePlayer,
+  };
+});
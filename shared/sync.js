@@ -0,0 +1,100 @@
+// sync.js
+//
+// How the server keeps clients in step with a room's game state. Every event
+// that changes the state carries the state's new version, counted up by one
+// for each change, and a delta: only the fields that changed, and only the
+// positions of players whose pieces moved. A client applies the deltas in
+// order; one that sees a version it didn't expect has missed something and
+// asks for the whole state again (`syncState`).
+//
+// Loaded with `require` in Node, and in the browser as a module that sets
+// `globalThis.LudoSync`.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LudoSync = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  /**
+   * Compares two plain JSON values.
+   * @param {*} a - The first value.
+   * @param {*} b - The second value.
+   * @returns {boolean} - True if they are the same.
+   */
+  function isSameValue(a, b) {
+    return a === b || JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  /**
+   * Works out what changed between two game states. Positions are given by
+   * player, with null for a player who has left.
+   * @param {Object|null} previous - The state the clients have, or null if they have none.
+   * @param {Object} next - The new state.
+   * @returns {Object} - The delta: the changed fields of `next`.
+   */
+  function diffState(previous, next) {
+    if (!previous) {
+      return { ...next };
+    }
+
+    const delta = {};
+    Object.keys(next).forEach((key) => {
+      if (key !== 'currentPositions' && !isSameValue(previous[key], next[key])) {
+        delta[key] = next[key];
+      }
+    });
+
+    const positions = {};
+    Object.keys(next.currentPositions).forEach((playerId) => {
+      if (!isSameValue(previous.currentPositions[playerId], next.currentPositions[playerId])) {
+        positions[playerId] = next.currentPositions[playerId];
+      }
+    });
+    Object.keys(previous.currentPositions).forEach((playerId) => {
+      if (!next.currentPositions[playerId]) {
+        positions[playerId] = null;
+      }
+    });
+    if (Object.keys(positions).length > 0) {
+      delta.currentPositions = positions;
+    }
+    return delta;
+  }
+
+  /**
+   * Applies a delta from `diffState` to a game state, leaving the state as it is.
+   * @param {Object|null} state - The state the delta was taken against.
+   * @param {Object} delta - The delta.
+   * @returns {Object} - The new state.
+   */
+  function applyDelta(state, delta) {
+    const { currentPositions: positions = {}, ...fields } = delta;
+    const currentPositions = { ...(state ? state.currentPositions : {}) };
+    Object.keys(positions).forEach((playerId) => {
+      if (positions[playerId] === null) {
+        delete currentPositions[playerId];
+      } else {
+        currentPositions[playerId] = [...positions[playerId]];
+      }
+    });
+    return { ...state, ...fields, currentPositions };
+  }
+
+  /**
+   * Checks an event's state version against the one a client has.
+   * @param {number|null} current - The client's version, or null before it has any state.
+   * @param {number} version - The event's version.
+   * @returns {string} - 'next' to apply it, 'old' if it has been seen already,
+   * or 'gap' if versions are missing in between.
+   */
+  function compareVersion(current, version) {
+    if (current === null || version > current + 1) {
+      return 'gap';
+    }
+    return version === current + 1 ? 'next' : 'old';
+  }
+
+  return { diffState, applyDelta, compareVersion };
+});
@@ -0,0 +1,111 @@
+// dice.test.js
+//
+// Plays a seeded game the way the server does, then checks its dice the way
+// the verifier page does: the revealed server seed must match the commitment
+// made before the first roll, and every roll must follow from the seeds.
+// The check uses Web Crypto, as the browser does, rather than the server's
+// own hashing.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { webcrypto } = require('node:crypto');
+
+const Dice = require('../shared/dice');
+const Rules = require('../shared/rules');
+const Bots = require('../shared/bots');
+const Fairness = require('../server/sockets/fairness');
+
+const encoder = new TextEncoder();
+
+// Enough actions for any four-player game to end
+const MAX_ACTIONS = 10000;
+
+/**
+ * Plays a game between greedy bots, rolling from seeds like the server.
+ * @param {string} seed - The seed everything follows from (like `config.dice.seed`).
+ * @returns {{dice: Object, rolls: Object[], winner: string}} - What the replay of the game
+ * would hold: the seeds, the commitment and the rolls in order.
+ */
+function playSeededGame(seed) {
+  const random = Dice.createSeededRandom(seed);
+  const serverSeed = Fairness.createServerSeed(random);
+  const players = ['P1', 'P2', 'P3', 'P4'];
+  const clientSeed = Dice.combineClientSeeds({ P1: 'alice', P3: 'carol' }, players);
+  const dice = { serverSeed, commitment: Fairness.commitToSeed(serverSeed), clientSeed };
+
+  let state = Rules.createInitialState(players);
+  const rolls = [];
+  for (let i = 0; i < MAX_ACTIONS && !state.winner; i++) {
+    const playerId = Rules.getCurrentPlayerId(state);
+    let result;
+    if (state.diceValue === null) {
+      const diceValue = Fairness.rollDice(serverSeed, clientSeed, rolls.length);
+      rolls.push({ playerId, diceValue });
+      result = Rules.applyAction(state, { type: 'roll', playerId, diceValue });
+    } else {
+      const move = Bots.chooseMove('greedy', state, playerId, Rules.getLegalMoves(state, playerId), random);
+      result = Rules.applyAction(state, { type: 'move', playerId, pieceIndex: move.pieceIndex });
+    }
+    assert.equal(result.error, undefined);
+    state = result.state;
+  }
+  return { dice, rolls, winner: state.winner };
+}
+
+/**
+ * Checks a game's dice like the verifier page (front/public/js/Verifier.js).
+ * @param {Object} dice - The revealed seeds and the commitment.
+ * @param {Object[]} rolls - The rolls in order.
+ * @returns {Promise<{committed: boolean, mismatches: number}>} - Whether the server seed
+ * matches the commitment, and how many rolls don't follow from the seeds.
+ */
+async function verifyDice(dice, rolls) {
+  const hash = await webcrypto.subtle.digest('SHA-256', encoder.encode(dice.serverSeed));
+  const key = await webcrypto.subtle.importKey(
+    'raw',
+    encoder.encode(dice.serverSeed),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+
+  let mismatches = 0;
+  for (let rollNumber = 0; rollNumber < rolls.length; rollNumber++) {
+    const message = encoder.encode(Dice.getRollMessage(dice.clientSeed, rollNumber));
+    const digest = await webcrypto.subtle.sign('HMAC', key, message);
+    if (Dice.getDiceValue(new Uint8Array(digest)) !== rolls[rollNumber].diceValue) {
+      mismatches++;
+    }
+  }
+  return { committed: Buffer.from(hash).toString('hex') === dice.commitment, mismatches };
+}
+
+test('a seeded game is played the same way every time', () => {
+  const first = playSeededGame('ludo-test');
+  const second = playSeededGame('ludo-test');
+
+  assert.ok(first.winner);
+  assert.deepEqual(second, first);
+  assert.notEqual(playSeededGame('another-seed').dice.serverSeed, first.dice.serverSeed);
+});
+
+test('the rolls of a seeded game verify against the revealed seed and its commitment', async () => {
+  const { dice, rolls } = playSeededGame('ludo-test');
+
+  assert.match(dice.serverSeed, /^[0-9a-f]{64}$/);
+  assert.equal(dice.clientSeed, 'alice-carol');
+  assert.ok(rolls.every(({ diceValue }) => diceValue >= 1 && diceValue <= 6));
+  assert.deepEqual(await verifyDice(dice, rolls), { committed: true, mismatches: 0 });
+});
+
+test('a changed roll or a different server seed fails verification', async () => {
+  const { dice, rolls } = playSeededGame('ludo-test');
+
+  const changed = rolls.map((roll, i) => (i === 3 ? { ...roll, diceValue: (roll.diceValue % 6) + 1 } : roll));
+  assert.deepEqual(await verifyDice(dice, changed), { committed: true, mismatches: 1 });
+
+  const otherSeed = Fairness.createServerSeed(Dice.createSeededRandom('another-seed'));
+  const swapped = await verifyDice({ ...dice, serverSeed: otherSeed }, rolls);
+  assert.equal(swapped.committed, false);
+  assert.ok(swapped.mismatches > 0);
+});
@@ -0,0 +1,66 @@
+// ratings.test.js
+//
+// Elo updates after ranked games and the rating windows ranked matchmaking
+// pairs players within (server/sockets/ratings.js).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Ratings = require('../server/sockets/ratings');
+
+const K_FACTOR = 32;
+const MATCHING = { baseWindow: 100, windowGrowth: 10, maxWindow: 400 };
+
+test('evenly rated players win and lose half the K-factor', () => {
+  const result = Ratings.updateRatings(
+    [
+      { id: 'P1', rating: 1500 },
+      { id: 'P2', rating: 1500 },
+    ],
+    K_FACTOR
+  );
+
+  assert.deepEqual(result, [
+    { id: 'P1', rating: 1516, change: 16 },
+    { id: 'P2', rating: 1484, change: -16 },
+  ]);
+});
+
+test('beating a stronger player moves ratings further than beating a weaker one', () => {
+  const [upset] = Ratings.updateRatings(
+    [
+      { id: 'P1', rating: 1300 },
+      { id: 'P2', rating: 1700 },
+    ],
+    K_FACTOR
+  );
+  const [expected] = Ratings.updateRatings(
+    [
+      { id: 'P1', rating: 1700 },
+      { id: 'P2', rating: 1300 },
+    ],
+    K_FACTOR
+  );
+
+  assert.equal(upset.change, 29);
+  assert.equal(expected.change, 3);
+});
+
+test('a 4-player game ranks every pair and shares out the K-factor', () => {
+  const result = Ratings.updateRatings(['P1', 'P2', 'P3', 'P4'].map((id) => ({ id, rating: 1500 })), K_FACTOR);
+
+  assert.deepEqual(result.map(({ change }) => change), [16, 5, -5, -16]);
+  assert.equal(result.reduce((total, { change }) => total + change, 0), 0);
+});
+
+test('ranked matchmaking widens the rating window the longer a player waits', () => {
+  const first = { rating: 1500, maxPlayers: 2, joinedAt: 0 };
+  const second = { rating: 1650, maxPlayers: 2, joinedAt: 0 };
+  const otherSize = { rating: 1500, maxPlayers: 4, joinedAt: 0 };
+  const queue = [first, otherSize, second];
+
+  assert.equal(Ratings.getRatingWindow(first, 3000, MATCHING), 130);
+  assert.equal(Ratings.getRatingWindow(first, 60000, MATCHING), 400);
+  assert.equal(Ratings.findRankedMatch(queue, 3000, MATCHING), null);
+  assert.deepEqual(Ratings.findRankedMatch(queue, 5000, MATCHING), [first, second]);
+});
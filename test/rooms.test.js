@@ -0,0 +1,104 @@
+// rooms.test.js
+//
+// Saving a room in progress and picking it back up, through the in-memory
+// room store (server/storage/rooms.js), as a restarted server would.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Rules = require('../shared/rules');
+const { createRoomStore } = require('../server/storage/rooms');
+
+/**
+ * Builds a room record part-way through a game, shaped like `toRoomRecord` in io.js.
+ * @returns {Object} - The record.
+ */
+function createRecord() {
+  let state = Rules.createInitialState(['P1', 'P2'], { releaseOnOne: true });
+  [
+    { type: 'roll', playerId: 'P1', diceValue: 6 },
+    { type: 'move', playerId: 'P1', pieceIndex: 0 },
+    { type: 'roll', playerId: 'P1', diceValue: 4 },
+  ].forEach((action) => {
+    state = Rules.applyAction(state, action).state;
+  });
+
+  return {
+    maxPlayers: 2,
+    isPrivate: true,
+    rules: state.options,
+    timers: { rollTimeout: 20000, moveTimeout: 30000, maxTimeouts: 3 },
+    allowSpectators: true,
+    ranked: false,
+    chat: [{ playerId: 'P2', text: 'good luck' }],
+    accounts: {},
+    gameState: state,
+    version: 3,
+    replayId: '0123456789abcdef',
+    startedAt: 1000,
+    log: [{ type: 'roll', playerId: 'P1', diceValue: 6 }],
+    dice: { serverSeed: 'seed', commitment: 'hash', clientSeeds: {}, clientSeed: '', rolls: 2 },
+    finished: false,
+    series: { bestOf: 1, scores: {}, games: 0, winner: null },
+    firstTurn: 0,
+    players: [
+      { socketId: 'a', playerId: 'P1', token: 't1', timeouts: 0, bot: null, accountId: null, name: null },
+      {
+        socketId: 'bot-1',
+        playerId: 'P2',
+        token: 't2',
+        timeouts: 0,
+        bot: 'greedy',
+        accountId: null,
+        name: 'Greedy bot',
+      },
+    ],
+  };
+}
+
+test('a saved room loads back as it was, and the game carries on from there', async () => {
+  const roomStore = createRoomStore({ type: 'memory' }, {});
+  const record = createRecord();
+  roomStore.save('ABCDE', record);
+
+  const loaded = await roomStore.load('ABCDE');
+  assert.deepEqual(loaded, record);
+
+  const move = { type: 'move', playerId: 'P1', pieceIndex: 0 };
+  const carriedOn = Rules.applyAction(loaded.gameState, move);
+  assert.equal(carriedOn.error, undefined);
+  assert.deepEqual(carriedOn.state, Rules.applyAction(record.gameState, move).state);
+  assert.equal(carriedOn.state.currentPositions.P1[0], 4);
+});
+
+test('a saved room is a copy, unaffected by later changes to the game', async () => {
+  const roomStore = createRoomStore({ type: 'memory' }, {});
+  const record = createRecord();
+  roomStore.save('ABCDE', record);
+
+  record.gameState.currentPositions.P1[0] = 20;
+  record.players.pop();
+  const loaded = await roomStore.load('ABCDE');
+  assert.equal(loaded.gameState.currentPositions.P1[0], 0);
+  assert.equal(loaded.players.length, 2);
+
+  loaded.version = 99;
+  assert.equal((await roomStore.load('ABCDE')).version, 3);
+});
+
+test('every saved room is restored after a restart, and removed rooms are gone', async () => {
+  const roomStore = createRoomStore({ type: 'memory' }, {});
+  roomStore.save('ABCDE', createRecord());
+  roomStore.save('room-abc', { ...createRecord(), isPrivate: false });
+  roomStore.save('FGHJK', createRecord());
+  roomStore.remove('FGHJK');
+
+  const records = await roomStore.loadAll();
+  assert.deepEqual(Object.keys(records).sort(), ['ABCDE', 'room-abc']);
+  assert.equal(records['room-abc'].isPrivate, false);
+  assert.equal(await roomStore.load('FGHJK'), null);
+});
+
+test('an unknown room store type is turned down', () => {
+  assert.throws(() => createRoomStore({ type: 'floppy' }, {}), /Unknown room store type: floppy/);
+});
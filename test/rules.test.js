@@ -0,0 +1,168 @@
+// rules.test.js
+//
+// The rules engine (shared/rules.js): turn phases, moving out of base,
+// captures and safe squares, and the house rules that change which moves
+// are legal.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Rules = require('../shared/rules');
+const { BASE_POSITIONS, HOME_POSITIONS } = require('../shared/constants');
+
+const { ERRORS, TURN_PHASES } = Rules;
+
+/**
+ * Sets up a game part-way through.
+ * @param {Object} positions - Each seated player's piece positions, by player ID, in turn order.
+ * @param {Object} [options] - The house rules.
+ * @param {number|null} [diceValue] - The dice value of the current turn, if rolled.
+ * @returns {Object} - The game state, with the first player to move.
+ */
+function createState(positions, options, diceValue = null) {
+  const state = Rules.createInitialState(Object.keys(positions), options);
+  Object.keys(positions).forEach((playerId) => {
+    state.currentPositions[playerId] = [...positions[playerId]];
+  });
+  state.diceValue = diceValue;
+  return state;
+}
+
+/**
+ * Lists the pieces a player may move.
+ * @param {Object} state - The game state, with the dice rolled.
+ * @param {string} playerId - The player ID.
+ * @returns {number[]} - The piece indexes.
+ */
+function movablePieces(state, playerId) {
+  return Rules.getLegalMoves(state, playerId).map((move) => move.pieceIndex);
+}
+
+test('each turn phase accepts only its own actions', () => {
+  const state = Rules.createInitialState(['P1', 'P2']);
+  assert.equal(Rules.getTurnPhase(state), TURN_PHASES.AWAITING_ROLL);
+
+  assert.equal(Rules.applyAction(state, { type: 'roll', playerId: 'P2', diceValue: 6 }).error, ERRORS.NOT_YOUR_TURN);
+  assert.equal(Rules.applyAction(state, { type: 'move', playerId: 'P1', pieceIndex: 0 }).error, ERRORS.DICE_NOT_ROLLED);
+  assert.equal(Rules.applyAction(state, { type: 'pass', playerId: 'P1' }).error, ERRORS.DICE_NOT_ROLLED);
+  assert.equal(Rules.applyAction(state, { type: 'cheat', playerId: 'P1' }).error, ERRORS.UNKNOWN_ACTION);
+
+  const rolled = Rules.applyAction(state, { type: 'roll', playerId: 'P1', diceValue: 6 });
+  assert.equal(rolled.error, undefined);
+  assert.equal(Rules.getTurnPhase(rolled.state), TURN_PHASES.AWAITING_MOVE);
+  assert.equal(state.diceValue, null, 'the state passed in is left untouched');
+  assert.deepEqual(rolled.events[0].legalMoves.map((move) => move.destination), [0, 0, 0, 0]);
+
+  const again = Rules.applyAction(rolled.state, { type: 'roll', playerId: 'P1', diceValue: 6 });
+  assert.equal(again.error, ERRORS.DICE_ALREADY_ROLLED);
+  assert.equal(Rules.applyAction(rolled.state, { type: 'pass', playerId: 'P1' }).error, ERRORS.MOVES_AVAILABLE);
+  assert.equal(
+    Rules.applyAction(rolled.state, { type: 'move', playerId: 'P1', pieceIndex: 4 }).error,
+    ERRORS.INVALID_MOVE
+  );
+
+  // A 6 earns another roll
+  const moved = Rules.applyAction(rolled.state, { type: 'move', playerId: 'P1', pieceIndex: 0 });
+  assert.equal(moved.state.currentPositions.P1[0], 0);
+  assert.equal(Rules.getCurrentPlayerId(moved.state), 'P1');
+  assert.equal(Rules.getTurnPhase(moved.state), TURN_PHASES.AWAITING_ROLL);
+});
+
+test('a roll that allows no move passes the turn straight away', () => {
+  const state = Rules.createInitialState(['P1', 'P2']);
+  const { state: next, events } = Rules.applyAction(state, { type: 'roll', playerId: 'P1', diceValue: 3 });
+
+  assert.deepEqual(events.map((event) => event.type), ['diceRolled', 'turnPassed']);
+  assert.equal(Rules.getCurrentPlayerId(next), 'P2');
+  assert.equal(next.diceValue, null);
+});
+
+test('a piece leaves base on a 6, or on a 1 under releaseOnOne', () => {
+  const inBase = { P1: BASE_POSITIONS.P1, P2: BASE_POSITIONS.P2 };
+
+  assert.deepEqual(movablePieces(createState(inBase, {}, 1), 'P1'), []);
+  assert.deepEqual(movablePieces(createState(inBase, { releaseOnOne: true }, 1), 'P1'), [0, 1, 2, 3]);
+});
+
+test('the last piece home wins the game, after which nothing more can be done', () => {
+  const home = HOME_POSITIONS.P1;
+  const state = createState({ P1: [home, home, home, 103], P2: BASE_POSITIONS.P2 }, {}, 2);
+  const { state: next, events } = Rules.applyAction(state, { type: 'move', playerId: 'P1', pieceIndex: 3 });
+
+  assert.deepEqual(events[1], { type: 'gameOver', winner: 'P1', winners: ['P1'] });
+  assert.equal(Rules.getTurnPhase(next), TURN_PHASES.RESOLVED);
+  assert.equal(Rules.applyAction(next, { type: 'roll', playerId: 'P1', diceValue: 1 }).error, ERRORS.GAME_OVER);
+});
+
+test('landing on an opponent sends their piece back to base and earns another turn', () => {
+  const state = createState({ P1: [5, 500, 501, 502], P2: [8, 600, 601, 602] }, {}, 3);
+  const { state: next, events } = Rules.applyAction(state, { type: 'move', playerId: 'P1', pieceIndex: 0 });
+
+  assert.deepEqual(events[0].killedPieces, [{ opponentId: 'P2', pieceIndex: 0 }]);
+  assert.equal(next.currentPositions.P1[0], 8);
+  assert.equal(next.currentPositions.P2[0], BASE_POSITIONS.P2[0]);
+  assert.equal(Rules.getCurrentPlayerId(next), 'P1');
+  assert.equal(next.diceValue, null);
+});
+
+test('pieces on a safe square are never captured', () => {
+  // 13 is P2's starting square, safe under every rule set
+  const onStart = createState({ P1: [10, 500, 501, 502], P2: [13, 600, 601, 602] }, {}, 3);
+  assert.deepEqual(Rules.getLegalMoves(onStart, 'P1')[0].killedPieces, []);
+
+  // 8 is a star square, only safe under starSafeSquares
+  const onStar = { P1: [5, 500, 501, 502], P2: [8, 600, 601, 602] };
+  assert.equal(Rules.getLegalMoves(createState(onStar, {}, 3), 'P1')[0].killedPieces.length, 1);
+  assert.deepEqual(Rules.getLegalMoves(createState(onStar, { starSafeSquares: true }, 3), 'P1')[0].killedPieces, []);
+});
+
+test('under blockades, two opponent pieces on a square can be neither passed nor landed on', () => {
+  const positions = { P1: [5, 500, 501, 502], P2: [8, 8, 600, 601] };
+
+  assert.deepEqual(movablePieces(createState(positions, {}, 4), 'P1'), [0]);
+  assert.deepEqual(movablePieces(createState(positions, { blockades: true }, 4), 'P1'), []);
+  assert.deepEqual(movablePieces(createState(positions, { blockades: true }, 3), 'P1'), []);
+  assert.deepEqual(movablePieces(createState(positions, { blockades: true }, 2), 'P1'), [0]);
+});
+
+test('under mandatoryCapture, only capturing moves are legal when there are any', () => {
+  const positions = { P1: [5, 20, 500, 501], P2: [8, 600, 601, 602] };
+
+  assert.deepEqual(movablePieces(createState(positions, {}, 3), 'P1'), [0, 1]);
+  assert.deepEqual(movablePieces(createState(positions, { mandatoryCapture: true }, 3), 'P1'), [0]);
+  assert.deepEqual(movablePieces(createState(positions, { mandatoryCapture: true }, 2), 'P1'), [0, 1]);
+});
+
+test('under partnerMoves, a team player with every piece home moves their partner\'s pieces', () => {
+  const home = HOME_POSITIONS.P1;
+  const positions = {
+    P1: [home, home, home, home],
+    P2: BASE_POSITIONS.P2,
+    P3: [30, 700, 701, 702],
+    P4: BASE_POSITIONS.P4,
+  };
+
+  assert.deepEqual(Rules.getLegalMoves(createState(positions, { teams: true }, 2), 'P1'), []);
+
+  const state = createState(positions, { teams: true, partnerMoves: true }, 2);
+  const [move] = Rules.getLegalMoves(state, 'P1');
+  assert.equal(move.ownerId, 'P3');
+  assert.equal(move.destination, 32);
+
+  const { state: next, events } = Rules.applyAction(state, { type: 'move', playerId: 'P1', pieceIndex: 0 });
+  assert.equal(events[0].playerId, 'P3');
+  assert.equal(events[0].movedBy, 'P1');
+  assert.equal(next.currentPositions.P3[0], 32);
+});
+
+test('partners never capture each other', () => {
+  const positions = {
+    P1: [5, 500, 501, 502],
+    P2: BASE_POSITIONS.P2,
+    P3: [8, 700, 701, 702],
+    P4: BASE_POSITIONS.P4,
+  };
+
+  assert.equal(Rules.getLegalMoves(createState(positions, {}, 3), 'P1')[0].killedPieces.length, 1);
+  assert.deepEqual(Rules.getLegalMoves(createState(positions, { teams: true }, 3), 'P1')[0].killedPieces, []);
+});
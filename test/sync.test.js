@@ -0,0 +1,84 @@
+// sync.test.js
+//
+// State deltas and versions (shared/sync.js): a client that applies every
+// delta in order must end up with exactly the server's state.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Sync = require('../shared/sync');
+const Rules = require('../shared/rules');
+const Bots = require('../shared/bots');
+const Dice = require('../shared/dice');
+
+// Enough actions for any four-player game to end
+const MAX_ACTIONS = 10000;
+
+/**
+ * Plays a game between greedy bots, with dice from a seeded random number generator.
+ * @param {string} seed - The seed.
+ * @returns {Object[]} - Every state of the game, from the first to the last.
+ */
+function playGame(seed) {
+  const random = Dice.createSeededRandom(seed);
+  let state = Rules.createInitialState(['P1', 'P2', 'P3', 'P4'], { blockades: true });
+  const states = [state];
+
+  for (let i = 0; i < MAX_ACTIONS && !state.winner; i++) {
+    const playerId = Rules.getCurrentPlayerId(state);
+    let action;
+    if (state.diceValue === null) {
+      action = { type: 'roll', playerId, diceValue: Math.floor(random() * 6) + 1 };
+    } else {
+      const move = Bots.chooseMove('greedy', state, playerId, Rules.getLegalMoves(state, playerId), random);
+      action = { type: 'move', playerId, pieceIndex: move.pieceIndex };
+    }
+    state = Rules.applyAction(state, action).state;
+    states.push(state);
+  }
+  return states;
+}
+
+test('applying every delta of a game in order rebuilds each state', () => {
+  const states = playGame('sync-test');
+  assert.ok(states[states.length - 1].winner);
+
+  let clientState = Sync.applyDelta(null, Sync.diffState(null, states[0]));
+  assert.deepEqual(clientState, states[0]);
+  for (let i = 1; i < states.length; i++) {
+    clientState = Sync.applyDelta(clientState, Sync.diffState(states[i - 1], states[i]));
+    assert.deepEqual(clientState, states[i]);
+  }
+});
+
+test('a delta holds only what changed, and only the moved player\'s positions', () => {
+  const state = Rules.createInitialState(['P1', 'P2']);
+  const rolled = Rules.applyAction(state, { type: 'roll', playerId: 'P1', diceValue: 6 }).state;
+  const moved = Rules.applyAction(rolled, { type: 'move', playerId: 'P1', pieceIndex: 2 }).state;
+
+  assert.deepEqual(Sync.diffState(state, rolled), { diceValue: 6, sixesInRow: 1 });
+  assert.deepEqual(Sync.diffState(rolled, moved), {
+    diceValue: null,
+    currentPositions: { P1: moved.currentPositions.P1 },
+  });
+  assert.deepEqual(Sync.diffState(moved, moved), {});
+});
+
+test('a player leaving is sent as null positions and removed by the client', () => {
+  const state = Rules.createInitialState(['P1', 'P2', 'P3']);
+  const left = Rules.removePlayer(state, 'P2');
+  const delta = Sync.diffState(state, left);
+
+  assert.deepEqual(delta, { players: ['P1', 'P3'], currentPositions: { P2: null } });
+  const clientState = Sync.applyDelta(state, delta);
+  assert.deepEqual(clientState, left);
+  assert.ok('P2' in state.currentPositions, 'the state passed in is left untouched');
+});
+
+test('versions say whether to apply an event, skip it or ask for the whole state', () => {
+  assert.equal(Sync.compareVersion(4, 5), 'next');
+  assert.equal(Sync.compareVersion(4, 4), 'old');
+  assert.equal(Sync.compareVersion(4, 2), 'old');
+  assert.equal(Sync.compareVersion(4, 6), 'gap');
+  assert.equal(Sync.compareVersion(null, 1), 'gap');
+});